@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Generates account and storage proofs.
+ *
+ * Usage: mosaic-proof [options]
+ *        mosaic-proof --batch <file> [options]
+ *
+ * Options:
+ *   --chaindata <path>     geth chaindata directory, proofs are read from leveldb
+ *   --rpc <url>            node to read proofs from when no chaindata is given, else used to look up --block
+ *   --block <n|hash>       block to build the proofs for, default latest
+ *   --state-root <root>    state root to build the proofs for, with --chaindata instead of --block
+ *   --block-height <n>     block height of --state-root, needed for --format args
+ *   --address <address>    account to prove
+ *   --slot <n>             storage index of the variable to prove
+ *   --key <key>            mapping key of the variable, repeat for several proofs
+ *   --layout <name>        storage layout preset, e.g. GatewayV1, used with --variable instead of --slot
+ *   --variable <name>      variable of the layout, e.g. outbox or inbox
+ *   --format json|args     json prints the proofs, args the hex arguments of proveOpenST,
+ *                          processStakingWithProof and progressInboxWithProof. Default json
+ *   --batch <file>         json array of jobs. A job has the keys address, block, stateRoot, blockHeight, slot,
+ *                          keys, layout and variable, missing keys default to the options
+ */
+
+const path = require('path')
+  , ethUtils = require('ethereumjs-util')
+  , Web3 = require('web3')
+;
+
+const rootPrefix = '..'
+  , proofGeneratorFactory = require(rootPrefix + '/proof/proof_generator_factory')
+  , storageLayouts = require(rootPrefix + '/proof/storage_layouts')
+  , proofHelper = require(rootPrefix + '/proof/lib/helper')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const OPTIONS = {
+  '--chaindata': 'chainDataPath',
+  '--rpc': 'rpc',
+  '--block': 'block',
+  '--state-root': 'stateRoot',
+  '--block-height': 'blockHeight',
+  '--address': 'address',
+  '--slot': 'slot',
+  '--key': 'keys',
+  '--layout': 'layout',
+  '--variable': 'variable',
+  '--format': 'format',
+  '--batch': 'batch'
+};
+
+const usage = function () {
+  console.error('Usage: mosaic-proof (--chaindata <path> | --rpc <url>) [--block <n|hash> | --state-root <root>]' +
+    ' --address <address> [--slot <n> | --layout <name> --variable <name>] [--key <key>]... [--format json|args]');
+  console.error('       mosaic-proof --batch <file> [options]');
+};
+
+const parseArgs = function (argv) {
+  let options = {keys: []};
+
+  for (let i = 0; i < argv.length; i++) {
+    let name = OPTIONS[argv[i]];
+    if (!name || i + 1 >= argv.length) {
+      throw new errors.ConfigError('invalid_argument', "Invalid argument '" + argv[i] + "'");
+    }
+    if (name === 'keys') {
+      options.keys.push(argv[++i]);
+    } else {
+      options[name] = argv[++i];
+    }
+  }
+  return options;
+};
+
+const stripHexPrefix = function (value) {
+  return String(value).replace(/^0x/, '');
+};
+
+const addHexPrefix = function (value) {
+  return '0x' + stripHexPrefix(value);
+};
+
+/**
+ * @return {Buffer} storage slot of the variable of a job for key
+ */
+const storageSlot = function (job, key) {
+  let keys = key === undefined ? [] : [key];
+
+  if (job.layout) {
+    let layout = storageLayouts[job.layout];
+    if (!layout || !layout.variables) {
+      throw new errors.ConfigError('invalid_argument', "Unknown storage layout '" + job.layout + "'");
+    }
+    return layout.slot(job.variable, keys);
+  }
+  let storageIndex = new ethUtils.BN(String(job.slot), 10).toString(16);
+  return proofHelper.storageSlot(storageIndex, keys.map(stripHexPrefix));
+};
+
+/**
+ * @return {Promise<{proofGenerator: ProofGenerator|RpcProofGenerator, blockHeight}>}
+ */
+const getProofGenerator = async function (job, web3) {
+  let proofConfig = {
+    backend: job.chainDataPath ? 'leveldb' : 'rpc',
+    chainDataPath: job.chainDataPath,
+    web3: web3
+  };
+
+  let stateRoot = job.stateRoot
+    , blockHeight = job.blockHeight
+  ;
+  if (stateRoot) {
+    if (!job.chainDataPath) {
+      throw new errors.ConfigError('invalid_argument', "--state-root requires --chaindata, use --block with --rpc");
+    }
+  } else {
+    if (!web3) {
+      throw new errors.ConfigError('invalid_argument', "--block requires --rpc");
+    }
+    let block = await web3.eth.getBlock(job.block || 'latest');
+    if (!block) {
+      return Promise.reject(new errors.ProofError('block_not_found', 'Block ' + job.block + ' not found',
+        {block: String(job.block)}));
+    }
+    stateRoot = block.stateRoot;
+    blockHeight = block.number;
+  }
+
+  let proofGenerator = proofGeneratorFactory.getInstance(proofConfig, stateRoot, blockHeight);
+  await proofGenerator.checkAvailability();
+  return {proofGenerator: proofGenerator, blockHeight: blockHeight};
+};
+
+/**
+ * @return {Promise<{blockHeight, stateRoot, account, storageRoot, storage}>}
+ */
+const buildProofs = async function (job, web3) {
+  if (!job.address) {
+    throw new errors.ConfigError('invalid_argument', "--address is required");
+  }
+  if (job.layout && !job.variable) {
+    throw new errors.ConfigError('invalid_argument', "--layout requires --variable");
+  }
+
+  let instance = await getProofGenerator(job, web3)
+    , proofGenerator = instance.proofGenerator
+    , address = stripHexPrefix(job.address)
+    , accountProof = await proofGenerator.buildAccountProof(address)
+    , account = ethUtils.rlp.decode(addHexPrefix(accountProof.value))
+    , result = {
+      blockHeight: instance.blockHeight === undefined ? null : String(instance.blockHeight),
+      stateRoot: proofGenerator.stateRoot,
+      account: {
+        address: addHexPrefix(address),
+        parentNodes: addHexPrefix(accountProof.parentNodes),
+        value: addHexPrefix(accountProof.value)
+      },
+      storageRoot: ethUtils.bufferToHex(account[2]),
+      storage: []
+    }
+  ;
+
+  if (job.slot === undefined && !job.layout) {
+    return result;
+  }
+
+  let keys = job.keys && job.keys.length > 0 ? job.keys : [undefined];
+  for (let i = 0; i < keys.length; i++) {
+    let slot = storageSlot(job, keys[i])
+      , storageProof = await proofGenerator.buildStorageProofAtSlot(address, slot)
+    ;
+    result.storage.push({
+      key: keys[i] === undefined ? null : keys[i],
+      slot: ethUtils.bufferToHex(slot),
+      parentNodes: addHexPrefix(storageProof.parentNodes),
+      value: addHexPrefix(storageProof.value)
+    });
+  }
+  return result;
+};
+
+/**
+ * @return {object} arguments of proveOpenST and, per storage proof, of processStakingWithProof and
+ *                  progressInboxWithProof in the order of the contract methods
+ */
+const toArgs = function (job, proofs) {
+  let blockHeight = proofs.blockHeight;
+
+  return {
+    proveOpenST: [blockHeight, proofs.account.value, proofs.account.parentNodes],
+    storage: proofs.storage.map(function (storageProof) {
+      let messageStatus = ethUtils.bufferToInt(ethUtils.rlp.decode(storageProof.value)).toString();
+      return {
+        key: storageProof.key,
+        processStakingWithProof: [storageProof.key, storageProof.parentNodes, blockHeight, messageStatus],
+        progressInboxWithProof: [
+          storageProof.parentNodes,
+          job.layout ? String(storageLayouts[job.layout].variables[job.variable].slot) : String(job.slot),
+          proofs.storageRoot,
+          messageStatus
+        ]
+      };
+    })
+  };
+};
+
+const run = async function (argv) {
+  let options = parseArgs(argv)
+    , jobs = [options]
+  ;
+
+  if (options.batch) {
+    let batch = require(path.resolve(options.batch));
+    if (!Array.isArray(batch)) {
+      throw new errors.ConfigError('invalid_argument', "Batch file must contain a json array of jobs");
+    }
+    jobs = batch.map(function (job) {
+      return Object.assign({}, options, {keys: []}, job);
+    });
+  }
+  if (!options.chainDataPath && !options.rpc) {
+    throw new errors.ConfigError('invalid_argument', "One of --chaindata or --rpc is required");
+  }
+
+  let web3 = options.rpc ? new Web3(options.rpc) : null
+    , results = []
+  ;
+  try {
+    for (let i = 0; i < jobs.length; i++) {
+      let proofs = await buildProofs(jobs[i], web3);
+      results.push(options.format === 'args' ? toArgs(jobs[i], proofs) : proofs);
+    }
+  } finally {
+    // an open websocket would keep the process alive
+    if (web3 && typeof web3.currentProvider.disconnect === 'function') {
+      web3.currentProvider.disconnect();
+    }
+  }
+
+  console.log(JSON.stringify(options.batch ? results : results[0], null, 2));
+};
+
+// exitCode instead of process.exit, which would cut off the output when stdout is a pipe
+run(process.argv.slice(2)).then(function () {
+  process.exitCode = 0;
+}).catch(function (error) {
+  if (error instanceof errors.ConfigError) {
+    usage();
+  }
+  console.error(error instanceof errors.MosaicError
+    ? JSON.stringify({error: error.code, message: error.message})
+    : String(error && error.message || error));
+  process.exitCode = 1;
+});
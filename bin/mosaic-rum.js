@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Runs the RUM (routing node) server.
+ *
+ * Usage: mosaic-rum <path to config json>
+ *
+ * Config:
+ * {
+ *   "port": 14545,
+ *   "host": "127.0.0.1",
+ *   "origin": { "provider": "ws://127.0.0.1:8546" },
+ *   "auxiliaries": [ { "provider": "ws://127.0.0.1:9546", "originCoreContractAddress": "0x..." } ]
+ * }
+ */
+
+const path = require('path');
+
+const rootPrefix = '..'
+  , RumServer = require(rootPrefix + '/rum/rum_server')
+;
+
+const configPath = process.argv[2];
+if (!configPath) {
+  console.error('Usage: mosaic-rum <path to config json>');
+  process.exit(1);
+}
+
+const config = require(path.resolve(configPath))
+  , server = new RumServer(config, {port: config.port, host: config.host})
+;
+
+const shutdown = function () {
+  server.stop().then(function () {
+    process.exit(0);
+  });
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.start().then(function (address) {
+  console.log(JSON.stringify({message: 'RUM server started', address: address.address, port: address.port}));
+}).catch(function (error) {
+  console.error(String(error && error.message || error));
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Deploys and links a Mosaic pair on an origin and an auxiliary chain, see lib/setup/MosaicSetup.js.
+ *
+ * Usage: mosaic-setup <path to setup config json>
+ *
+ * Config:
+ * {
+ *   "origin": { "provider": "http://127.0.0.1:8545", "transactions": { "privateKeys": ["0x..."] } },
+ *   "auxiliary": { "provider": "http://127.0.0.1:9545", "transactions": { "privateKeys": ["0x..."] } },
+ *   "originTxOptions": { "gasPrice": "0" },
+ *   "auxiliaryTxOptions": { "gasPrice": "0" },
+ *   "brandedToken": { "symbol": "BT", "name": "Branded Token", "conversionRate": 1 },
+ *   "originChainDataPath": "/path/to/origin/geth/chaindata",
+ *   "configPath": "mosaic.json"
+ * }
+ *
+ * Any other option of MosaicSetup can be given as well. The resulting configuration is written to configPath and
+ * printed to stdout.
+ */
+
+const path = require('path');
+
+const rootPrefix = '..'
+  , Mosaic = require(rootPrefix + '/index.js')
+;
+
+const configPath = process.argv[2];
+if (!configPath) {
+  console.error('Usage: mosaic-setup <path to setup config json>');
+  process.exit(1);
+}
+
+const config = require(path.resolve(configPath))
+  , mosaic = new Mosaic('', {origin: config.origin, auxiliaries: []})
+  , setup = new mosaic.setup.MosaicSetup(config.auxiliary, config)
+;
+
+setup.on('step', function (stepName, state) {
+  console.error(JSON.stringify({step: stepName, contracts: state.contracts}));
+});
+
+setup.start().then(function (state) {
+  console.log(JSON.stringify(state.config, null, 2));
+}).catch(function (error) {
+  console.error(JSON.stringify({
+    error: error.code || 'setup_failed',
+    message: String(error && error.message || error),
+    step: setup.state && setup.state.step
+  }));
+  process.exit(1);
+});
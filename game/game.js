@@ -1,63 +1,54 @@
-const Mosaic = require('index.js');
-
-const mosaicConfig = {
-  "origin": {
-    "provider": "ws://127.0.0.1:18545"
-  },
-  "auxiliaries": [
-    {
-      "provider": "ws://127.0.0.1:19546",
-      "originCoreContractAddress": "0x0000000000000000000000000000000000000001"
-    }
-  ]
-};
-
-function Game(originCoreAddress, originWorkers, auxiliaryWorkers) {
-  this.mosaic = new Mosaic('', mosaicConfig);
-  this.origin = this.mosaic.origin();
-  this.auxiliary = this.mosaic.core(originCoreAddress);
-  this.core = this.mosaic.contracts.core;
-  this.originBlockNumber = 0;
-  this.auxiliaryBlockNumber = 0;
-  this.originWorkers = originWorkers;
-  this.auxiliaryWorkers = auxiliaryWorkers;
+"use strict";
+
+/**
+ * Runs the state root relayer.
+ *
+ * Usage: node game/game.js <path to relayer config json>
+ *
+ * Config:
+ * {
+ *   "mosaic": { "origin": {...}, "auxiliaries": [...] },
+ *   "originCoreAddress": "0x...",
+ *   "auxiliaryCoreAddress": "0x...",
+ *   "originWorker": "0x...",
+ *   "auxiliaryWorker": "0x...",
+ *   "mode": "poll",
+ *   "pollInterval": 10000
+ * }
+ */
+
+const path = require('path');
+
+const Mosaic = require('../index.js');
+
+const configPath = process.argv[2];
+if (!configPath) {
+  console.error('Usage: node game/game.js <path to relayer config json>');
+  process.exit(1);
 }
 
-Game.prototype = {
-
-  run: async function () {
-
-    await this.commitStateRoot();
-  },
-
-  commitStateRoot: async function () {
-
-    let originBlock = await this.origin.eth.getBlockNumber('latest');
-    let auxiliaryBlock = await this.auxiliary.eth.getBlockNumber('latest');
-
-    if (this.auxiliaryBlockNumber < auxiliaryBlock.blockNumber) {
-      // TODO Worker unlocking
-      let receipt = await this.core.origin
-        .commitStateRoot(auxiliaryBlock.blockNumber, auxiliaryBlock.stateRoot)
-        .signAndSend({from: this.originWorkers});
-
-      console.log("auxiliary receipt", receipt);
-      this.auxiliaryBlockNumber = auxiliaryBlock.blockNumber;
-
-    }
-    if (this.originBlockNumber < originBlock.blockNumber) {
-      // TODO Worker unlocking
-      let receipt = await this.core.auxiliary
-        .commitStateRoot(originBlock.blockNumber, originBlock.stateRoot)
-        .signAndSend({from: this.originWorkers});
-
-      console.log("origin receipt", receipt);
-
-      this.originBlockNumber = originBlock.blockNumber;
-    }
-    console.log("Waiting for new block......");
-    setTimeout(commitStateRoot, 10000);
-  }
+const config = require(path.resolve(configPath))
+  , mosaic = new Mosaic('', config.mosaic)
+  , auxiliaryConfig = mosaic.configurations.auxiliaries.find(function (auxConfig) {
+    return String(auxConfig.originCoreContractAddress).toLowerCase() === String(config.originCoreAddress).toLowerCase();
+  })
+  , core = new mosaic.contracts.Core(
+    config.originCoreAddress, {}, auxiliaryConfig, config.auxiliaryCoreAddress, {}
+  )
+  , relayer = new mosaic.StateRootRelayer(core, {
+    mode: config.mode,
+    pollInterval: config.pollInterval,
+    originTxOptions: {from: config.originWorker, gas: config.gas},
+    auxiliaryTxOptions: {from: config.auxiliaryWorker, gas: config.gas}
+  })
+;
+
+const shutdown = function () {
+  relayer.stop().then(function () {
+    process.exit(0);
+  });
 };
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
-new Game().run();
+relayer.start();
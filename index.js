@@ -7,22 +7,41 @@
 const Web3 = require('web3')
     , web3Utils = require('web3-utils')
 ;
-const InstanceComposer = require('./instance_composer');
+const InstanceComposer = require('./instance_composer')
+    , configurationsHelper = require('./lib/configurations')
+    , errors = require('./lib/errors')
+    , decoder = require('./lib/events/decoder')
+    , hashing = require('./lib/hashing')
+;
 const version = require('./package.json').version;
 
-require('./lib/contracts');
+require('./lib/Contracts');
+require('./lib/Flows');
+require('./lib/Setup');
+require('./lib/relayer/StateRootRelayer');
+require('./lib/workers/WorkerManager');
+require('./lib/messages/MessageTracker');
+require('./lib/discovery/ChainDiscovery');
+require('./lib/validation/ConfigurationValidator');
+require('./lib/providers/ProviderManager');
 require('./providers/OriginWeb3');
 require('./providers/AuxiliaryWeb3');
 
 
 
 
-const Mosaic = function (rumNodeProvider, configurations ) {
+/**
+ * @param rumNodeProvider
+ * @param configurations
+ * @param overrides optional classes replacing registered ones for this instance only, e.g. {AuxiliaryWeb3: MockWeb3}.
+ *                  See InstanceComposer.prototype.override.
+ */
+const Mosaic = function (rumNodeProvider, configurations, overrides ) {
   const oThis = this;
   oThis.configurations = Object.assign({}, {rumNodeProvider: rumNodeProvider}, configurations);
   oThis._sanitizeConfigurations();
 
-  const _instanceComposer =  new InstanceComposer(oThis.configurations);
+  const _instanceComposer =  new InstanceComposer(oThis.configurations, overrides);
   oThis.ic =  function () {
     return _instanceComposer;
   };
@@ -37,57 +56,163 @@ const Mosaic = function (rumNodeProvider, configurations ) {
     return _origin;
   };
 
-  //3. Define core
-  let AuxiliaryWeb3 = oThis.ic().AuxiliaryWeb3();
+  //3. Define core. The web3 of an auxiliary is created once per core address.
+  let AuxiliaryWeb3 = oThis.ic().AuxiliaryWeb3()
+    , _cores = {}
+  ;
   oThis.core = function ( originCoreContractAddress ) {
-    return new AuxiliaryWeb3( originCoreContractAddress );
+    if ( typeof originCoreContractAddress === 'object' ) {
+      return new AuxiliaryWeb3( originCoreContractAddress );
+    }
+    let key = String( originCoreContractAddress ).toLowerCase();
+    if ( !_cores[ key ] ) {
+      _cores[ key ] = new AuxiliaryWeb3( originCoreContractAddress );
+    }
+    return _cores[ key ];
   };
 
   //4. Define contracts
   oThis.contracts = oThis.ic().Contracts();
 
+  //5. Define flows
+  oThis.flows = oThis.ic().Flows();
+
+  //6. Define state root relayer
+  oThis.StateRootRelayer = oThis.ic().StateRootRelayer();
+
+  //7. Define worker manager
+  oThis.WorkerManager = oThis.ic().WorkerManager();
+
+  //8. Define transaction managers of the chains
+  oThis.transactions = oThis.ic().Transactions();
+
+  //9. Define setup of new Mosaic pairs
+  oThis.setup = oThis.ic().Setup();
+
+  //10. Define message tracker
+  oThis.MessageTracker = oThis.ic().MessageTracker();
+
+  //11. Define chain discovery
+  oThis.ChainDiscovery = oThis.ic().ChainDiscovery();
+
+  //12. Define provider manager, with the health of the chain endpoints
+  oThis.providers = oThis.ic().ProviderManager();
+
+  //13. In strict mode, check the configurations against the chains. ready rejects with a ConfigError when invalid.
+  if ( oThis.configurations.strict ) {
+    oThis.ready = oThis.validate().then(function ( report ) {
+      if ( !report.isValid ) {
+        return Promise.reject( new errors.ConfigError('invalid_config',
+          'Configurations do not match the chains. See report.', { report: report }) );
+      }
+      return report;
+    });
+    // ready still rejects for whoever reads it, but an unread rejection is not reported as unhandled
+    oThis.ready.catch(function () {});
+  }
+
 };
 
 Mosaic.prototype = {
   constructor: Mosaic,
   configurations: null,
-  _sanitizeConfigurations: function () {
+  chainRegistry: null,
+  ready: null,
+
+  /**
+   * @notice checks that the providers serve the expected chains and that the cores exist and agree on chain ids
+   * @return {Promise<object>} report of ConfigurationValidator, never rejects
+   */
+  validate: function () {
+    const oThis = this;
+
+    let ConfigurationValidator = oThis.ic().ConfigurationValidator();
+    return new ConfigurationValidator().validate();
+  },
+
+  /**
+   * @notice reads the auxiliaries of the origin cores from chain, see ChainDiscovery for options
+   * @return {Promise<ChainRegistry>} also kept as chainRegistry
+   */
+  discoverChains: function ( options ) {
+    const oThis = this;
+
+    let chainDiscovery = new oThis.ChainDiscovery( options );
+    return chainDiscovery.discover().then(function ( chainRegistry ) {
+      oThis.chainRegistry = chainRegistry;
+      return chainRegistry;
+    });
+  },
+
+  /**
+   * @notice adds the auxiliaries registered with the RUM node to configurations.auxiliaries
+   * @return {Promise<Array>} auxiliaries
+   */
+  discoverAuxiliaries: function () {
     const oThis = this
         , configurations = oThis.configurations
     ;
 
-    let areOptionsValid = true;
-
-    if ( !configurations.hasOwnProperty('origin') || typeof configurations.origin != 'object' ) {
-      throw "Config Missing. 'origin' configuration is missing.";
+    if ( !configurations.rumNodeProvider ) {
+      return Promise.reject( new errors.ConfigError('config_missing',
+        "Config Missing. 'rumNodeProvider' is required to discover auxiliaries.") );
     }
 
-    if ( typeof configurations.origin.provider !== 'string' ) {
-      throw "Invalid Origin Config. 'provider' configuration is missing.";
-    }
+    let payload = { jsonrpc: '2.0', id: Date.now(), method: 'rum_auxiliaries', params: [] };
+    return new Promise(function (resolve, reject) {
+      oThis.origin().currentProvider.send(payload, function (error, response) {
+        if ( error || !response ) {
+          return reject( new errors.RpcError('rpc_error', 'No response from RUM node', { cause: error }) );
+        }
+        if ( response.error ) {
+          return reject( new errors.RpcError('rpc_error', response.error.message,
+            { rpcCode: response.error.code, method: payload.method }) );
+        }
+
+        response.result.forEach(function ( discovered ) {
+          let coreAddress = String( discovered.originCoreContractAddress ).toLowerCase();
+          let isKnown = configurations.auxiliaries.some(function ( auxConfig ) {
+            return String( auxConfig.originCoreContractAddress ).toLowerCase() === coreAddress;
+          });
+          if ( !isKnown ) {
+            configurations.auxiliaries.push({
+              originCoreContractAddress: discovered.originCoreContractAddress,
+              provider: configurationsHelper.rumRoute( configurations.rumNodeProvider, coreAddress )
+            });
+          }
+        });
+        resolve( configurations.auxiliaries );
+      });
+    });
+  },
 
-    let auxiliaries = configurations.auxiliaries;
-    if ( !auxiliaries || !auxiliaries instanceof Array ) { 
-      throw "Config Missing. 'auxiliaries' configuration is missing. auxiliaries should be an Array of auxiliary config";
-    }
-
-    let len = auxiliaries.length;
-    while( len-- ) {
-      let auxConfig = auxiliaries[ len ];
-      if ( !auxConfig || typeof auxConfig !== 'object' ) {
-        throw "Invalid Auxiliary Config. auxiliary config should be an object.";   
-      }
-      if ( typeof auxConfig.provider !== 'string' ) {
-        throw "Invalid Auxiliary Config. 'provider' configuration is missing.";
-      }
-
-      if ( auxConfig.originCoreContractAddress && !web3Utils.isAddress( auxConfig.originCoreContractAddress ) ) {
-        throw "Invalid Auxiliary Config. 'originCoreContractAddress' should be a valid Address.";
-      }
-    }
+  _sanitizeConfigurations: function () {
+    configurationsHelper.applyProviderLists(this.configurations);
+    configurationsHelper.applyRumRoutes(this.configurations);
+    configurationsHelper.sanitize(this.configurations);
   }
 }
 
+Mosaic.errors = errors;
+
+/**
+ * @notice registry of the getters of the InstanceComposer, for plugins which register their own classes
+ */
+Mosaic.InstanceComposer = InstanceComposer;
+
+/**
+ * @notice offline hashes of the gateways and BrandedToken, see lib/hashing.js
+ */
+Mosaic.hashing = hashing;
+
+/**
+ * @notice decodes the logs of any receipt into named events, for the contracts in contracts/abi
+ * @param receipt
+ * @return {object} events by name, like receipt.events of web3
+ */
+Mosaic.decodeReceipt = function ( receipt ) {
+  return decoder.decodeReceipt( receipt );
+};
 
 module.exports = Mosaic;
 
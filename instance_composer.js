@@ -1,47 +1,84 @@
 'use strict';
 
-const InstanceComposer = function(configStrategy) {
-  this.configStrategy = configStrategy || {};
-  this.instanceMap = {};
-  this.shadowedClassMap = {};
+const errors = require('./lib/errors');
+
+/**
+ * @param configStrategy
+ * @param overrides optional {getterMethodName: ClassConstructor}, see override
+ */
+const InstanceComposer = function(configStrategy, overrides) {
+  const oThis = this;
+  oThis.configStrategy = configStrategy || {};
+  oThis.instanceMap = {};
+  oThis.shadowedClassMap = {};
+  oThis.overrideMap = {};
+
+  Object.keys(overrides || {}).forEach(function(getterMethodName) {
+    oThis.override(getterMethodName, overrides[getterMethodName]);
+  });
 };
 
 //Some static properties & methods.
 const composerMap = {};
 const instanceComposerMethodName = 'ic';
 const shadowMap = {};
+const paramsBuilderMap = {};
+
+/**
+ * Checks a new getter. Registering the same class under the same getter again is allowed, e.g. when a plugin is
+ * required twice.
+ * @return {boolean} true if the getter is already registered with ClassConstructor
+ */
+const isRegisteredWith = function(registryMap, ClassConstructor, getterMethodName, registerMethodName) {
+  if (registryMap.hasOwnProperty(getterMethodName) && registryMap[getterMethodName] === ClassConstructor) {
+    return true;
+  }
+  if (composerMap.hasOwnProperty(getterMethodName) || shadowMap.hasOwnProperty(getterMethodName)) {
+    throw new errors.ConfigError(
+      'duplicate_getter',
+      `Duplicate ${registerMethodName} Getter Method Name ${getterMethodName}`,
+      { getterMethodName: getterMethodName }
+    );
+  }
+  return false;
+};
 
+/**
+ * @param ClassConstructor
+ * @param getterMethodName
+ * @param mustRetainInstance one instance per InstanceComposer
+ * @param constructorParamsBuilderFunction optional function(configStrategy, instanceComposer) which returns the
+ *        array of constructor params. Defaults to [configStrategy, instanceComposer].
+ */
 InstanceComposer.register = function(
   ClassConstructor,
   getterMethodName,
   mustRetainInstance,
   constructorParamsBuilderFunction
 ) {
-  if (composerMap.hasOwnProperty(getterMethodName) || shadowMap.hasOwnProperty(getterMethodName)) {
-    console.trace('Duplicate register Getter Method name', getterMethodName);
-    throw `Duplicate register Getter Method Name ${getterMethodName}`;
+  if (isRegisteredWith(composerMap, ClassConstructor, getterMethodName, 'register')) {
+    return;
   }
 
+  composerMap[getterMethodName] = ClassConstructor;
   if (typeof constructorParamsBuilderFunction === 'function') {
-    //TBD: We need a shadow derived class here.
-    //ClassConstructor = DerivedClassConstructor
+    paramsBuilderMap[getterMethodName] = constructorParamsBuilderFunction;
   }
 
-  composerMap[getterMethodName] = ClassConstructor;
   InstanceComposer.prototype[getterMethodName] = function() {
     const oThis = this; //this refers to instance of InstanceComposer.
     let _instance;
     if (mustRetainInstance) {
       _instance = oThis.instanceMap[getterMethodName];
       if (!_instance) {
-        _instance = new ClassConstructor(oThis.configStrategy, oThis);
+        _instance = oThis.createInstance(getterMethodName);
         oThis.instanceMap[getterMethodName] = _instance;
       }
       _instance[instanceComposerMethodName] = function() {
         return oThis;
       };
     } else {
-      _instance = new ClassConstructor(oThis.configStrategy, oThis);
+      _instance = oThis.createInstance(getterMethodName);
       _instance[instanceComposerMethodName] = function() {
         return oThis;
       };
@@ -52,9 +89,8 @@ InstanceComposer.register = function(
 };
 
 InstanceComposer.registerShadowableClass = function(ClassConstructor, classGetterName) {
-  if (composerMap.hasOwnProperty(classGetterName) || shadowMap.hasOwnProperty(classGetterName)) {
-    console.trace('Duplicate registerShadowableClass Getter Method name', classGetterName);
-    throw `Duplicate registerShadowableClass Getter Method Name. ${classGetterName}`;
+  if (isRegisteredWith(shadowMap, ClassConstructor, classGetterName, 'registerShadowableClass')) {
+    return;
   }
 
   shadowMap[classGetterName] = ClassConstructor;
@@ -63,16 +99,67 @@ InstanceComposer.registerShadowableClass = function(ClassConstructor, classGette
     let _shadowedClass;
     _shadowedClass = oThis.shadowedClassMap[classGetterName];
     if (!_shadowedClass) {
-      oThis.shadowedClassMap[classGetterName] = _shadowedClass = oThis.createShadowClass(ClassConstructor);
+      oThis.shadowedClassMap[classGetterName] = _shadowedClass = oThis.createShadowClass(
+        oThis.overrideMap[classGetterName] || ClassConstructor
+      );
     }
     return _shadowedClass;
   };
 };
 
+/**
+ * @param getterMethodName
+ * @return {boolean} true if a class is registered with the getter, with register or registerShadowableClass
+ */
+InstanceComposer.isRegistered = function(getterMethodName) {
+  return composerMap.hasOwnProperty(getterMethodName) || shadowMap.hasOwnProperty(getterMethodName);
+};
+
 InstanceComposer.prototype = {
   configStrategy: null,
   instanceMap: null,
   shadowedClassMap: null,
+  overrideMap: null,
+
+  /**
+   * Replaces the class of a registered getter for this InstanceComposer only, e.g. a mock AuxiliaryWeb3 in tests.
+   * Instances and shadow classes already created by the getter are dropped.
+   * @param getterMethodName
+   * @param ClassConstructor constructed like the registered class
+   */
+  override: function(getterMethodName, ClassConstructor) {
+    const oThis = this; //this refers to instance of InstanceComposer.
+
+    if (!InstanceComposer.isRegistered(getterMethodName)) {
+      throw new errors.ConfigError('invalid_argument', `No Getter Method registered with name ${getterMethodName}`, {
+        getterMethodName: getterMethodName
+      });
+    }
+    if (typeof ClassConstructor !== 'function') {
+      throw new errors.ConfigError('invalid_argument', `Override of ${getterMethodName} is not a class`, {
+        getterMethodName: getterMethodName
+      });
+    }
+
+    oThis.overrideMap[getterMethodName] = ClassConstructor;
+    delete oThis.instanceMap[getterMethodName];
+    delete oThis.shadowedClassMap[getterMethodName];
+  },
+
+  /**
+   * Creates an instance of the class registered with getterMethodName, or of its override.
+   * @param getterMethodName
+   */
+  createInstance: function(getterMethodName) {
+    const oThis = this; //this refers to instance of InstanceComposer.
+
+    const ClassConstructor = oThis.overrideMap[getterMethodName] || composerMap[getterMethodName];
+    const paramsBuilder = paramsBuilderMap[getterMethodName];
+    const params = paramsBuilder ? paramsBuilder(oThis.configStrategy, oThis) : [oThis.configStrategy, oThis];
+
+    return Reflect.construct(ClassConstructor, params || []);
+  },
+
   createShadowClass: function(ClassConstructor) {
     const oThis = this; //this refers to instance of InstanceComposer.
 
@@ -91,4 +178,4 @@ InstanceComposer.prototype = {
   }
 };
 
-module.exports = InstanceComposer;
\ No newline at end of file
+module.exports = InstanceComposer;
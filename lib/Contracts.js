@@ -1,16 +1,44 @@
 "use strict";
 
-const InstanceComposer = require('../instance_composer');
+const InstanceComposer = require('../instance_composer')
+  , generator = require('./contract_interacts/generator')
+;
 
+require('./transactions/Transactions.js');
 require('./contract_interacts/Core.js');
 require('./contract_interacts/ERC20Gateway.js');
+require('./contract_interacts/Workers.js');
 
 const Contracts = function ( config, ic ) {
   const oThis = this;
   oThis.Core  = ic.Core();
   oThis.ERC20Gateway = ic.ERC20Gateway();
+  oThis.Workers = ic.Workers();
+  oThis.interacts = {};
+};
+
+Contracts.prototype = {
+  constructor: Contracts,
+
+  /**
+   * @notice interact class of any two contracts in contracts/abi, e.g. interact('Gateway', 'OpenSTUtility')
+   * @param originAbiName
+   * @param auxiliaryAbiName defaults to originAbiName
+   * @return {Function} constructor (originAddress, originOptions, auxiliaryConfig, auxiliaryAddress, auxiliaryOptions)
+   */
+  interact: function ( originAbiName, auxiliaryAbiName ) {
+    const oThis = this;
+
+    auxiliaryAbiName = auxiliaryAbiName || originAbiName;
+    let key = originAbiName + '/' + auxiliaryAbiName;
+    if ( !oThis.interacts[ key ] ) {
+      let Interact = generator.createInteract( originAbiName, auxiliaryAbiName );
+      oThis.interacts[ key ] = oThis.ic().createShadowClass( Interact );
+    }
+    return oThis.interacts[ key ];
+  }
 };
 
 
 InstanceComposer.register(Contracts, 'Contracts', true);
-module.exports = Contracts;
\ No newline at end of file
+module.exports = Contracts;
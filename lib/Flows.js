@@ -0,0 +1,68 @@
+"use strict";
+
+const InstanceComposer = require('../instance_composer')
+  , journalFactory = require('./journal/factory')
+;
+
+require('./flows/StakeFlow.js');
+require('./flows/RedeemFlow.js');
+require('./flows/RevertStakeFlow.js');
+require('./flows/RevertRedeemFlow.js');
+require('./flows/GatewayLinkFlow.js');
+
+// Flows which resumeAll rebuilds from the journal
+const FLOW_NAMES = ['StakeFlow', 'RedeemFlow', 'RevertStakeFlow', 'RevertRedeemFlow', 'GatewayLinkFlow'];
+
+const Flows = function ( config, ic ) {
+  const oThis = this;
+  oThis.StakeFlow = ic.StakeFlow();
+  oThis.RedeemFlow = ic.RedeemFlow();
+  oThis.RevertStakeFlow = ic.RevertStakeFlow();
+  oThis.RevertRedeemFlow = ic.RevertRedeemFlow();
+  oThis.GatewayLinkFlow = ic.GatewayLinkFlow();
+  // Records the state of every flow, see configurations.journal
+  oThis.journal = journalFactory.getInstance( config.journal );
+};
+
+Flows.prototype = {
+  constructor: Flows,
+
+  /**
+   * @notice continues every unfinished flow of the journal from its last completed step.
+   *         The step which was in progress is run again.
+   * @param options flow options for all resumed flows, e.g. {workerManager, logger}. They take precedence over the
+   *                options of the journal records.
+   * @return {Promise<Array>} [{id, flow, result}], result is a promise of {state} or {error} which never rejects
+   */
+  resumeAll: async function ( options ) {
+    const oThis = this
+        , Core = oThis.ic().Core()
+        , ERC20Gateway = oThis.ic().ERC20Gateway()
+    ;
+
+    let records = await oThis.journal.list();
+    return records.filter(function ( record ) {
+      return !record.done && FLOW_NAMES.indexOf( record.flow ) !== -1 && record.gateway && record.core;
+    }).map(function ( record ) {
+      let gateway = new ERC20Gateway( record.gateway.origin, {}, record.auxiliary, record.gateway.auxiliary, {} )
+        , core = new Core( record.core.origin, {}, record.auxiliary, record.core.auxiliary, {} )
+        , FlowClass = oThis[ record.flow ]
+        , flow = new FlowClass( gateway, core, Object.assign( { journal: oThis.journal }, record.options, options ) )
+      ;
+
+      return {
+        id: record.id,
+        flow: flow,
+        result: flow.restore( record.state ).then(function ( state ) {
+          return { state: state };
+        }, function ( error ) {
+          return { error: error };
+        })
+      };
+    });
+  }
+};
+
+
+InstanceComposer.register(Flows, 'Flows', true);
+module.exports = Flows;
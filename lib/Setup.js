@@ -2,13 +2,13 @@
 
 const InstanceComposer = require('../instance_composer');
 
-require('../contract_interacts/ERC20Gateway.js');
+require('./setup/MosaicSetup.js');
 
 const Setup = function ( config, ic ) {
   const oThis = this;
-  oThis.initGateway = ic.initGateway();
+  oThis.MosaicSetup = ic.MosaicSetup();
 };
 
 
 InstanceComposer.register(Setup, 'Setup', true);
-module.exports = Setup;
\ No newline at end of file
+module.exports = Setup;
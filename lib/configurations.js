@@ -0,0 +1,165 @@
+"use strict";
+
+const web3Utils = require('web3-utils');
+
+const errors = require('./errors');
+
+/**
+ * How a chain with several providers picks the endpoint of a request, see ProviderPool.
+ */
+const PROVIDER_STRATEGIES = ['priority', 'round_robin'];
+
+/**
+ * Validation of the origin / auxiliaries configurations shared by Mosaic and the RUM server - ConfigurationsKlass
+ * @constructor
+ */
+const ConfigurationsKlass = function () {
+};
+
+ConfigurationsKlass.prototype = {
+
+  providerStrategies: PROVIDER_STRATEGIES,
+
+  /**
+   * @notice provider of a chain behind a RUM node
+   * @param rumNodeProvider
+   * @param originCoreContractAddress core of the auxiliary chain, omit for the origin chain
+   * @return {string}
+   */
+  rumRoute: function (rumNodeProvider, originCoreContractAddress) {
+    let base = String(rumNodeProvider).replace(/\/+$/, '');
+
+    if (!originCoreContractAddress) {
+      return base + '/';
+    }
+    return base + '/' + String(originCoreContractAddress).toLowerCase() + '/';
+  },
+
+  /**
+   * @param chainConfig provider url or chain configuration {provider, providers}
+   * @return {Array<string>} provider urls of the chain in priority order
+   */
+  providerUrls: function (chainConfig) {
+    if (typeof chainConfig === 'string') {
+      return [chainConfig];
+    }
+    let urls = [].concat(chainConfig && chainConfig.providers || []);
+    if (chainConfig && chainConfig.provider && urls.indexOf(chainConfig.provider) === -1) {
+      urls.unshift(chainConfig.provider);
+    }
+    return urls;
+  },
+
+  /**
+   * @notice sets the provider of origin and auxiliaries configured with a list of providers to the first of them
+   * @param configurations
+   */
+  applyProviderLists: function (configurations) {
+    const withProvider = function (chainConfig) {
+      let hasProviderList = chainConfig && typeof chainConfig === 'object' && chainConfig.providers instanceof Array;
+      if (!hasProviderList || chainConfig.provider || typeof chainConfig.providers[0] !== 'string') {
+        return chainConfig;
+      }
+      return Object.assign({}, chainConfig, {provider: chainConfig.providers[0]});
+    };
+
+    configurations.origin = withProvider(configurations.origin);
+    if (configurations.auxiliaries instanceof Array) {
+      configurations.auxiliaries = configurations.auxiliaries.map(withProvider);
+    }
+  },
+
+  /**
+   * @notice derives the missing providers of origin and auxiliaries from rumNodeProvider
+   * @param configurations
+   */
+  applyRumRoutes: function (configurations) {
+    const oThis = this
+      , rumNodeProvider = configurations.rumNodeProvider
+    ;
+
+    if (typeof rumNodeProvider !== 'string' || !rumNodeProvider) {
+      return;
+    }
+
+    configurations.origin = Object.assign({}, configurations.origin);
+    if (!configurations.origin.provider) {
+      configurations.origin.provider = oThis.rumRoute(rumNodeProvider);
+    }
+
+    configurations.auxiliaries = (configurations.auxiliaries || []).map(function (auxConfig) {
+      if (!auxConfig || typeof auxConfig !== 'object' || auxConfig.provider || !auxConfig.originCoreContractAddress) {
+        return auxConfig;
+      }
+      return Object.assign({}, auxConfig, {
+        provider: oThis.rumRoute(rumNodeProvider, auxConfig.originCoreContractAddress)
+      });
+    });
+  },
+
+  /**
+   * @notice throws if the configurations are invalid
+   * @param configurations {origin: {provider}, auxiliaries: [{provider, originCoreContractAddress}]}
+   */
+  sanitize: function (configurations) {
+
+    if ( !configurations.hasOwnProperty('origin') || typeof configurations.origin != 'object' ) {
+      throw new errors.ConfigError('config_missing', "Config Missing. 'origin' configuration is missing.");
+    }
+
+    if ( typeof configurations.origin.provider !== 'string' ) {
+      throw new errors.ConfigError('invalid_config', "Invalid Origin Config. 'provider' configuration is missing.");
+    }
+    this._sanitizeProviders(configurations.origin, 'Origin');
+
+    let auxiliaries = configurations.auxiliaries;
+    if ( !auxiliaries || !auxiliaries instanceof Array ) {
+      throw new errors.ConfigError('config_missing',
+        "Config Missing. 'auxiliaries' configuration is missing. auxiliaries should be an Array of auxiliary config");
+    }
+
+    let len = auxiliaries.length;
+    while( len-- ) {
+      let auxConfig = auxiliaries[ len ];
+      if ( !auxConfig || typeof auxConfig !== 'object' ) {
+        throw new errors.ConfigError('invalid_config',
+          "Invalid Auxiliary Config. auxiliary config should be an object.");
+      }
+      if ( typeof auxConfig.provider !== 'string' ) {
+        throw new errors.ConfigError('invalid_config',
+          "Invalid Auxiliary Config. 'provider' configuration is missing.");
+      }
+      this._sanitizeProviders(auxConfig, 'Auxiliary');
+
+      if ( auxConfig.originCoreContractAddress && !web3Utils.isAddress( auxConfig.originCoreContractAddress ) ) {
+        throw new errors.ConfigError('invalid_config',
+          "Invalid Auxiliary Config. 'originCoreContractAddress' should be a valid Address.");
+      }
+    }
+  },
+
+  /**
+   * @notice throws if the optional providers and providerStrategy of a chain configuration are invalid
+   * @private
+   */
+  _sanitizeProviders: function (chainConfig, chainName) {
+    if ( chainConfig.providers !== undefined ) {
+      let isValid = chainConfig.providers instanceof Array && chainConfig.providers.length > 0
+        && chainConfig.providers.every(function ( provider ) {
+          return typeof provider === 'string' && provider.length > 0;
+        });
+      if ( !isValid ) {
+        throw new errors.ConfigError('invalid_config',
+          "Invalid " + chainName + " Config. 'providers' should be a non-empty Array of provider urls.");
+      }
+    }
+
+    let strategy = chainConfig.providerStrategy;
+    if ( strategy !== undefined && PROVIDER_STRATEGIES.indexOf( strategy ) === -1 ) {
+      throw new errors.ConfigError('invalid_config', "Invalid " + chainName + " Config. 'providerStrategy' should be "
+        + "one of " + PROVIDER_STRATEGIES.join(', ') + ".");
+    }
+  }
+};
+
+module.exports = new ConfigurationsKlass();
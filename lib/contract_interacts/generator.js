@@ -1,64 +1,213 @@
 "use strict";
 
-const BaseContract = require('web3-eth-contract');
+const path = require('path')
+  , fs = require('fs')
+;
 
-const generator = function ( proto, originContractAbi, originContractGetter, auxiliaryContractAbi, auxiliaryContractGetter ) {
-  let originContract, auxContract;
-  
-  if ( originContractAbi ) {
-   originContract = new BaseContract( originContractAbi );
-  }
+const rootPrefix = '../..'
+  , ContractEvents = require(rootPrefix + '/lib/events/ContractEvents')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const abiDirectory = path.join(__dirname, rootPrefix, 'contracts/abi');
+
+/**
+ * @param jsonInterface
+ * @return {Array} function items of jsonInterface, each with the names web3 accepts in contract.methods:
+ *         the plain name and name(types), e.g. commitStateRoot and commitStateRoot(uint256,bytes32)
+ */
+const getFunctions = function (jsonInterface) {
+  return (jsonInterface || []).filter(function (abiItem) {
+    return abiItem.type === 'function';
+  }).map(function (abiItem) {
+    let types = (abiItem.inputs || []).map(function (input) {
+      return input.type;
+    });
+    return {
+      names: [abiItem.name, abiItem.name + '(' + types.join(',') + ')'],
+      constant: !!abiItem.constant || abiItem.stateMutability === 'view' || abiItem.stateMutability === 'pure'
+    };
+  });
+};
+
+/**
+ * @notice builds the namespace of one chain of an interact. Its functions are bound to the interact.
+ * @param interact
+ * @param jsonInterface
+ * @param contractGetter name of the method of interact which returns the web3 contract object
+ * @param web3Getter name of the method of interact which returns the web3 of the chain
+ * @return {object} method objects of the contract by name, constants (calls of the constant methods) and events
+ */
+const buildNamespace = function (interact, jsonInterface, contractGetter, web3Getter) {
+  let namespace = {constants: {}, events: null};
+
+  getFunctions(jsonInterface).forEach(function (abiFunction) {
+    abiFunction.names.forEach(function (methodName) {
+      namespace[methodName] = function () {
+        let methods = interact[contractGetter]().methods;
+        return methods[methodName].apply(methods, arguments);
+      };
+      if (abiFunction.constant) {
+        namespace.constants[methodName] = function () {
+          return namespace[methodName].apply(null, arguments).call();
+        };
+      }
+    });
+  });
 
-  if ( auxiliaryContractAbi ) {
-    auxContract = new BaseContract( auxiliaryContractAbi );
+  if (typeof interact[web3Getter] === 'function') {
+    namespace.events = new ContractEvents(interact[contractGetter](), interact[web3Getter]());
   }
+  return namespace;
+};
 
-  let originMethods = originContract ? originContract.methods : {};
-  let auxMethods = auxContract ? auxContract.methods : {};
+/**
+ * @notice defines a chain namespace on proto, built once per interact on first access
+ */
+const defineNamespace = function (proto, chain, jsonInterface, contractGetter, web3Getter) {
+  const cacheKey = '_' + chain + 'Namespace';
 
-  let methodKeys  = Object.keys( originMethods )
-    , len         = methodKeys.length
-    , methodName
-  ;
+  Object.defineProperty(proto, chain, {
+    configurable: true,
+    get: function () {
+      if (!this.hasOwnProperty(cacheKey)) {
+        Object.defineProperty(this, cacheKey, {
+          value: buildNamespace(this, jsonInterface, contractGetter, web3Getter)
+        });
+      }
+      return this[cacheKey];
+    }
+  });
+};
 
-  while( len-- ) {
-    methodName = methodKeys[ len ];
-    let methodKeeper = proto;
-    if ( auxMethods.hasOwnProperty( methodName ) ) {
-      // This needs to be chian specific
-      methodKeeper = proto.origin = proto.origin || {};
-    };
+/**
+ * @notice adds the methods of an origin and an auxiliary contract to the prototype of an interact.
+ *
+ *   interact.origin.<method>, interact.auxiliary.<method>  method objects of web3, e.g. core.origin.commitStateRoot()
+ *   interact.origin.constants.<method>                    resolves with the result of a call of a constant method
+ *   interact.origin.events                               ContractEvents of the contract
+ *   interact.<method>                                    alias of a method which only one of the contracts has
+ *   interact.events                                      {origin, auxiliary} ContractEvents
+ *
+ * @param proto prototype of the interact
+ * @param originContractAbi
+ * @param originContractGetter name of the method which returns the origin web3 contract object
+ * @param auxiliaryContractAbi
+ * @param auxiliaryContractGetter name of the method which returns the auxiliary web3 contract object
+ * @param originWeb3Getter optional, defaults to _getOriginWeb3
+ * @param auxiliaryWeb3Getter optional, defaults to _getAuxiliaryWeb3
+ */
+const generator = function (proto, originContractAbi, originContractGetter, auxiliaryContractAbi,
+                            auxiliaryContractGetter, originWeb3Getter, auxiliaryWeb3Getter) {
+  const sides = [
+    {chain: 'origin', jsonInterface: originContractAbi, contractGetter: originContractGetter},
+    {chain: 'auxiliary', jsonInterface: auxiliaryContractAbi, contractGetter: auxiliaryContractGetter}
+  ];
 
-    methodKeeper[ methodName ] = function () {
-        const oThis = this
-            , web3ContractObj = oThis[ originContractGetter ]()
-            , fnScope = web3ContractObj.methods
-            , fn = fnScope[ methodName ]
-        ;
-        return fn.apply(fnScope, arguments);
-    };
+  defineNamespace(proto, 'origin', originContractAbi, originContractGetter, originWeb3Getter || '_getOriginWeb3');
+  defineNamespace(proto, 'auxiliary', auxiliaryContractAbi, auxiliaryContractGetter,
+    auxiliaryWeb3Getter || '_getAuxiliaryWeb3');
+
+  Object.defineProperty(proto, 'events', {
+    configurable: true,
+    get: function () {
+      return {origin: this.origin.events, auxiliary: this.auxiliary.events};
+    }
+  });
+
+  // Root aliases, for names which only one of the contracts has
+  let counts = {};
+  sides.forEach(function (side) {
+    side.names = [].concat.apply([], getFunctions(side.jsonInterface).map(function (abiFunction) {
+      return abiFunction.names;
+    }));
+    side.names.forEach(function (methodName) {
+      counts[methodName] = (counts[methodName] || 0) + 1;
+    });
+  });
+
+  sides.forEach(function (side) {
+    side.names.forEach(function (methodName) {
+      if (counts[methodName] > 1 || methodName in proto) {
+        return;
+      }
+      proto[methodName] = function () {
+        return this[side.chain][methodName].apply(null, arguments);
+      };
+    });
+  });
+};
+
+/**
+ * @param abiName file name in contracts/abi without .abi, e.g. GatewayV1
+ * @return {Array} jsonInterface
+ */
+generator.loadAbi = function (abiName) {
+  let filePath = path.join(abiDirectory, abiName + '.abi');
+  if (path.dirname(filePath) !== abiDirectory || !fs.existsSync(filePath)) {
+    throw new errors.ConfigError('invalid_argument', "No ABI '" + abiName + "' in contracts/abi", {abiName: abiName});
   }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
 
-  methodKeys  = Object.keys( auxMethods );
-  len         = methodKeys.length;
-  while( len-- ) {
-    methodName = methodKeys[ len ];
-    let methodKeeper = proto;
-    if ( originMethods.hasOwnProperty( methodName ) ) {
-      // This needs to be chian specific
-      methodKeeper = proto.auxiliary = proto.auxiliary || {};
-    };
+/**
+ * @notice builds the interact class of an origin and an auxiliary contract, e.g. createInteract('Core', 'Core').
+ *         Instances are created through the InstanceComposer as they need ic(), see Contracts.interact.
+ *         Sends of both contracts go through the TransactionManager of their chain, if it has one.
+ * @param originAbiName
+ * @param auxiliaryAbiName
+ * @return {Function} constructor (originAddress, originOptions, auxiliaryConfig, auxiliaryAddress, auxiliaryOptions)
+ */
+generator.createInteract = function (originAbiName, auxiliaryAbiName) {
+  const originJsonInterface = generator.loadAbi(originAbiName)
+    , auxiliaryJsonInterface = generator.loadAbi(auxiliaryAbiName)
+  ;
+
+  const Interact = function (originAddress, originOptions, auxiliaryConfig, auxiliaryAddress, auxiliaryOptions) {
+    const oThis = this
+      , OriginWeb3 = oThis.ic().OriginWeb3()
+      , originWeb3 = new OriginWeb3()
+      , AuxiliaryWeb3 = oThis.ic().AuxiliaryWeb3()
+      , auxiliaryWeb3 = new AuxiliaryWeb3(auxiliaryConfig)
+      , originContract = new originWeb3.eth.Contract(originJsonInterface, originAddress, originOptions || {})
+      , auxiliaryContract = new auxiliaryWeb3.eth.Contract(auxiliaryJsonInterface, auxiliaryAddress,
+        auxiliaryOptions || {})
+    ;
+
+    oThis.auxiliaryConfig = auxiliaryConfig;
+
+    // Sends go through the TransactionManager of the chain, if it has one.
+    oThis.ic().Transactions().wrapContract('origin', originContract);
+    oThis.ic().Transactions().wrapContract('auxiliary', auxiliaryContract, auxiliaryConfig);
 
-    methodKeeper[ methodName ] = function () {
-        const oThis = this
-            , web3ContractObj = oThis[ auxiliaryContractGetter ]()
-            , fnScope = web3ContractObj.methods
-            , fn = fnScope[ methodName ]
-        ;
-        return fn.apply(fnScope, arguments);
+    oThis._getOriginContract = function () {
+      return originContract;
     };
-  }
-}
+    oThis._getAuxiliaryContract = function () {
+      return auxiliaryContract;
+    };
+    oThis._getOriginWeb3 = function () {
+      return originWeb3;
+    };
+    oThis._getAuxiliaryWeb3 = function () {
+      return auxiliaryWeb3;
+    };
+  };
+
+  const proto = Interact.prototype = {
+    constructor: Interact
+    , originAbiName: originAbiName
+    , auxiliaryAbiName: auxiliaryAbiName
+    , auxiliaryConfig: null
+    , _getOriginContract: null
+    , _getAuxiliaryContract: null
+    , _getOriginWeb3: null
+    , _getAuxiliaryWeb3: null
+  };
+
+  generator(proto, originJsonInterface, '_getOriginContract', auxiliaryJsonInterface, '_getAuxiliaryContract');
 
+  return Interact;
+};
 
 module.exports = generator;
@@ -0,0 +1,173 @@
+"use strict";
+
+const path = require('path')
+  , fs = require('fs')
+;
+
+const InstanceComposer = require('../../instance_composer')
+  , configurationsHelper = require('../configurations')
+  , ChainRegistry = require('./ChainRegistry')
+  , errors = require('../errors')
+;
+
+function parseFile(filePath, options) {
+  filePath = path.join(__dirname, '/' + filePath);
+  const fileContent = fs.readFileSync(filePath, options || 'utf8');
+  return JSON.parse(fileContent);
+}
+
+const coreJsonInterface = parseFile('../../contracts/abi/Core.abi', 'utf8')
+  , gatewayJsonInterface = parseFile('../../contracts/abi/GatewayV1.abi', 'utf8')
+;
+
+/**
+ * Reads the auxiliary chains registered with origin cores from chain and builds a ChainRegistry.
+ * Providers come from the auxiliaries configuration, or from the RUM node when only rumNodeProvider is configured.
+ *
+ * The Registrar does not list the cores it serves, so cores are always given by address. A registrar address is
+ * used to check that every core reports it.
+ *
+ * @constructor
+ * @param options {coreAddresses, registrar, gateways, strict}
+ *                coreAddresses defaults to the originCoreContractAddress of the configured auxiliaries.
+ *                gateways maps an origin core address to the addresses of its GatewayV1 contracts on origin,
+ *                the auxiliaries configuration may list them as gateways too.
+ *                With strict, discover rejects when a misconfiguration is found.
+ */
+const ChainDiscovery = function (options) {
+  const oThis = this
+    , configStrategy = oThis.ic().configStrategy
+  ;
+
+  options = options || {};
+  oThis.auxiliaryConfigs = configStrategy.auxiliaries || [];
+  oThis.rumNodeProvider = configStrategy.rumNodeProvider;
+  oThis.coreAddresses = options.coreAddresses || oThis.auxiliaryConfigs.map(function (auxConfig) {
+    return auxConfig.originCoreContractAddress;
+  }).filter(Boolean);
+  oThis.registrar = options.registrar || null;
+  oThis.gateways = options.gateways || {};
+  oThis.strict = !!options.strict;
+};
+
+ChainDiscovery.prototype = {
+  constructor: ChainDiscovery,
+
+  /**
+   * @return {Promise<ChainRegistry>}
+   */
+  discover: async function () {
+    const oThis = this
+      , OriginWeb3 = oThis.ic().OriginWeb3()
+      , originWeb3 = new OriginWeb3()
+      , misconfigurations = []
+      , auxiliaries = []
+    ;
+
+    let origin = {
+      chainId: String(await originWeb3.eth.net.getId()),
+      provider: oThis.ic().configStrategy.origin.provider
+    };
+
+    for (let i = 0; i < oThis.coreAddresses.length; i++) {
+      auxiliaries.push(await oThis._discoverAuxiliary(originWeb3, origin, oThis.coreAddresses[i], misconfigurations));
+    }
+
+    let registry = new ChainRegistry(origin, auxiliaries, misconfigurations);
+    if (oThis.strict && !registry.isValid()) {
+      throw new errors.ConfigError('invalid_config',
+        "Chain discovery found misconfigurations: " + JSON.stringify(misconfigurations), {registry: registry});
+    }
+    return registry;
+  },
+
+  /**
+   * @return {Promise<object>} auxiliary of the registry, misconfigurations are added to misconfigurations
+   * @private
+   */
+  _discoverAuxiliary: async function (originWeb3, origin, coreAddress, misconfigurations) {
+    const oThis = this
+      , originCore = new originWeb3.eth.Contract(coreJsonInterface, coreAddress)
+      , auxConfig = oThis._getAuxiliaryConfig(coreAddress)
+    ;
+
+    let addError = function (error, expected, actual) {
+      misconfigurations.push({
+        error: error, originCoreContractAddress: coreAddress, expected: expected, actual: actual
+      });
+    };
+
+    let auxiliary = {
+      originCoreContractAddress: coreAddress,
+      chainId: String(await originCore.methods.chainIdRemote().call()),
+      coCoreContractAddress: await originCore.methods.coCore().call(),
+      workers: await originCore.methods.workers().call(),
+      registrar: await originCore.methods.registrar().call(),
+      provider: auxConfig.provider || null,
+      gateways: []
+    };
+
+    let coreChainIdOrigin = String(await originCore.methods.coreChainIdOrigin().call());
+    if (coreChainIdOrigin !== origin.chainId) {
+      addError('origin_chain_id_mismatch', origin.chainId, coreChainIdOrigin);
+    }
+    if (oThis.registrar && auxiliary.registrar.toLowerCase() !== oThis.registrar.toLowerCase()) {
+      addError('registrar_mismatch', oThis.registrar, auxiliary.registrar);
+    }
+
+    let gatewayAddresses = (oThis.gateways[coreAddress] || oThis.gateways[coreAddress.toLowerCase()] || [])
+      .concat(auxConfig.gateways || []);
+    for (let i = 0; i < gatewayAddresses.length; i++) {
+      let gateway = new originWeb3.eth.Contract(gatewayJsonInterface, gatewayAddresses[i]);
+      auxiliary.gateways.push({gateway: gatewayAddresses[i], coGateway: await gateway.methods.coGateway().call()});
+    }
+
+    if (!auxiliary.provider) {
+      addError('provider_missing', null, null);
+      return auxiliary;
+    }
+
+    let AuxiliaryWeb3 = oThis.ic().AuxiliaryWeb3()
+      , auxiliaryWeb3 = new AuxiliaryWeb3({provider: auxiliary.provider})
+      , providerChainId = String(await auxiliaryWeb3.eth.net.getId())
+    ;
+    if (providerChainId !== auxiliary.chainId) {
+      addError('chain_id_mismatch', auxiliary.chainId, providerChainId);
+      return auxiliary;
+    }
+
+    let coCore = new auxiliaryWeb3.eth.Contract(coreJsonInterface, auxiliary.coCoreContractAddress)
+      , coCoreChainIdRemote = String(await coCore.methods.chainIdRemote().call())
+    ;
+    if (coCoreChainIdRemote !== origin.chainId) {
+      addError('co_core_chain_id_mismatch', origin.chainId, coCoreChainIdRemote);
+    }
+
+    return auxiliary;
+  },
+
+  /**
+   * @return {object} configured auxiliary of the core, with the RUM route as provider when it is not configured
+   * @private
+   */
+  _getAuxiliaryConfig: function (coreAddress) {
+    const oThis = this
+      , address = String(coreAddress).toLowerCase()
+    ;
+
+    let auxConfig = oThis.auxiliaryConfigs.find(function (config) {
+      return String(config.originCoreContractAddress).toLowerCase() === address;
+    }) || {};
+
+    if (!auxConfig.provider && oThis.rumNodeProvider) {
+      auxConfig = Object.assign({}, auxConfig, {
+        provider: configurationsHelper.rumRoute(oThis.rumNodeProvider, address)
+      });
+    }
+    return auxConfig;
+  }
+};
+
+InstanceComposer.registerShadowableClass(ChainDiscovery, 'ChainDiscovery');
+
+module.exports = ChainDiscovery;
@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+ * Chains found by ChainDiscovery.
+ *
+ * @constructor
+ * @param origin {chainId, provider}
+ * @param auxiliaries [{chainId, provider, originCoreContractAddress, coCoreContractAddress, workers, registrar,
+ *                     gateways: [{gateway, coGateway}]}]
+ * @param errors [{error, originCoreContractAddress, expected, actual}] misconfigurations found while discovering
+ */
+const ChainRegistry = function (origin, auxiliaries, errors) {
+  const oThis = this;
+
+  oThis.origin = origin;
+  oThis.auxiliaries = auxiliaries || [];
+  oThis.errors = errors || [];
+};
+
+ChainRegistry.prototype = {
+  constructor: ChainRegistry,
+
+  /**
+   * @return {boolean} true if no misconfiguration was found
+   */
+  isValid: function () {
+    return this.errors.length === 0;
+  },
+
+  /**
+   * @param originCoreContractAddress
+   * @return {object|null} auxiliary registered with the origin core
+   */
+  getAuxiliary: function (originCoreContractAddress) {
+    const oThis = this
+      , address = String(originCoreContractAddress).toLowerCase()
+    ;
+
+    return oThis.auxiliaries.find(function (auxiliary) {
+      return auxiliary.originCoreContractAddress.toLowerCase() === address;
+    }) || null;
+  },
+
+  /**
+   * @param chainId
+   * @return {object|null}
+   */
+  getAuxiliaryByChainId: function (chainId) {
+    const oThis = this;
+
+    return oThis.auxiliaries.find(function (auxiliary) {
+      return auxiliary.chainId === String(chainId);
+    }) || null;
+  },
+
+  /**
+   * @return {Array} auxiliaries in the format of the auxiliaries configuration of Mosaic
+   */
+  toAuxiliaryConfigs: function () {
+    const oThis = this;
+
+    return oThis.auxiliaries.filter(function (auxiliary) {
+      return auxiliary.provider;
+    }).map(function (auxiliary) {
+      return {
+        provider: auxiliary.provider,
+        originCoreContractAddress: auxiliary.originCoreContractAddress,
+        chainId: auxiliary.chainId
+      };
+    });
+  }
+};
+
+module.exports = ChainRegistry;
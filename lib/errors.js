@@ -0,0 +1,94 @@
+"use strict";
+
+/**
+ * Errors of the package. Every error has a code to branch on, e.g.
+ *
+ *   if (error instanceof errors.ProofError && error.code === 'state_not_available') { ... }
+ *
+ * Additional context is set as properties of the error, e.g. chain and method of a ContractCallError.
+ */
+
+/**
+ * @constructor
+ * @param code
+ * @param message
+ * @param data optional properties to set on the error
+ */
+const MosaicError = function (code, message, data) {
+  const oThis = this;
+
+  oThis.name = oThis.constructor.name;
+  oThis.code = code;
+  oThis.message = message || code;
+  Object.assign(oThis, data);
+  Error.captureStackTrace(oThis, oThis.constructor);
+};
+MosaicError.prototype = Object.create(Error.prototype);
+MosaicError.prototype.constructor = MosaicError;
+
+/**
+ * @param name
+ * @param Parent
+ * @return {Function} constructor of an error class derived from Parent
+ */
+const define = function (name, Parent) {
+  const ErrorClass = {
+    [name]: function (code, message, data) {
+      Parent.call(this, code, message, data);
+    }
+  }[name];
+  ErrorClass.prototype = Object.create(Parent.prototype);
+  ErrorClass.prototype.constructor = ErrorClass;
+  return ErrorClass;
+};
+
+/**
+ * Invalid configurations or arguments. Codes: config_missing, invalid_config, invalid_argument, duplicate_getter.
+ */
+const ConfigError = define('ConfigError', MosaicError);
+
+/**
+ * No chain is known for the given core address or chain id. Code: chain_not_found.
+ */
+const ChainNotFoundError = define('ChainNotFoundError', MosaicError);
+
+/**
+ * Proof generation failed. Codes: tree_not_initialized, account_address_undefined, storage_index_undefined,
+ * account_node_not_found, storage_node_not_found, node_not_found, state_not_available, block_not_found,
+ * state_root_not_committed, invalid_proof_config, invalid_storage_layout, read_only.
+ */
+const ProofError = define('ProofError', MosaicError);
+
+/**
+ * A json-rpc request was answered with an error, rpcCode is the json-rpc error code, or no provider of a chain answered
+ * it. Codes: rpc_error, provider_unavailable.
+ */
+const RpcError = define('RpcError', MosaicError);
+
+/**
+ * A contract call or transaction failed. Has chain, method, contractAddress and cause. Codes: contract_call_failed,
+ * transaction_cancelled.
+ */
+const ContractCallError = define('ContractCallError', MosaicError);
+
+/**
+ * A cross-chain flow can not proceed, or waiting for it ended. Codes: event_not_found, not_revertible, not_activated,
+ * stopped, timeout.
+ */
+const FlowError = define('FlowError', MosaicError);
+
+/**
+ * No worker can sign for a chain. Code: no_valid_worker.
+ */
+const WorkerError = define('WorkerError', MosaicError);
+
+module.exports = {
+  MosaicError: MosaicError,
+  ConfigError: ConfigError,
+  ChainNotFoundError: ChainNotFoundError,
+  ProofError: ProofError,
+  RpcError: RpcError,
+  ContractCallError: ContractCallError,
+  FlowError: FlowError,
+  WorkerError: WorkerError
+};
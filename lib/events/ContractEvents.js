@@ -0,0 +1,132 @@
+"use strict";
+
+const rootPrefix = '../..'
+  , decoder = require(rootPrefix + '/lib/events/decoder')
+  , helper = require(rootPrefix + '/lib/flows/helper')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+/**
+ * Events of one contract of an interact. Every event of the ABI is a method which subscribes to it, e.g.
+ *
+ *   gateway.events.origin.StakeRequestedEvent({filter: {_staker: staker}}).on('data', console.log);
+ *
+ * @constructor
+ * @param contract web3 contract object
+ * @param web3 web3 of the chain of contract
+ */
+const ContractEvents = function (contract, web3) {
+  const oThis = this;
+
+  oThis.contract = contract;
+  oThis.web3 = web3;
+  oThis.names = contract.options.jsonInterface.filter(function (abiItem) {
+    return abiItem.type === 'event';
+  }).map(function (abiItem) {
+    return abiItem.name;
+  });
+
+  oThis.names.forEach(function (eventName) {
+    oThis[eventName] = function (options, callback) {
+      return contract.events[eventName](options, callback);
+    };
+  });
+};
+
+ContractEvents.prototype = {
+  constructor: ContractEvents,
+
+  /**
+   * @param eventName
+   * @param options {filter, fromBlock, toBlock} of web3 getPastEvents
+   * @return {Promise<Array>}
+   */
+  getPast: function (eventName, options) {
+    return this.contract.getPastEvents(eventName, options || {fromBlock: 0, toBlock: 'latest'});
+  },
+
+  /**
+   * @notice decodes the logs which the contract emitted in receipt
+   * @param receipt
+   * @return {object} events by name, see decoder.decodeReceipt
+   */
+  decodeReceipt: function (receipt) {
+    const oThis = this
+      , address = oThis.contract.options.address
+    ;
+
+    let logs = (receipt && receipt.logs || []).filter(function (log) {
+      return !address || String(log.address).toLowerCase() === address.toLowerCase();
+    });
+    return decoder.decodeReceipt({logs: logs});
+  },
+
+  /**
+   * @notice polls until the event is found with the given number of confirmations. An event whose block left the
+   *         chain in a reorganisation is dropped and the chain searched again.
+   * @param filter {event, returnValues, fromBlock} the first event named event whose returnValues match
+   * @param options {confirmations, pollInterval, timeout, shouldStop}
+   *                confirmations defaults to 0, i.e. the event is returned as soon as its block is the head.
+   *                shouldStop is an optional function, polling ends when it returns true.
+   * @return {Promise<event>} web3 event with confirmations. Rejects with FlowError timeout or stopped.
+   */
+  waitForEvent: async function (filter, options) {
+    const oThis = this
+      , returnValues = filter.returnValues || {}
+      , startedAt = Date.now()
+    ;
+
+    options = options || {};
+    let confirmations = options.confirmations || 0
+      , fromBlock = filter.fromBlock || 0
+    ;
+
+    while (true) {
+      let latest = await oThis.web3.eth.getBlockNumber()
+        , events = await oThis.contract.getPastEvents(filter.event, {
+          filter: returnValues, fromBlock: fromBlock, toBlock: latest
+        })
+      ;
+
+      let matching = events.filter(function (event) {
+        return !event.removed && oThis._matches(event.returnValues, returnValues);
+      });
+      for (let i = 0; i < matching.length; i++) {
+        let event = matching[i]
+          , depth = latest - event.blockNumber + 1
+        ;
+        if (depth < confirmations) {
+          break;
+        }
+        let block = await oThis.web3.eth.getBlock(event.blockNumber);
+        if (block && block.hash === event.blockHash) {
+          event.confirmations = depth;
+          return event;
+        }
+      }
+
+      // Blocks deeper than confirmations are final, events can only still appear above them.
+      if (!matching.length) {
+        fromBlock = Math.max(fromBlock, latest - confirmations);
+      }
+
+      if (options.shouldStop && options.shouldStop()) {
+        throw new errors.FlowError('stopped', "Stopped while waiting for event " + filter.event,
+          {eventName: filter.event});
+      }
+      if (options.timeout && Date.now() - startedAt >= options.timeout) {
+        throw new errors.FlowError('timeout', "Event " + filter.event + " not found within " + options.timeout + "ms",
+          {eventName: filter.event});
+      }
+      await helper.sleep(options.pollInterval || helper.defaultPollInterval);
+    }
+  },
+
+  _matches: function (actual, expected) {
+    return Object.keys(expected).every(function (name) {
+      return String(actual[name]).toLowerCase() === String(expected[name]).toLowerCase();
+    });
+  }
+};
+
+module.exports = ContractEvents;
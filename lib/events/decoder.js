@@ -0,0 +1,113 @@
+"use strict";
+
+const path = require('path')
+  , fs = require('fs')
+  , abiDecoder = require('abi-decoder')
+  , web3Utils = require('web3-utils')
+;
+
+const abiDirectory = path.join(__dirname, '../../contracts/abi');
+
+/**
+ * Constructor for the decoder of receipt logs - EventDecoderKlass
+ * Knows the events of every contract in contracts/abi.
+ * @constructor
+ */
+const EventDecoderKlass = function () {
+  this.abisLoaded = false;
+};
+
+EventDecoderKlass.prototype = {
+
+  /**
+   * @notice makes the events of jsonInterface known to the decoder, e.g. of contracts outside of contracts/abi
+   * @param jsonInterface
+   */
+  addABI: function (jsonInterface) {
+    abiDecoder.addABI(jsonInterface);
+  },
+
+  /**
+   * @notice decodes the logs of a receipt, e.g. one read with getTransactionReceipt
+   * @param receipt
+   * @return {object} events by name, like receipt.events of web3: an event, or an array of the events when the
+   *         receipt has several with the same name. Logs of unknown events are left out.
+   */
+  decodeReceipt: function (receipt) {
+    const oThis = this;
+
+    let events = {};
+    oThis.decodeLogs(receipt && receipt.logs).forEach(function (event) {
+      if (!events[event.event]) {
+        events[event.event] = event;
+      } else {
+        events[event.event] = [].concat(events[event.event], event);
+      }
+    });
+    return events;
+  },
+
+  /**
+   * @param logs
+   * @return {Array} events {event, address, returnValues, logIndex, transactionHash, blockHash, blockNumber}
+   */
+  decodeLogs: function (logs) {
+    const oThis = this;
+
+    oThis._loadABIs();
+
+    let decoded = [];
+    (logs || []).forEach(function (log) {
+      if (!log.topics || !log.topics.length) {
+        return;
+      }
+      let decodedLog = abiDecoder.decodeLogs([log])[0];
+      if (!decodedLog) {
+        return;
+      }
+
+      let returnValues = {};
+      decodedLog.events.forEach(function (param, index) {
+        let value = param.value;
+        if (param.type === 'address' && web3Utils.isAddress(value)) {
+          value = web3Utils.toChecksumAddress(value);
+        }
+        returnValues[index] = value;
+        if (param.name) {
+          returnValues[param.name] = value;
+        }
+      });
+
+      decoded.push({
+        event: decodedLog.name,
+        address: log.address,
+        returnValues: returnValues,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+        blockHash: log.blockHash,
+        blockNumber: log.blockNumber
+      });
+    });
+    return decoded;
+  },
+
+  _loadABIs: function () {
+    const oThis = this;
+
+    if (oThis.abisLoaded) {
+      return;
+    }
+    oThis.abisLoaded = true;
+    fs.readdirSync(abiDirectory).forEach(function (fileName) {
+      if (path.extname(fileName) !== '.abi') {
+        return;
+      }
+      let jsonInterface = JSON.parse(fs.readFileSync(path.join(abiDirectory, fileName), 'utf8'));
+      if (Array.isArray(jsonInterface)) {
+        abiDecoder.addABI(jsonInterface);
+      }
+    });
+  }
+};
+
+module.exports = new EventDecoderKlass();
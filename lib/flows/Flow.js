@@ -0,0 +1,216 @@
+"use strict";
+
+const EventEmitter = require('events')
+  , web3Utils = require('web3-utils')
+;
+
+const helper = require('./helper');
+
+/**
+ * Options of a flow which are kept in its journal record, so resumeAll can rebuild it.
+ */
+const JOURNALED_OPTIONS = [
+  'originTxOptions', 'auxiliaryTxOptions', 'originChainDataPath', 'auxiliaryChainDataPath', 'originProofBackend',
+  'auxiliaryProofBackend', 'pollInterval', 'outboxIndex', 'inboxIndex', 'relayStateRoots'
+];
+
+/**
+ * Base of the resumable cross-chain flows.
+ * A flow is an ordered list of steps. Every step is implemented by the prototype method '_' + stepName.
+ * Emits 'step' (stepName, state) and the step name itself (state) after every completed step.
+ *
+ * @constructor
+ * @param steps ordered step names
+ * @param options {originTxOptions, auxiliaryTxOptions, workerManager, pollInterval, journal}
+ *                with a workerManager, transactions without a from address are sent from a valid worker.
+ *                The state is recorded in journal before the first step and after every step. journal defaults to
+ *                mosaic.flows.journal, null disables it.
+ */
+const Flow = function (steps, options) {
+  const oThis = this;
+
+  EventEmitter.call(oThis);
+
+  options = options || {};
+  oThis.steps = steps;
+  oThis.originTxOptions = options.originTxOptions || {};
+  oThis.auxiliaryTxOptions = options.auxiliaryTxOptions || {};
+  oThis.workerManager = options.workerManager || null;
+  oThis.pollInterval = options.pollInterval || helper.defaultPollInterval;
+  oThis.journal = options.journal !== undefined ? options.journal
+    : typeof oThis.ic === 'function' ? oThis.ic().Flows().journal : null;
+  oThis.journalOptions = {};
+  JOURNALED_OPTIONS.forEach(function (name) {
+    if (options[name] !== undefined) {
+      oThis.journalOptions[name] = options[name];
+    }
+  });
+  oThis.state = null;
+  oThis.stopped = false;
+};
+
+Flow.prototype = Object.create(EventEmitter.prototype);
+
+Object.assign(Flow.prototype, {
+  constructor: Flow,
+
+  /**
+   * @notice stops the flow before its next step. The state can be used to resume it later.
+   */
+  stop: function () {
+    this.stopped = true;
+  },
+
+  /**
+   * @return {boolean} true if stop was requested
+   */
+  isStopped: function () {
+    return this.stopped;
+  },
+
+  /**
+   * @notice continues a flow from its last completed step, e.g. with the state of its journal record.
+   * @param state
+   * @return {Promise<state>}
+   */
+  restore: function (state) {
+    const oThis = this;
+
+    oThis.state = Object.assign({transactionHashes: {}}, state);
+    return oThis._run();
+  },
+
+  /**
+   * @notice current block numbers of both chains, kept as state.fromBlock when a flow starts. Events of the flow are
+   *         searched from there when it is resumed or reverted.
+   * @return {Promise<{origin: string, auxiliary: string}>}
+   * @private
+   */
+  _currentBlocks: async function () {
+    const oThis = this;
+
+    return {
+      origin: String(await oThis.gateway._getOriginWeb3().eth.getBlockNumber()),
+      auxiliary: String(await oThis.gateway._getAuxiliaryWeb3().eth.getBlockNumber())
+    };
+  },
+
+  /**
+   * @notice tx options of a chain, with a worker as sender if a worker manager is configured.
+   * @param chain 'origin' or 'auxiliary'
+   * @param overrides optional tx options which take precedence
+   * @return {Promise<object>}
+   * @private
+   */
+  _txOptions: function (chain, overrides) {
+    const oThis = this;
+
+    let txOptions = Object.assign({}, chain === 'origin' ? oThis.originTxOptions : oThis.auxiliaryTxOptions, overrides);
+    if (oThis.workerManager) {
+      return oThis.workerManager.getTxOptions(chain, txOptions);
+    }
+    return Promise.resolve(txOptions);
+  },
+
+  /**
+   * @notice sends a web3 contract method on the given chain.
+   * @param method web3 contract method object
+   * @param chain 'origin' or 'auxiliary'
+   * @param overrides optional tx options which take precedence
+   * @return {Promise<receipt>}
+   * @private
+   */
+  _send: async function (method, chain, overrides) {
+    const oThis = this;
+
+    return helper.send(method, await oThis._txOptions(chain, overrides), chain);
+  },
+
+  /**
+   * @notice runs all steps after state.step.
+   * @return {Promise<state>}
+   * @private
+   */
+  _run: async function () {
+    const oThis = this;
+
+    oThis.stopped = false;
+    await oThis._journal();
+    let index = oThis.state.step ? oThis.steps.indexOf(oThis.state.step) + 1 : 0;
+    for (; index < oThis.steps.length; index++) {
+      if (oThis.stopped) {
+        return oThis.state;
+      }
+      let stepName = oThis.steps[index];
+      try {
+        await oThis['_' + stepName]();
+      } catch (error) {
+        await oThis._journal({error: String(error && error.message || error)});
+        throw error;
+      }
+      oThis.state.step = stepName;
+      await oThis._journal();
+      oThis.emit('step', stepName, oThis.state);
+      oThis.emit(stepName, oThis.state);
+    }
+    return oThis.state;
+  },
+
+  /**
+   * @notice records the state in the journal. Records of flows without gateway and core are not resumable.
+   * @param fields optional fields of the record, e.g. error
+   * @return {Promise}
+   * @private
+   */
+  _journal: function (fields) {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    if (!oThis.journal) {
+      return Promise.resolve();
+    }
+    if (!state.journalId) {
+      state.journalId = web3Utils.randomHex(16);
+    }
+
+    let record = Object.assign({
+      id: state.journalId,
+      flow: oThis.flowName || null,
+      messageHash: state.messageHash || null,
+      gateway: oThis._journalInteract(oThis.gateway),
+      core: oThis._journalInteract(oThis.core),
+      auxiliary: oThis._journalAuxiliary(),
+      options: oThis.journalOptions,
+      state: state,
+      done: state.step === oThis.steps[oThis.steps.length - 1],
+      error: null,
+      updatedAt: new Date().toISOString()
+    }, fields);
+    return oThis.journal.save(record);
+  },
+
+  _journalInteract: function (interact) {
+    if (!interact || typeof interact._getOriginContract !== 'function') {
+      return null;
+    }
+    return {
+      origin: interact._getOriginContract().options.address,
+      auxiliary: interact._getAuxiliaryContract().options.address
+    };
+  },
+
+  /**
+   * @return {string|object|null} origin core address of the auxiliary, or its provider. Keys are never recorded.
+   * @private
+   */
+  _journalAuxiliary: function () {
+    let auxiliaryConfig = this.gateway && this.gateway.auxiliaryConfig;
+    if (!auxiliaryConfig || typeof auxiliaryConfig !== 'object') {
+      return auxiliaryConfig || null;
+    }
+    return auxiliaryConfig.originCoreContractAddress || {provider: auxiliaryConfig.provider};
+  }
+});
+
+module.exports = Flow;
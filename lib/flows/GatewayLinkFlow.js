@@ -0,0 +1,282 @@
+"use strict";
+
+const ethUtils = require('ethereumjs-util');
+
+const InstanceComposer = require('../../instance_composer')
+  , Flow = require('./Flow')
+  , helper = require('./helper')
+  , hashing = require('../hashing')
+  , errors = require('../errors')
+;
+
+const STEPS = [
+  'gatewayLinkInitiated',
+  'stateRootCommitted',
+  'gatewayProven',
+  'gatewayLinkConfirmed',
+  'gatewayLinkProcessed',
+  'coGatewayLinkProcessed',
+  'activationVerified'
+];
+
+/**
+ * Links a GatewayV1 on origin with its CoGatewayV1 on auxiliary, see ERC20Gateway.linkGateways.
+ *
+ * @constructor
+ * @param erc20Gateway instance of ERC20Gateway interact
+ * @param core instance of Core interact
+ * @param options {originChainDataPath, originProofBackend, originTxOptions, auxiliaryTxOptions, workerManager,
+ *                 pollInterval, outboxIndex, relayStateRoots, logger}
+ *                with relayStateRoots a StateRootRelayer commits the origin state roots while the flow waits for them.
+ */
+const GatewayLinkFlow = function (erc20Gateway, core, options) {
+  const oThis = this;
+
+  options = options || {};
+  Flow.call(oThis, STEPS, options);
+
+  oThis.gateway = erc20Gateway;
+  oThis.core = core;
+  oThis.originProofConfig = helper.proofConfig(
+    options.originChainDataPath || oThis.ic().configStrategy.origin.chainDataPath,
+    options.originProofBackend || oThis.ic().configStrategy.origin.proofBackend,
+    erc20Gateway._getOriginWeb3()
+  );
+  oThis.outboxIndex = options.outboxIndex || helper.outboxIndex;
+  oThis.relayStateRoots = !!options.relayStateRoots;
+  oThis.logger = options.logger;
+};
+
+GatewayLinkFlow.prototype = Object.create(Flow.prototype);
+
+Object.assign(GatewayLinkFlow.prototype, {
+  constructor: GatewayLinkFlow,
+  flowName: 'GatewayLinkFlow',
+
+  /**
+   * @notice starts a new gateway link.
+   * @param params {sender, nonce, gasPrice, intentHash, signature, unlockSecret, hashLock}
+   *               sender defaults to the organisation of the gateway, nonce and gasPrice to '0'. The intent hash is
+   *               computed from the gateways and their code hashes when missing. The signature of the message hash is
+   *               created when the TransactionManager of origin has the private key of the sender.
+   * @return {Promise<state>} resolves with the final state once the gateway is activated
+   */
+  start: async function (params) {
+    const oThis = this;
+
+    let state = Object.assign({nonce: '0', gasPrice: '0'}, params, {step: null, transactionHashes: {}});
+    if (!state.hashLock) {
+      Object.assign(state, hashing.generateHashLock());
+    }
+    state.fromBlock = state.fromBlock || await oThis._currentBlocks();
+    oThis.state = state;
+
+    return oThis._run();
+  },
+
+  /**
+   * @notice resumes a gateway link after its last completed step.
+   * @param messageHash
+   * @param state previously emitted state. The block of GatewayLinkInitiated is looked up from
+   *              state.fromBlock.origin when missing, which is then required.
+   * @return {Promise<state>}
+   */
+  resume: async function (messageHash, state) {
+    const oThis = this;
+
+    state = Object.assign({transactionHashes: {}}, state, {messageHash: messageHash});
+    if (!state.step) {
+      state.step = 'gatewayLinkInitiated';
+    }
+
+    if (!state.linkBlockHeight) {
+      helper.checkFromBlock(state.fromBlock, ['origin']);
+      let event = await helper.findEventByMessageHash(
+        oThis.gateway._getOriginContract(), 'GatewayLinkInitiated', messageHash, state.fromBlock.origin
+      );
+      if (!event) {
+        throw new errors.FlowError('event_not_found', "No GatewayLinkInitiated found for message hash " + messageHash,
+          {eventName: 'GatewayLinkInitiated', messageHash: messageHash});
+      }
+      state.linkBlockHeight = String(event.blockNumber);
+    }
+    oThis.state = state;
+
+    return oThis._run();
+  },
+
+  _gatewayLinkInitiated: async function () {
+    const oThis = this
+      , state = oThis.state
+      , constants = oThis.gateway.origin.constants
+    ;
+
+    state.sender = state.sender || await constants.organisation();
+    state.intentHash = state.intentHash || await oThis._intentHash();
+    state.signature = state.signature || oThis._sign(
+      hashing.messageHash(hashing.typeHash(hashing.TYPES.gatewayLink), state.intentHash, state.nonce, state.gasPrice)
+    );
+
+    let receipt = await oThis._send(
+      oThis.gateway.initiateGatewayLink(
+        state.intentHash, state.gasPrice, state.nonce, state.sender, state.hashLock, state.signature
+      ),
+      'origin'
+    );
+
+    state.messageHash = helper.getEvent(receipt, 'GatewayLinkInitiated').messageHash;
+    state.linkBlockHeight = String(receipt.blockNumber);
+    state.transactionHashes.initiateGatewayLink = receipt.transactionHash;
+  },
+
+  _stateRootCommitted: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let relayer = null;
+    if (oThis.relayStateRoots) {
+      let StateRootRelayer = oThis.ic().StateRootRelayer();
+      relayer = new StateRootRelayer(oThis.core, {
+        pollInterval: oThis.pollInterval,
+        originTxOptions: oThis.originTxOptions,
+        auxiliaryTxOptions: oThis.auxiliaryTxOptions,
+        logger: oThis.logger
+      });
+      relayer.start();
+    }
+
+    let committed;
+    try {
+      committed = await helper.waitForStateRoot(
+        oThis.core._getAuxiliaryContract(), state.linkBlockHeight, oThis.pollInterval, oThis.isStopped.bind(oThis)
+      );
+    } finally {
+      if (relayer) {
+        await relayer.stop();
+      }
+    }
+    state.proofBlockHeight = committed.blockHeight;
+    state.stateRoot = committed.stateRoot;
+  },
+
+  _gatewayProven: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let proof = await helper.buildMessageProof(
+      state.stateRoot, state.proofBlockHeight, oThis.originProofConfig,
+      oThis.gateway._getOriginContract().options.address, oThis.outboxIndex, state.messageHash
+    );
+    state.storageProof = helper.addHexPrefix(proof.storageProof.parentNodes);
+
+    let receipt = await helper.proveGatewayAccount(
+      oThis.core._getAuxiliaryContract(), state.proofBlockHeight, proof.accountProof,
+      await oThis._txOptions('auxiliary'), 'auxiliary'
+    );
+    state.transactionHashes.proveGateway = receipt.transactionHash;
+  },
+
+  _gatewayLinkConfirmed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.confirmGatewayLinkIntent(
+        oThis.gateway._getOriginContract().options.address, state.intentHash, state.gasPrice, state.nonce,
+        state.sender, state.hashLock, state.proofBlockHeight, state.storageProof
+      ),
+      'auxiliary'
+    );
+    state.transactionHashes.confirmGatewayLinkIntent = receipt.transactionHash;
+  },
+
+  _gatewayLinkProcessed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.origin.processGatewayLink(state.messageHash, state.unlockSecret),
+      'origin'
+    );
+    state.transactionHashes.processGatewayLink = receipt.transactionHash;
+  },
+
+  _coGatewayLinkProcessed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.auxiliary.processGatewayLink(state.messageHash, state.unlockSecret),
+      'auxiliary'
+    );
+    state.transactionHashes.processCoGatewayLink = receipt.transactionHash;
+  },
+
+  _activationVerified: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    state.isActivated = await oThis.gateway.origin.constants.isActivated();
+    if (!state.isActivated) {
+      throw new errors.FlowError('not_activated',
+        'Gateway ' + oThis.gateway._getOriginContract().options.address + ' is not activated after the link',
+        {messageHash: state.messageHash});
+    }
+  },
+
+  /**
+   * @return {Promise<string>} intent hash of the link, as GatewayV1 computes it
+   * @private
+   */
+  _intentHash: async function () {
+    const oThis = this
+      , constants = oThis.gateway.origin.constants
+      , gatewayAddress = oThis.gateway._getOriginContract().options.address
+    ;
+
+    return hashing.gatewayLinkIntentHash(
+      gatewayAddress,
+      await constants.coGateway(),
+      await constants.bounty(),
+      await constants.codeHashUT(),
+      await constants.codeHashVT(),
+      await helper.messageBusCodeHash(oThis.gateway._getOriginWeb3(), gatewayAddress),
+      oThis.state.gasPrice,
+      oThis.state.nonce
+    );
+  },
+
+  /**
+   * @notice signs the message hash with the key of the sender. The message bus recovers the signer from the plain
+   *         message hash, so eth_sign, which prefixes it, can not be used.
+   * @param messageHash
+   * @return {string} signature
+   * @private
+   */
+  _sign: function (messageHash) {
+    const oThis = this
+      , manager = oThis.ic().Transactions().origin()
+      , account = manager && manager.accounts[String(oThis.state.sender).toLowerCase()]
+    ;
+
+    if (!account) {
+      throw new errors.ConfigError('invalid_argument',
+        'signature is required when the TransactionManager of origin has no private key of ' + oThis.state.sender,
+        {sender: oThis.state.sender});
+    }
+    let signature = ethUtils.ecsign(ethUtils.toBuffer(messageHash), ethUtils.toBuffer(account.privateKey));
+    return ethUtils.toRpcSig(signature.v, signature.r, signature.s);
+  }
+});
+
+GatewayLinkFlow.STEPS = STEPS;
+
+InstanceComposer.registerShadowableClass(GatewayLinkFlow, 'GatewayLinkFlow');
+
+module.exports = GatewayLinkFlow;
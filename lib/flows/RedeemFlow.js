@@ -0,0 +1,197 @@
+"use strict";
+
+const InstanceComposer = require('../../instance_composer')
+  , Flow = require('./Flow')
+  , helper = require('./helper')
+  , hashing = require('../hashing')
+  , errors = require('../errors')
+;
+
+const STEPS = [
+  'redeemRequested',
+  'stateRootCommitted',
+  'coGatewayProven',
+  'redemptionIntentConfirmed',
+  'redemptionProcessed',
+  'unstakeProcessed'
+];
+
+/**
+ * Drives a redeem on auxiliary and the unstake on origin end to end.
+ *
+ * @constructor
+ * @param erc20Gateway instance of ERC20Gateway interact
+ * @param core instance of Core interact
+ * @param options {auxiliaryChainDataPath, auxiliaryProofBackend, originTxOptions, auxiliaryTxOptions, workerManager,
+ *                 pollInterval, outboxIndex}
+ */
+const RedeemFlow = function (erc20Gateway, core, options) {
+  const oThis = this;
+
+  options = options || {};
+  Flow.call(oThis, STEPS, options);
+
+  oThis.gateway = erc20Gateway;
+  oThis.core = core;
+  let auxiliaryConfig = helper.auxiliaryConfig(oThis.ic().configStrategy, erc20Gateway.auxiliaryConfig);
+  oThis.auxiliaryProofConfig = helper.proofConfig(
+    options.auxiliaryChainDataPath || auxiliaryConfig.chainDataPath,
+    options.auxiliaryProofBackend || auxiliaryConfig.proofBackend,
+    erc20Gateway._getAuxiliaryWeb3()
+  );
+  oThis.outboxIndex = options.outboxIndex || helper.outboxIndex;
+};
+
+RedeemFlow.prototype = Object.create(Flow.prototype);
+
+Object.assign(RedeemFlow.prototype, {
+  constructor: RedeemFlow,
+  flowName: 'RedeemFlow',
+
+  /**
+   * @notice starts a new redemption. The redeem transaction is sent from the redeemer.
+   * @param params {redeemer, amount, beneficiary, facilitator, gasPrice, nonce, unlockSecret, hashLock}
+   * @return {Promise<state>} resolves with the final state once unstake is processed
+   */
+  start: async function (params) {
+    const oThis = this;
+
+    let state = Object.assign({}, params, {step: null, transactionHashes: {}});
+    if (!state.hashLock) {
+      Object.assign(state, hashing.generateHashLock());
+    }
+    state.fromBlock = state.fromBlock || await oThis._currentBlocks();
+    oThis.state = state;
+
+    return oThis._run();
+  },
+
+  /**
+   * @notice resumes a redemption after its last completed step.
+   * @param messageHash
+   * @param state previously emitted state. Fields available from RedeemRequested are looked up from
+   *              state.fromBlock.auxiliary when missing, which is then required.
+   * @return {Promise<state>}
+   */
+  resume: async function (messageHash, state) {
+    const oThis = this;
+
+    state = Object.assign({transactionHashes: {}}, state, {messageHash: messageHash});
+    if (!state.step) {
+      state.step = 'redeemRequested';
+    }
+
+    if (!state.redeemBlockHeight || !state.amount || !state.beneficiary || !state.redeemer) {
+      helper.checkFromBlock(state.fromBlock, ['auxiliary']);
+      let event = await helper.findEventByMessageHash(
+        oThis.gateway._getAuxiliaryContract(), 'RedeemRequested', messageHash, state.fromBlock.auxiliary
+      );
+      if (!event) {
+        throw new errors.FlowError('event_not_found', "No RedeemRequested event found for message hash " + messageHash,
+          {eventName: 'RedeemRequested', messageHash: messageHash});
+      }
+      state.redeemBlockHeight = String(event.blockNumber);
+      state.amount = state.amount || event.returnValues.amount;
+      state.beneficiary = state.beneficiary || event.returnValues.beneficiary;
+      state.redeemer = state.redeemer || event.returnValues.redeemer;
+      state.intentHash = state.intentHash || event.returnValues.intentHash;
+    }
+    oThis.state = state;
+
+    return oThis._run();
+  },
+
+  _redeemRequested: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.redeem(
+        state.amount, state.beneficiary, state.facilitator, state.gasPrice, state.nonce, state.hashLock
+      ),
+      'auxiliary', {from: state.redeemer}
+    );
+    let event = helper.getEvent(receipt, 'RedeemRequested');
+
+    state.messageHash = event.messageHash;
+    state.intentHash = event.intentHash;
+    state.redeemBlockHeight = String(receipt.blockNumber);
+    state.transactionHashes.redeem = receipt.transactionHash;
+  },
+
+  _stateRootCommitted: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let committed = await helper.waitForStateRoot(
+      oThis.core._getOriginContract(), state.redeemBlockHeight, oThis.pollInterval, oThis.isStopped.bind(oThis)
+    );
+    state.proofBlockHeight = committed.blockHeight;
+    state.stateRoot = committed.stateRoot;
+  },
+
+  _coGatewayProven: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let proof = await helper.buildMessageProof(
+      state.stateRoot, state.proofBlockHeight, oThis.auxiliaryProofConfig,
+      oThis.gateway._getAuxiliaryContract().options.address, oThis.outboxIndex, state.messageHash
+    );
+    state.storageProof = helper.addHexPrefix(proof.storageProof.parentNodes);
+
+    let receipt = await helper.proveGatewayAccount(
+      oThis.core._getOriginContract(), state.proofBlockHeight, proof.accountProof, await oThis._txOptions('origin'),
+      'origin'
+    );
+    state.transactionHashes.proveCoGateway = receipt.transactionHash;
+  },
+
+  _redemptionIntentConfirmed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.confirmRedemptionIntent(
+        state.redeemer, state.nonce, state.beneficiary, state.amount, state.gasPrice,
+        state.proofBlockHeight, state.hashLock, state.storageProof
+      ),
+      'origin'
+    );
+    state.transactionHashes.confirmRedemptionIntent = receipt.transactionHash;
+  },
+
+  _redemptionProcessed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.processRedemption(state.messageHash, state.unlockSecret),
+      'auxiliary'
+    );
+    state.transactionHashes.processRedemption = receipt.transactionHash;
+  },
+
+  _unstakeProcessed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.processUnstake(state.messageHash, state.unlockSecret),
+      'origin'
+    );
+    state.transactionHashes.processUnstake = receipt.transactionHash;
+  }
+});
+
+RedeemFlow.STEPS = STEPS;
+
+InstanceComposer.registerShadowableClass(RedeemFlow, 'RedeemFlow');
+
+module.exports = RedeemFlow;
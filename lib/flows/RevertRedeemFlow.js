@@ -0,0 +1,282 @@
+"use strict";
+
+const InstanceComposer = require('../../instance_composer')
+  , Flow = require('./Flow')
+  , helper = require('./helper')
+  , errors = require('../errors')
+;
+
+require('../messages/MessageTracker');
+
+const STEPS = [
+  'revertRequested',
+  'auxiliaryStateRootCommitted',
+  'coGatewayProven',
+  'revertIntentConfirmed',
+  'originStateRootCommitted',
+  'gatewayProven',
+  'revertProcessed'
+];
+
+/**
+ * Reverts a stalled redemption and returns the redeemed amount to the redeemer.
+ *
+ * @constructor
+ * @param erc20Gateway instance of ERC20Gateway interact
+ * @param core instance of Core interact
+ * @param options {originChainDataPath, auxiliaryChainDataPath, originProofBackend,
+ *                 auxiliaryProofBackend, originTxOptions, auxiliaryTxOptions, workerManager,
+ *                 pollInterval, outboxIndex, inboxIndex}
+ */
+const RevertRedeemFlow = function (erc20Gateway, core, options) {
+  const oThis = this;
+
+  options = options || {};
+  Flow.call(oThis, STEPS, options);
+
+  oThis.gateway = erc20Gateway;
+  oThis.core = core;
+  oThis.originProofConfig = helper.proofConfig(
+    options.originChainDataPath || oThis.ic().configStrategy.origin.chainDataPath,
+    options.originProofBackend || oThis.ic().configStrategy.origin.proofBackend,
+    erc20Gateway._getOriginWeb3()
+  );
+  let auxiliaryConfig = helper.auxiliaryConfig(oThis.ic().configStrategy, erc20Gateway.auxiliaryConfig);
+  oThis.auxiliaryProofConfig = helper.proofConfig(
+    options.auxiliaryChainDataPath || auxiliaryConfig.chainDataPath,
+    options.auxiliaryProofBackend || auxiliaryConfig.proofBackend,
+    erc20Gateway._getAuxiliaryWeb3()
+  );
+  oThis.outboxIndex = options.outboxIndex || helper.outboxIndex;
+  oThis.inboxIndex = options.inboxIndex || helper.inboxIndex;
+};
+
+RevertRedeemFlow.prototype = Object.create(Flow.prototype);
+
+Object.assign(RevertRedeemFlow.prototype, {
+  constructor: RevertRedeemFlow,
+  flowName: 'RevertRedeemFlow',
+
+  /**
+   * @notice reads the status of the redemption in the outbox of the auxiliary gateway and the inbox of the origin
+   *         gateway to find out if it can still be reverted. Events are only searched for the block heights of a
+   *         revert in progress.
+   * @param messageHash
+   * @param fromBlock {origin, auxiliary} required block numbers to start searching from, e.g. fromBlock of the state
+   *                  of the flow which sent the message
+   * @return {Promise<{revertible: boolean, reason: string, step: string}>}
+   *         reason is redeem_not_found, already_reverted, redemption_already_processed, unstake_already_processed,
+   *         revert_intent_confirmed, revert_requested or redeem_pending.
+   *         step is the last completed revert step when a revert is already in progress
+   */
+  checkRevertible: async function (messageHash, fromBlock) {
+    const oThis = this
+      , MessageTracker = oThis.ic().MessageTracker()
+      , messageTracker = new MessageTracker(oThis.gateway, oThis.core)
+    ;
+
+    helper.checkFromBlock(fromBlock, ['origin', 'auxiliary']);
+
+    let outbox = await messageTracker.getStatus('auxiliary', 'outbox', messageHash)
+      , inbox = await messageTracker.getStatus('origin', 'inbox', messageHash)
+    ;
+    if (outbox === 'undeclared') {
+      return {revertible: false, reason: 'redeem_not_found', step: null};
+    }
+    if (outbox === 'revoked') {
+      return {revertible: false, reason: 'already_reverted', step: null};
+    }
+    if (outbox === 'progressed') {
+      return {revertible: false, reason: 'redemption_already_processed', step: null};
+    }
+    if (inbox === 'progressed') {
+      return {revertible: false, reason: 'unstake_already_processed', step: null};
+    }
+
+    if (inbox === 'revoked') {
+      let revertConfirmed = await helper.findEventByMessageHash(
+        oThis.gateway._getOriginContract(), 'RevertRedemptionIntentConfirmed', messageHash, fromBlock.origin
+      );
+      if (!revertConfirmed) {
+        throw new errors.FlowError('event_not_found',
+          "No RevertRedemptionIntentConfirmed found for message hash " + messageHash,
+          {eventName: 'RevertRedemptionIntentConfirmed', messageHash: messageHash});
+      }
+      return {
+        revertible: true, reason: 'revert_intent_confirmed', step: 'revertIntentConfirmed',
+        revertConfirmBlockHeight: String(revertConfirmed.blockNumber)
+      };
+    }
+
+    if (outbox === 'declared_revocation') {
+      let revertRequested = await helper.findEventByMessageHash(
+        oThis.gateway._getAuxiliaryContract(), 'RevertRedeemRequested', messageHash, fromBlock.auxiliary
+      );
+      if (!revertRequested) {
+        throw new errors.FlowError('event_not_found', "No RevertRedeemRequested found for message hash " + messageHash,
+          {eventName: 'RevertRedeemRequested', messageHash: messageHash});
+      }
+      return {
+        revertible: true, reason: 'revert_requested', step: 'revertRequested',
+        revertBlockHeight: String(revertRequested.blockNumber)
+      };
+    }
+
+    return {revertible: true, reason: 'redeem_pending', step: null};
+  },
+
+  /**
+   * @notice reverts a redemption, continuing a revert that is already in progress on chain.
+   * @param messageHash
+   * @param params {redeemer, fromBlock} revertRedemption is sent from the redeemer, fromBlock is required, see
+   *               checkRevertible
+   * @return {Promise<state>}
+   */
+  start: async function (messageHash, params) {
+    const oThis = this;
+
+    params = params || {};
+
+    let check = await oThis.checkRevertible(messageHash, params.fromBlock);
+    if (!check.revertible) {
+      throw new errors.FlowError(
+        'not_revertible',
+        "Redemption " + messageHash + " can not be reverted: " + check.reason,
+        {messageHash: messageHash, reason: check.reason}
+      );
+    }
+
+    oThis.state = Object.assign({}, params, {
+      messageHash: messageHash,
+      step: check.step,
+      revertBlockHeight: check.revertBlockHeight,
+      revertConfirmBlockHeight: check.revertConfirmBlockHeight,
+      transactionHashes: {}
+    });
+
+    return oThis._run();
+  },
+
+  /**
+   * @notice resumes a revert after its last completed step.
+   * @param messageHash
+   * @param state previously emitted state
+   * @return {Promise<state>}
+   */
+  resume: function (messageHash, state) {
+    const oThis = this;
+
+    oThis.state = Object.assign({transactionHashes: {}}, state, {messageHash: messageHash});
+
+    return oThis._run();
+  },
+
+  _revertRequested: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.revertRedemption(state.messageHash),
+      'auxiliary', {from: state.redeemer}
+    );
+    helper.getEvent(receipt, 'RevertRedeemRequested');
+
+    state.revertBlockHeight = String(receipt.blockNumber);
+    state.transactionHashes.revertRedemption = receipt.transactionHash;
+  },
+
+  _auxiliaryStateRootCommitted: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let committed = await helper.waitForStateRoot(
+      oThis.core._getOriginContract(), state.revertBlockHeight, oThis.pollInterval, oThis.isStopped.bind(oThis)
+    );
+    state.auxiliaryProofBlockHeight = committed.blockHeight;
+    state.auxiliaryStateRoot = committed.stateRoot;
+  },
+
+  _coGatewayProven: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let proof = await helper.buildMessageProof(
+      state.auxiliaryStateRoot, state.auxiliaryProofBlockHeight, oThis.auxiliaryProofConfig,
+      oThis.gateway._getAuxiliaryContract().options.address, oThis.outboxIndex, state.messageHash
+    );
+    state.outboxProof = helper.addHexPrefix(proof.storageProof.parentNodes);
+
+    let receipt = await helper.proveGatewayAccount(
+      oThis.core._getOriginContract(), state.auxiliaryProofBlockHeight, proof.accountProof,
+      await oThis._txOptions('origin'), 'origin'
+    );
+    state.transactionHashes.proveCoGateway = receipt.transactionHash;
+  },
+
+  _revertIntentConfirmed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.confirmRevertRedemptionIntent(
+        state.messageHash, state.auxiliaryProofBlockHeight, state.outboxProof
+      ),
+      'origin'
+    );
+    state.revertConfirmBlockHeight = String(receipt.blockNumber);
+    state.transactionHashes.confirmRevertRedemptionIntent = receipt.transactionHash;
+  },
+
+  _originStateRootCommitted: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let committed = await helper.waitForStateRoot(
+      oThis.core._getAuxiliaryContract(), state.revertConfirmBlockHeight, oThis.pollInterval,
+      oThis.isStopped.bind(oThis)
+    );
+    state.originProofBlockHeight = committed.blockHeight;
+    state.originStateRoot = committed.stateRoot;
+  },
+
+  _gatewayProven: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let proof = await helper.buildMessageProof(
+      state.originStateRoot, state.originProofBlockHeight, oThis.originProofConfig,
+      oThis.gateway._getOriginContract().options.address, oThis.inboxIndex, state.messageHash
+    );
+    state.inboxProof = helper.addHexPrefix(proof.storageProof.parentNodes);
+
+    let receipt = await helper.proveGatewayAccount(
+      oThis.core._getAuxiliaryContract(), state.originProofBlockHeight, proof.accountProof,
+      await oThis._txOptions('auxiliary'), 'auxiliary'
+    );
+    state.transactionHashes.proveGateway = receipt.transactionHash;
+  },
+
+  _revertProcessed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.processRevertRedemption(state.messageHash, state.originProofBlockHeight, state.inboxProof),
+      'auxiliary'
+    );
+    state.transactionHashes.processRevertRedemption = receipt.transactionHash;
+  }
+});
+
+RevertRedeemFlow.STEPS = STEPS;
+
+InstanceComposer.registerShadowableClass(RevertRedeemFlow, 'RevertRedeemFlow');
+
+module.exports = RevertRedeemFlow;
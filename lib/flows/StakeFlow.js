@@ -0,0 +1,196 @@
+"use strict";
+
+const InstanceComposer = require('../../instance_composer')
+  , Flow = require('./Flow')
+  , helper = require('./helper')
+  , hashing = require('../hashing')
+  , errors = require('../errors')
+;
+
+const STEPS = [
+  'stakeRequested',
+  'stateRootCommitted',
+  'gatewayProven',
+  'stakingIntentConfirmed',
+  'stakeProcessed',
+  'mintProcessed'
+];
+
+/**
+ * Drives a stake on origin and the mint on auxiliary end to end.
+ *
+ * @constructor
+ * @param erc20Gateway instance of ERC20Gateway interact
+ * @param core instance of Core interact
+ * @param options {originChainDataPath, originProofBackend, originTxOptions, auxiliaryTxOptions, workerManager,
+ *                 pollInterval, outboxIndex}
+ */
+const StakeFlow = function (erc20Gateway, core, options) {
+  const oThis = this;
+
+  options = options || {};
+  Flow.call(oThis, STEPS, options);
+
+  oThis.gateway = erc20Gateway;
+  oThis.core = core;
+  oThis.originProofConfig = helper.proofConfig(
+    options.originChainDataPath || oThis.ic().configStrategy.origin.chainDataPath,
+    options.originProofBackend || oThis.ic().configStrategy.origin.proofBackend,
+    erc20Gateway._getOriginWeb3()
+  );
+  oThis.outboxIndex = options.outboxIndex || helper.outboxIndex;
+};
+
+StakeFlow.prototype = Object.create(Flow.prototype);
+
+Object.assign(StakeFlow.prototype, {
+  constructor: StakeFlow,
+  flowName: 'StakeFlow',
+
+  /**
+   * @notice starts a new stake.
+   * @param params {staker, amount, beneficiary, gasPrice, nonce, signature, unlockSecret, hashLock}
+   * @return {Promise<state>} resolves with the final state once minting is processed
+   */
+  start: async function (params) {
+    const oThis = this;
+
+    let state = Object.assign({}, params, {step: null, transactionHashes: {}});
+    if (!state.hashLock) {
+      Object.assign(state, hashing.generateHashLock());
+    }
+    state.fromBlock = state.fromBlock || await oThis._currentBlocks();
+    oThis.state = state;
+
+    return oThis._run();
+  },
+
+  /**
+   * @notice resumes a stake after its last completed step.
+   * @param messageHash
+   * @param state previously emitted state. Fields available from StakeRequestedEvent are looked up from
+   *              state.fromBlock.origin when missing, which is then required.
+   * @return {Promise<state>}
+   */
+  resume: async function (messageHash, state) {
+    const oThis = this;
+
+    state = Object.assign({transactionHashes: {}}, state, {messageHash: messageHash});
+    if (!state.step) {
+      state.step = 'stakeRequested';
+    }
+
+    if (!state.stakeBlockHeight || !state.amount || !state.beneficiary || !state.staker) {
+      helper.checkFromBlock(state.fromBlock, ['origin']);
+      let event = await helper.findEventByMessageHash(
+        oThis.gateway._getOriginContract(), 'StakeRequestedEvent', messageHash, state.fromBlock.origin
+      );
+      if (!event) {
+        throw new errors.FlowError('event_not_found', "No StakeRequestedEvent found for message hash " + messageHash,
+          {eventName: 'StakeRequestedEvent', messageHash: messageHash});
+      }
+      state.stakeBlockHeight = String(event.blockNumber);
+      state.amount = state.amount || event.returnValues._amount;
+      state.beneficiary = state.beneficiary || event.returnValues._beneficiary;
+      state.staker = state.staker || event.returnValues._staker;
+      state.intentHash = state.intentHash || event.returnValues._intentHash;
+    }
+    oThis.state = state;
+
+    return oThis._run();
+  },
+
+  _stakeRequested: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.stake(
+        state.amount, state.beneficiary, state.staker, state.gasPrice, state.nonce, state.hashLock, state.signature
+      ),
+      'origin'
+    );
+    let event = helper.getEvent(receipt, 'StakeRequestedEvent');
+
+    state.messageHash = event._messageHash;
+    state.intentHash = event._intentHash;
+    state.stakeBlockHeight = String(receipt.blockNumber);
+    state.transactionHashes.stake = receipt.transactionHash;
+  },
+
+  _stateRootCommitted: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let committed = await helper.waitForStateRoot(
+      oThis.core._getAuxiliaryContract(), state.stakeBlockHeight, oThis.pollInterval, oThis.isStopped.bind(oThis)
+    );
+    state.proofBlockHeight = committed.blockHeight;
+    state.stateRoot = committed.stateRoot;
+  },
+
+  _gatewayProven: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let proof = await helper.buildMessageProof(
+      state.stateRoot, state.proofBlockHeight, oThis.originProofConfig,
+      oThis.gateway._getOriginContract().options.address, oThis.outboxIndex, state.messageHash
+    );
+    state.storageProof = helper.addHexPrefix(proof.storageProof.parentNodes);
+
+    let receipt = await helper.proveGatewayAccount(
+      oThis.core._getAuxiliaryContract(), state.proofBlockHeight, proof.accountProof,
+      await oThis._txOptions('auxiliary'), 'auxiliary'
+    );
+    state.transactionHashes.proveGateway = receipt.transactionHash;
+  },
+
+  _stakingIntentConfirmed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.confirmStakingIntent(
+        state.staker, state.nonce, state.beneficiary, state.amount, state.gasPrice,
+        state.proofBlockHeight, state.hashLock, state.storageProof
+      ),
+      'auxiliary'
+    );
+    state.transactionHashes.confirmStakingIntent = receipt.transactionHash;
+  },
+
+  _stakeProcessed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.processStaking(state.messageHash, state.unlockSecret),
+      'origin'
+    );
+    state.transactionHashes.processStaking = receipt.transactionHash;
+  },
+
+  _mintProcessed: async function () {
+    const oThis = this
+      , state = oThis.state
+    ;
+
+    let receipt = await oThis._send(
+      oThis.gateway.processMinting(state.messageHash, state.unlockSecret),
+      'auxiliary'
+    );
+    state.transactionHashes.processMinting = receipt.transactionHash;
+  }
+});
+
+StakeFlow.STEPS = STEPS;
+
+InstanceComposer.registerShadowableClass(StakeFlow, 'StakeFlow');
+
+module.exports = StakeFlow;
@@ -0,0 +1,288 @@
+"use strict";
+
+const web3Utils = require('web3-utils');
+
+const rootPrefix = '../..'
+  , proofGeneratorFactory = require(rootPrefix + '/proof/proof_generator_factory')
+  , errors = require(rootPrefix + '/lib/errors')
+  , decoder = require(rootPrefix + '/lib/events/decoder')
+  , generator = require(rootPrefix + '/lib/contract_interacts/generator')
+;
+
+/**
+ * Constructor for helper methods shared by the cross-chain flows - FlowHelperKlass
+ * @constructor
+ */
+const FlowHelperKlass = function () {
+};
+
+FlowHelperKlass.prototype = {
+
+  /**
+   * Default interval between two polls of a chain.
+   */
+  defaultPollInterval: 10000,
+
+  /**
+   * Storage index of the outbox mapping in the message box of Gateway and CoGateway.
+   */
+  outboxIndex: '7',
+
+  /**
+   * Storage index of the inbox mapping in the message box of Gateway and CoGateway.
+   */
+  inboxIndex: '8',
+
+  /**
+   * @param ms
+   * @return {Promise}
+   */
+  sleep: function (ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  },
+
+  /**
+   * @notice sends a web3 contract method and resolves with the receipt.
+   * @param method web3 contract method object
+   * @param txOptions {from, gas, gasPrice}
+   * @param chain 'origin' or 'auxiliary', context of the ContractCallError
+   * @return {Promise<receipt>} rejects with ContractCallError
+   */
+  send: function (method, txOptions, chain) {
+    return method.send(Object.assign({}, txOptions)).catch(function (error) {
+      let methodName = method._method && method._method.name;
+      if (error instanceof errors.ContractCallError) {
+        // Already raised by a TransactionManager, keep its code (e.g. transaction_cancelled)
+        error.chain = error.chain || chain || null;
+        error.method = error.method || methodName || null;
+        throw error;
+      }
+      throw new errors.ContractCallError(
+        'contract_call_failed',
+        (methodName || 'Transaction') + ' failed' + (chain ? ' on ' + chain : '') + ': ' +
+        String(error && error.message || error),
+        {
+          chain: chain || null,
+          method: methodName || null,
+          contractAddress: method._parent && method._parent.options ? method._parent.options.address : null,
+          cause: error
+        }
+      );
+    });
+  },
+
+  /**
+   * @notice reads the named event from a receipt. Receipts without decoded events have their logs decoded.
+   * @param receipt
+   * @param eventName
+   * @return {object} returnValues of the event
+   */
+  getEvent: function (receipt, eventName) {
+    let events = receipt && receipt.events && Object.keys(receipt.events).length ? receipt.events
+      : decoder.decodeReceipt(receipt);
+    let event = [].concat(events[eventName] || [])[0];
+    if (!event) {
+      throw new errors.FlowError('event_not_found',
+        "Event '" + eventName + "' not found in transaction " + (receipt && receipt.transactionHash),
+        {eventName: eventName, transactionHash: receipt && receipt.transactionHash});
+    }
+    return event.returnValues;
+  },
+
+  /**
+   * @notice throws unless fromBlock has a block number for each of chains, so that a missing fromBlock fails before
+   *         any event is searched.
+   * @param fromBlock {origin, auxiliary} block numbers, e.g. fromBlock of the state of a flow
+   * @param chains chains whose events are searched, e.g. ['origin']
+   */
+  checkFromBlock: function (fromBlock, chains) {
+    chains.forEach(function (chain) {
+      let blockNumber = fromBlock ? fromBlock[chain] : undefined;
+      if (!/^(\d+|0x[0-9a-f]+)$/i.test(String(blockNumber))) {
+        throw new errors.ConfigError('invalid_argument',
+          'fromBlock.' + chain + ' is required to search events, got ' + blockNumber,
+          {fromBlock: fromBlock, chain: chain});
+      }
+    });
+  },
+
+  /**
+   * @notice finds an event of contract by its message hash.
+   * @param contract web3 contract object
+   * @param eventName
+   * @param messageHash
+   * @param fromBlock block to start searching from, e.g. the block a flow started at
+   * @return {Promise<event>}
+   */
+  findEventByMessageHash: async function (contract, eventName, messageHash, fromBlock) {
+    if (fromBlock === undefined || fromBlock === null) {
+      throw new errors.ConfigError('invalid_argument', 'fromBlock is required to search ' + eventName + ' events',
+        {eventName: eventName, messageHash: messageHash});
+    }
+
+    let events = await contract.getPastEvents(eventName, {fromBlock: fromBlock, toBlock: 'latest'})
+      , len = events.length
+      , returnValues
+    ;
+
+    messageHash = String(messageHash).toLowerCase();
+    while (len--) {
+      returnValues = events[len].returnValues;
+      if (String(returnValues._messageHash || returnValues.messageHash).toLowerCase() === messageHash) {
+        return events[len];
+      }
+    }
+    return null;
+  },
+
+  /**
+   * @notice MessageBus.getCodeHash of the message bus library a gateway is linked with, which the gateway link intent
+   *         includes. The library address is read from the PUSH20 in front of the getCodeHash call in the deployed
+   *         code of the gateway.
+   * @param web3 web3 of the chain of the gateway
+   * @param gatewayAddress
+   * @return {Promise<string>} bytes32
+   */
+  messageBusCodeHash: async function (web3, gatewayAddress) {
+    let code = await web3.eth.getCode(gatewayAddress)
+      , selector = web3Utils.sha3('getCodeHash()').substr(2, 8)
+      , match = new RegExp('73([0-9a-f]{40})63' + selector, 'i').exec(code || '')
+    ;
+
+    if (!match) {
+      throw new errors.ConfigError('invalid_config', 'No MessageBus library call in the code of ' + gatewayAddress,
+        {gatewayAddress: gatewayAddress});
+    }
+    let messageBus = new web3.eth.Contract(generator.loadAbi('MessageBus'), '0x' + match[1]);
+    return messageBus.methods.getCodeHash().call();
+  },
+
+  /**
+   * @notice waits until the core has a state root committed at or above blockHeight.
+   * @param coreContract web3 contract object of the core which receives the state roots
+   * @param blockHeight
+   * @param pollInterval
+   * @param shouldStop optional function, polling ends when it returns true
+   * @return {Promise<{blockHeight: string, stateRoot: string}>}
+   */
+  waitForStateRoot: async function (coreContract, blockHeight, pollInterval, shouldStop) {
+    const oThis = this;
+
+    while (true) {
+      let committedHeight = await coreContract.methods.getLatestStateRootBlockHeight().call();
+      if (web3Utils.toBN(committedHeight).gte(web3Utils.toBN(blockHeight))) {
+        let stateRoot = await coreContract.methods.getStateRoot(committedHeight).call();
+        return {blockHeight: String(committedHeight), stateRoot: stateRoot};
+      }
+      if (shouldStop && shouldStop()) {
+        throw new errors.FlowError('stopped', "Stopped while waiting for state root of block " + blockHeight,
+          {blockHeight: String(blockHeight)});
+      }
+      await oThis.sleep(pollInterval || oThis.defaultPollInterval);
+    }
+  },
+
+  /**
+   * @notice proof config of a chain for proofGeneratorFactory.
+   * @param chainDataPath chaindata of geth, selects the leveldb backend by default
+   * @param backend optional 'leveldb' or 'rpc'
+   * @param web3 web3 of the chain, used by the rpc backend
+   * @return {{backend: string, chainDataPath: string, web3: object}}
+   */
+  proofConfig: function (chainDataPath, backend, web3) {
+    return {
+      backend: backend || (chainDataPath ? 'leveldb' : 'rpc'),
+      chainDataPath: chainDataPath,
+      web3: web3
+    };
+  },
+
+  /**
+   * @notice configuration of an auxiliary chain, e.g. for its chainDataPath and proofBackend.
+   * @param configStrategy
+   * @param auxiliaryConfig auxiliary configuration or origin core contract address, as the interacts take it
+   * @return {object} empty when the configuration has no such auxiliary
+   */
+  auxiliaryConfig: function (configStrategy, auxiliaryConfig) {
+    if (auxiliaryConfig && typeof auxiliaryConfig === 'object') {
+      return auxiliaryConfig;
+    }
+    let address = String(auxiliaryConfig).toLowerCase();
+    return (configStrategy.auxiliaries || []).find(function (auxConfig) {
+      return String(auxConfig.originCoreContractAddress).toLowerCase() === address;
+    }) || {};
+  },
+
+  /**
+   * @notice builds the account proof of a gateway and the storage proof of one message box entry.
+   * @param stateRoot
+   * @param blockHeight block of the state root
+   * @param proofConfig see proofConfig
+   * @param gatewayAddress
+   * @param storageIndex outboxIndex or inboxIndex
+   * @param messageHash
+   * @return {Promise<{accountProof: object, storageProof: object}>}
+   */
+  buildMessageProof: async function (stateRoot, blockHeight, proofConfig, gatewayAddress, storageIndex, messageHash) {
+    const oThis = this;
+
+    let proofGenerator = proofGeneratorFactory.getInstance(proofConfig, stateRoot, blockHeight);
+    await proofGenerator.checkAvailability();
+
+    let address = oThis.stripHexPrefix(gatewayAddress)
+      , key = oThis.stripHexPrefix(messageHash)
+      , accountProof = await proofGenerator.buildAccountProof(address)
+      , storageProofs = await proofGenerator.buildStorageProof(address, storageIndex, [key])
+    ;
+
+    return {
+      accountProof: accountProof,
+      storageProof: storageProofs[key]
+    };
+  },
+
+  /**
+   * @notice proves the account of a gateway on the core of the other chain, so the core knows its storage root.
+   * @param coreContract web3 contract object of the core which receives the state roots
+   * @param blockHeight height of the committed state root the proof was built for
+   * @param accountProof
+   * @param txOptions
+   * @param chain chain of coreContract
+   * @return {Promise<receipt>}
+   */
+  proveGatewayAccount: function (coreContract, blockHeight, accountProof, txOptions, chain) {
+    const oThis = this;
+
+    return oThis.send(
+      coreContract.methods.proveOpenST(
+        blockHeight,
+        oThis.addHexPrefix(accountProof.value),
+        oThis.addHexPrefix(accountProof.parentNodes)
+      ),
+      txOptions,
+      chain
+    );
+  },
+
+  /**
+   * @param value
+   * @return {string} value without leading 0x
+   */
+  stripHexPrefix: function (value) {
+    value = String(value);
+    return value.indexOf('0x') === 0 ? value.substr(2) : value;
+  },
+
+  /**
+   * @param value
+   * @return {string} value with leading 0x
+   */
+  addHexPrefix: function (value) {
+    value = String(value);
+    return value.indexOf('0x') === 0 ? value : '0x' + value;
+  }
+};
+
+module.exports = new FlowHelperKlass();
@@ -0,0 +1,193 @@
+"use strict";
+
+const web3Utils = require('web3-utils')
+  , Web3 = require('web3')
+;
+
+const errors = require('./errors');
+
+const abi = new Web3().eth.abi;
+
+/**
+ * Type strings of the message kinds, as the gateways declare them. The stake request of GatewayV1 has a facilitator
+ * which the one of CoGatewayV1 lacks, so the gateways hash the same stake to different message hashes.
+ */
+const TYPES = {
+  // GatewayV1.stake
+  stake: 'StakeRequest(uint256 amount,address beneficiary,MessageBus.Message message,address facilitator)',
+  // CoGatewayV1.confirmStakingIntent
+  coGatewayStake: 'StakeRequest(uint256 amount,address beneficiary,MessageBus.Message message)',
+  // CoGatewayV1.redeem and GatewayV1.confirmRedemptionIntent
+  redeem: 'RedeemRequest(uint256 amount,address beneficiary,MessageBus.Message message)',
+  gatewayLink: 'GatewayLink(bytes32 messageHash,MessageBus.Message message)'
+};
+
+/**
+ * Constructor for the hashes the gateways and BrandedToken compute on chain - HashingKlass
+ * Computes them offline, without calls of the contracts.
+ * @constructor
+ */
+const HashingKlass = function () {
+};
+
+HashingKlass.prototype = {
+
+  TYPES: TYPES,
+
+  /**
+   * @notice generates a random unlock secret and the hash lock the gateways expect for it.
+   * @return {{unlockSecret: string, hashLock: string}}
+   */
+  generateHashLock: function () {
+    const oThis = this;
+
+    let unlockSecret = web3Utils.randomHex(32);
+    return {
+      unlockSecret: unlockSecret,
+      hashLock: oThis.hashLock(unlockSecret)
+    };
+  },
+
+  /**
+   * @notice hash lock of an unlock secret, which processStaking, processRedemption and processGatewayLink check.
+   * @param unlockSecret bytes32
+   * @return {string} keccak256(abi.encodePacked(unlockSecret))
+   */
+  hashLock: function (unlockSecret) {
+    return web3Utils.soliditySha3({t: 'bytes32', v: unlockSecret});
+  },
+
+  /**
+   * @notice type hash of a message kind: keccak256(abi.encode(typeString)).
+   * @param typeString one of TYPES, e.g. TYPES.gatewayLink
+   * @return {string}
+   */
+  typeHash: function (typeString) {
+    return web3Utils.keccak256(abi.encodeParameter('string', typeString));
+  },
+
+  /**
+   * @notice hash of a message of the message bus, which its sender signs and which keys the message boxes.
+   * @return {string} keccak256(abi.encode(typeHash, intentHash, nonce, gasPrice))
+   */
+  messageHash: function (typeHash, intentHash, nonce, gasPrice) {
+    return web3Utils.keccak256(abi.encodeParameters(
+      ['bytes32', 'bytes32', 'uint256', 'uint256'], [typeHash, intentHash, nonce, gasPrice]
+    ));
+  },
+
+  /**
+   * @notice intent hash of a stake, as GatewayV1.stake and CoGatewayV1.confirmStakingIntent compute it.
+   * @return {string} keccak256(abi.encodePacked(amount, beneficiary, staker, gasPrice))
+   */
+  stakeIntentHash: function (amount, beneficiary, staker, gasPrice) {
+    return web3Utils.soliditySha3(
+      {t: 'uint256', v: amount},
+      {t: 'address', v: beneficiary},
+      {t: 'address', v: staker},
+      {t: 'uint256', v: gasPrice}
+    );
+  },
+
+  /**
+   * @notice intent hash of a redemption, as CoGatewayV1.redeem and GatewayV1.confirmRedemptionIntent compute it.
+   * @return {string} keccak256(abi.encodePacked(amount, beneficiary, redeemer, gasPrice))
+   */
+  redeemIntentHash: function (amount, beneficiary, redeemer, gasPrice) {
+    return web3Utils.soliditySha3(
+      {t: 'uint256', v: amount},
+      {t: 'address', v: beneficiary},
+      {t: 'address', v: redeemer},
+      {t: 'uint256', v: gasPrice}
+    );
+  },
+
+  /**
+   * @notice intent hash of a gateway link, as GatewayV1.initiateGatewayLink and CoGatewayV1.confirmGatewayLinkIntent
+   *         compute it.
+   * @param messageBusCodeHash MessageBus.getCodeHash of the message bus library the gateway calls
+   * @return {string} keccak256(abi.encodePacked(gateway, coGateway, bounty, codeHashUT, codeHashVT,
+   *         messageBusCodeHash, gasPrice, nonce))
+   */
+  gatewayLinkIntentHash: function (gateway, coGateway, bounty, codeHashUT, codeHashVT, messageBusCodeHash, gasPrice,
+                                   nonce) {
+    if (!messageBusCodeHash) {
+      throw new errors.ConfigError('invalid_argument',
+        'messageBusCodeHash is required for the gateway link intent hash', {gateway: gateway});
+    }
+    return web3Utils.soliditySha3(
+      {t: 'address', v: gateway},
+      {t: 'address', v: coGateway},
+      {t: 'uint256', v: bounty},
+      {t: 'bytes32', v: codeHashUT},
+      {t: 'bytes32', v: codeHashVT},
+      {t: 'bytes32', v: messageBusCodeHash},
+      {t: 'uint256', v: gasPrice},
+      {t: 'uint256', v: nonce}
+    );
+  },
+
+  /**
+   * @notice Hasher.hashStakingIntent of BrandedToken
+   * @return {string} keccak256(uuid, account, accountNonce, beneficiary, amountST, amountUT, unlockHeight, hashLock)
+   */
+  hashStakingIntent: function (uuid, account, accountNonce, beneficiary, amountST, amountUT, unlockHeight, hashLock) {
+    return web3Utils.soliditySha3(
+      {t: 'bytes32', v: uuid},
+      {t: 'address', v: account},
+      {t: 'uint256', v: accountNonce},
+      {t: 'address', v: beneficiary},
+      {t: 'uint256', v: amountST},
+      {t: 'uint256', v: amountUT},
+      {t: 'uint256', v: unlockHeight},
+      {t: 'bytes32', v: hashLock}
+    );
+  },
+
+  /**
+   * @notice Hasher.hashRedemptionIntent of BrandedToken
+   * @return {string} keccak256(uuid, account, accountNonce, beneficiary, amountUT, unlockHeight, hashLock)
+   */
+  hashRedemptionIntent: function (uuid, account, accountNonce, beneficiary, amountUT, unlockHeight, hashLock) {
+    return web3Utils.soliditySha3(
+      {t: 'bytes32', v: uuid},
+      {t: 'address', v: account},
+      {t: 'uint256', v: accountNonce},
+      {t: 'address', v: beneficiary},
+      {t: 'uint256', v: amountUT},
+      {t: 'uint256', v: unlockHeight},
+      {t: 'bytes32', v: hashLock}
+    );
+  },
+
+  /**
+   * @notice Hasher.hashIntentKey of BrandedToken, the key of the intents mapping
+   * @return {string} keccak256(account, nonce)
+   */
+  hashIntentKey: function (account, nonce) {
+    return web3Utils.soliditySha3(
+      {t: 'address', v: account},
+      {t: 'uint256', v: nonce}
+    );
+  },
+
+  /**
+   * @notice Hasher.hashUuid of BrandedToken
+   * @return {string} keccak256(symbol, name, chainIdValue, chainIdUtility, openSTUtility, conversionRate,
+   *         conversionRateDecimals)
+   */
+  hashUuid: function (symbol, name, chainIdValue, chainIdUtility, openSTUtility, conversionRate,
+                      conversionRateDecimals) {
+    return web3Utils.soliditySha3(
+      {t: 'string', v: symbol},
+      {t: 'string', v: name},
+      {t: 'uint256', v: chainIdValue},
+      {t: 'uint256', v: chainIdUtility},
+      {t: 'address', v: openSTUtility},
+      {t: 'uint256', v: conversionRate},
+      {t: 'uint8', v: conversionRateDecimals}
+    );
+  }
+};
+
+module.exports = new HashingKlass();
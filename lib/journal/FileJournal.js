@@ -0,0 +1,94 @@
+"use strict";
+
+const fs = require('fs');
+
+/**
+ * Flow journal which keeps all records in one JSON file, {id: record}.
+ * Writes go to a temporary file which then replaces the journal, so a crash never leaves a partly written journal.
+ *
+ * @constructor
+ * @param filePath
+ */
+const FileJournal = function (filePath) {
+  this.filePath = filePath;
+  this.pending = Promise.resolve();
+};
+
+FileJournal.prototype = {
+  constructor: FileJournal,
+
+  /**
+   * @param record {id, flow, state, ...}
+   * @return {Promise}
+   */
+  save: function (record) {
+    return this._update(function (records) {
+      records[record.id] = record;
+    });
+  },
+
+  /**
+   * @param id
+   * @return {Promise<object|null>}
+   */
+  get: function (id) {
+    const oThis = this;
+
+    return oThis.pending.then(function () {
+      return oThis._read()[id] || null;
+    });
+  },
+
+  /**
+   * @param id
+   * @return {Promise}
+   */
+  remove: function (id) {
+    return this._update(function (records) {
+      delete records[id];
+    });
+  },
+
+  /**
+   * @return {Promise<Array>} all records
+   */
+  list: function () {
+    const oThis = this;
+
+    return oThis.pending.then(function () {
+      let records = oThis._read();
+      return Object.keys(records).map(function (id) {
+        return records[id];
+      });
+    });
+  },
+
+  /**
+   * @notice applies change to the records once the writes before it are done
+   * @private
+   */
+  _update: function (change) {
+    const oThis = this;
+
+    let update = oThis.pending.then(function () {
+      let records = oThis._read()
+        , tmpPath = oThis.filePath + '.tmp'
+      ;
+      change(records);
+      fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+      fs.renameSync(tmpPath, oThis.filePath);
+    });
+    // A failed write must not block the writes after it.
+    oThis.pending = update.catch(function () {});
+    return update;
+  },
+
+  _read: function () {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+};
+
+module.exports = FileJournal;
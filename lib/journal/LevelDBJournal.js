@@ -0,0 +1,75 @@
+"use strict";
+
+const rootPrefix = '../..'
+  , dbFactory = require(rootPrefix + '/proof/lib/leveldb')
+;
+
+const KEY_PREFIX = 'flow:';
+
+/**
+ * Flow journal in a LevelDB database, one key per record.
+ *
+ * @constructor
+ * @param dbPath directory of the database. Journals and chaindata readers of one path share its database, see
+ *               proof/lib/leveldb.
+ */
+const LevelDBJournal = function (dbPath) {
+  this.db = dbFactory.getInstance(dbPath);
+};
+
+LevelDBJournal.prototype = {
+  constructor: LevelDBJournal,
+
+  /**
+   * @param record {id, flow, state, ...}
+   * @return {Promise}
+   */
+  save: function (record) {
+    return this.db.put(KEY_PREFIX + record.id, JSON.stringify(record));
+  },
+
+  /**
+   * @param id
+   * @return {Promise<object|null>}
+   */
+  get: function (id) {
+    return this.db.get(KEY_PREFIX + id).then(function (value) {
+      return JSON.parse(value.toString());
+    }, function (error) {
+      if (error.notFound) {
+        return null;
+      }
+      throw error;
+    });
+  },
+
+  /**
+   * @param id
+   * @return {Promise}
+   */
+  remove: function (id) {
+    return this.db.del(KEY_PREFIX + id);
+  },
+
+  /**
+   * @return {Promise<Array>} all records
+   */
+  list: function () {
+    const oThis = this;
+
+    return new Promise(function (resolve, reject) {
+      let records = [];
+      // Keys of the journal sort between 'flow:' and 'flow;', the next character after ':'.
+      oThis.db.createValueStream({gte: KEY_PREFIX, lt: 'flow;'})
+        .on('data', function (value) {
+          records.push(JSON.parse(value.toString()));
+        })
+        .on('error', reject)
+        .on('end', function () {
+          resolve(records);
+        });
+    });
+  }
+};
+
+module.exports = LevelDBJournal;
@@ -0,0 +1,55 @@
+"use strict";
+
+/**
+ * Flow journal which keeps the records in memory, for tests and short lived processes.
+ * Records are stored as JSON, so callers never share objects with the journal.
+ *
+ * @constructor
+ */
+const MemoryJournal = function () {
+  this.records = {};
+};
+
+MemoryJournal.prototype = {
+  constructor: MemoryJournal,
+
+  /**
+   * @param record {id, flow, state, ...}
+   * @return {Promise}
+   */
+  save: function (record) {
+    this.records[record.id] = JSON.stringify(record);
+    return Promise.resolve();
+  },
+
+  /**
+   * @param id
+   * @return {Promise<object|null>}
+   */
+  get: function (id) {
+    let record = this.records[id];
+    return Promise.resolve(record ? JSON.parse(record) : null);
+  },
+
+  /**
+   * @param id
+   * @return {Promise}
+   */
+  remove: function (id) {
+    delete this.records[id];
+    return Promise.resolve();
+  },
+
+  /**
+   * @return {Promise<Array>} all records
+   */
+  list: function () {
+    const oThis = this;
+
+    return Promise.resolve(Object.keys(oThis.records).map(function (id) {
+      return JSON.parse(oThis.records[id]);
+    }));
+  }
+};
+
+module.exports = MemoryJournal;
@@ -0,0 +1,49 @@
+"use strict";
+
+const rootPrefix = '../..'
+  , MemoryJournal = require(rootPrefix + '/lib/journal/MemoryJournal')
+  , FileJournal = require(rootPrefix + '/lib/journal/FileJournal')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+/**
+ * Creates the flow journal of the configured backend - JournalFactoryKlass
+ * @constructor
+ */
+const JournalFactoryKlass = function () {
+};
+
+JournalFactoryKlass.prototype = {
+
+  /**
+   * @param journalConfig {backend: 'memory' | 'file' | 'leveldb', path} or a journal object, which is returned as is.
+   *                      backend defaults to 'memory'. path is the JSON file or the LevelDB directory.
+   * @return {MemoryJournal|FileJournal|LevelDBJournal}
+   */
+  getInstance: function (journalConfig) {
+    journalConfig = journalConfig || {};
+    if (typeof journalConfig.save === 'function') {
+      return journalConfig;
+    }
+
+    let backend = journalConfig.backend || 'memory';
+    if (backend === 'memory') {
+      return new MemoryJournal();
+    }
+    if (backend !== 'file' && backend !== 'leveldb') {
+      throw new errors.ConfigError('invalid_config', "Invalid Journal Config. Unknown backend '" + backend + "'.");
+    }
+    if (!journalConfig.path) {
+      throw new errors.ConfigError('invalid_config',
+        "Invalid Journal Config. 'path' is required for the " + backend + " backend.");
+    }
+    if (backend === 'file') {
+      return new FileJournal(journalConfig.path);
+    }
+    // Required here, so leveldown is only loaded when the leveldb backend is used.
+    const LevelDBJournal = require(rootPrefix + '/lib/journal/LevelDBJournal');
+    return new LevelDBJournal(journalConfig.path);
+  }
+};
+
+module.exports = new JournalFactoryKlass();
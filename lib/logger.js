@@ -0,0 +1,23 @@
+"use strict";
+
+/**
+ * Default logger of the long running services, e.g. StateRootRelayer and WorkerManager. Writes one JSON object per
+ * line. Any object with info, warn and error (message, data) can replace it through the logger option.
+ */
+const jsonLogger = {
+  _log: function (level, message, data) {
+    let line = Object.assign({time: new Date().toISOString(), level: level, message: message}, data);
+    (level === 'error' ? console.error : console.log)(JSON.stringify(line));
+  },
+  info: function (message, data) {
+    this._log('info', message, data);
+  },
+  warn: function (message, data) {
+    this._log('warn', message, data);
+  },
+  error: function (message, data) {
+    this._log('error', message, data);
+  }
+};
+
+module.exports = jsonLogger;
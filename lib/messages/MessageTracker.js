@@ -0,0 +1,276 @@
+"use strict";
+
+const web3Utils = require('web3-utils');
+
+const InstanceComposer = require('../../instance_composer')
+  , helper = require('../flows/helper')
+  , storageLayouts = require('../../proof/storage_layouts')
+;
+
+/**
+ * MessageBus.MessageStatus, by its value in the message boxes.
+ */
+const MESSAGE_STATUS = ['undeclared', 'declared', 'progressed', 'declared_revocation', 'revoked'];
+
+const OTHER_CHAIN = {origin: 'auxiliary', auxiliary: 'origin'};
+
+/**
+ * Gateway events and methods of each kind of message. The source chain of a message has it in its outbox.
+ */
+const MESSAGE_KINDS = [
+  {
+    kind: 'stake',
+    sourceChain: 'origin',
+    declaredEvent: 'StakeRequestedEvent',
+    revocationEvent: 'RevertStakeRequested',
+    revocationConfirmedEvent: 'RevertStakingIntentConfirmed',
+    methods: {
+      confirmMessage: 'confirmStakingIntent',
+      progressOutbox: 'processStaking',
+      progressInbox: 'processMinting',
+      confirmRevocation: 'confirmRevertStakingIntent',
+      progressRevocation: 'processRevertStaking'
+    }
+  },
+  {
+    kind: 'redeem',
+    sourceChain: 'auxiliary',
+    declaredEvent: 'RedeemRequested',
+    revocationEvent: 'RevertRedeemRequested',
+    revocationConfirmedEvent: 'RevertRedemptionIntentConfirmed',
+    methods: {
+      confirmMessage: 'confirmRedemptionIntent',
+      progressOutbox: 'processRedemption',
+      progressInbox: 'processUnstake',
+      confirmRevocation: 'confirmRevertRedemptionIntent',
+      progressRevocation: 'processRevertRedemption'
+    }
+  },
+  {
+    kind: 'gatewayLink',
+    sourceChain: 'origin',
+    declaredEvent: 'GatewayLinkInitiated',
+    revocationEvent: null,
+    revocationConfirmedEvent: null,
+    methods: {
+      confirmMessage: 'confirmGatewayLinkIntent',
+      progressOutbox: 'processGatewayLink',
+      progressInbox: 'processGatewayLink'
+    }
+  }
+];
+
+/**
+ * Finds out where a message of a gateway pair is: reads the outbox status on the source gateway, the inbox status on
+ * the target gateway and the state root heights committed in both cores.
+ *
+ * @constructor
+ * @param erc20Gateway instance of ERC20Gateway interact
+ * @param core instance of Core interact of the same chains
+ */
+const MessageTracker = function (erc20Gateway, core) {
+  const oThis = this;
+
+  oThis.gateway = erc20Gateway;
+  oThis.core = core;
+  oThis.chains = {
+    origin: {
+      web3: erc20Gateway._getOriginWeb3(),
+      gateway: erc20Gateway._getOriginContract(),
+      core: core._getOriginContract()
+    },
+    auxiliary: {
+      web3: erc20Gateway._getAuxiliaryWeb3(),
+      gateway: erc20Gateway._getAuxiliaryContract(),
+      core: core._getAuxiliaryContract()
+    }
+  };
+};
+
+MessageTracker.prototype = {
+  constructor: MessageTracker,
+
+  /**
+   * @notice reports the combined state of a message and the next step which moves it on.
+   * @param messageHash
+   * @param fromBlock {origin, auxiliary} required block numbers to start searching events from, e.g. fromBlock of the
+   *                  state of the flow which sent the message
+   * @return {Promise<object>} {messageHash, kind, sourceChain, targetChain, outbox, inbox, declaredBlockHeight,
+   *         revocationBlockHeight, committedBlockHeight: {origin, auxiliary}, state, nextStep: {action, chain, method}}
+   *         state is unknown, declared, confirmable, confirmed, progressed, revocation_declared or reverted.
+   *         committedBlockHeight.auxiliary is the latest origin block committed in the auxiliary core and vice versa.
+   *         nextStep is null when nothing is left to do.
+   */
+  track: async function (messageHash, fromBlock) {
+    const oThis = this;
+
+    helper.checkFromBlock(fromBlock, ['origin', 'auxiliary']);
+
+    let statuses = {
+      origin: await oThis.getStatus('origin', 'outbox', messageHash),
+      auxiliary: await oThis.getStatus('auxiliary', 'outbox', messageHash)
+    };
+    let sourceChain = statuses.auxiliary !== 'undeclared' ? 'auxiliary' : 'origin'
+      , targetChain = OTHER_CHAIN[sourceChain]
+    ;
+
+    let report = {
+      messageHash: messageHash,
+      kind: null,
+      sourceChain: sourceChain,
+      targetChain: targetChain,
+      outbox: statuses[sourceChain],
+      inbox: await oThis.getStatus(targetChain, 'inbox', messageHash),
+      declaredBlockHeight: null,
+      revocationBlockHeight: null,
+      committedBlockHeight: {
+        origin: String(await oThis.chains.origin.core.methods.getLatestStateRootBlockHeight().call()),
+        auxiliary: String(await oThis.chains.auxiliary.core.methods.getLatestStateRootBlockHeight().call())
+      },
+      state: 'unknown',
+      nextStep: null
+    };
+
+    if (report.outbox === 'undeclared' && report.inbox === 'undeclared') {
+      return report;
+    }
+
+    let declared = await oThis._findDeclaration(sourceChain, messageHash, fromBlock[sourceChain]);
+    if (declared) {
+      report.kind = declared.messageKind.kind;
+      report.declaredBlockHeight = String(declared.event.blockNumber);
+    }
+    let messageKind = declared ? declared.messageKind : null;
+
+    if (report.outbox === 'revoked' || (report.inbox === 'revoked' && report.outbox !== 'declared_revocation')) {
+      report.state = 'reverted';
+    } else if (report.outbox === 'declared_revocation') {
+      report.state = 'revocation_declared';
+      await oThis._revocationStep(report, messageKind, fromBlock);
+    } else if (report.outbox === 'progressed' || report.inbox === 'progressed') {
+      report.state = 'progressed';
+      if (report.outbox !== 'progressed') {
+        report.nextStep = oThis._step('progressOutbox', sourceChain, messageKind);
+      } else if (report.inbox !== 'progressed') {
+        report.nextStep = oThis._step('progressInbox', targetChain, messageKind);
+      }
+    } else if (report.inbox === 'declared') {
+      report.state = 'confirmed';
+      report.nextStep = oThis._step('progressOutbox', sourceChain, messageKind);
+    } else if (oThis._isCommitted(report, targetChain, report.declaredBlockHeight)) {
+      report.state = 'confirmable';
+      report.nextStep = oThis._step('confirmMessage', targetChain, messageKind);
+    } else {
+      report.state = 'declared';
+      report.nextStep = oThis._step('commitStateRoot', targetChain, null);
+    }
+
+    return report;
+  },
+
+  /**
+   * @notice reads the status of a message from the message box of a gateway.
+   * @param chain 'origin' or 'auxiliary'
+   * @param box 'outbox' or 'inbox'
+   * @param messageHash
+   * @return {Promise<string>} undeclared, declared, progressed, declared_revocation or revoked
+   */
+  getStatus: async function (chain, box, messageHash) {
+    const oThis = this
+      , chainContext = oThis.chains[chain]
+      , slot = storageLayouts.GatewayV1.slot(box, [messageHash])
+    ;
+
+    let value = await chainContext.web3.eth.getStorageAt(
+      chainContext.gateway.options.address, helper.addHexPrefix(slot.toString('hex'))
+    );
+    return MESSAGE_STATUS[web3Utils.hexToNumber(value || '0x0')] || 'undeclared';
+  },
+
+  /**
+   * @notice next step of a message whose revocation is declared in the outbox of its source chain
+   * @private
+   */
+  _revocationStep: async function (report, messageKind, fromBlock) {
+    const oThis = this
+      , sourceChain = report.sourceChain
+      , targetChain = report.targetChain
+    ;
+
+    if (!messageKind || !messageKind.revocationEvent) {
+      return;
+    }
+
+    if (report.inbox === 'revoked') {
+      let confirmed = await helper.findEventByMessageHash(
+        oThis.chains[targetChain].gateway, messageKind.revocationConfirmedEvent, report.messageHash,
+        fromBlock[targetChain]
+      );
+      report.nextStep = oThis._isCommitted(report, sourceChain, confirmed && String(confirmed.blockNumber))
+        ? oThis._step('progressRevocation', sourceChain, messageKind)
+        : oThis._step('commitStateRoot', sourceChain, null);
+      return;
+    }
+
+    let revocation = await helper.findEventByMessageHash(
+      oThis.chains[sourceChain].gateway, messageKind.revocationEvent, report.messageHash, fromBlock[sourceChain]
+    );
+    report.revocationBlockHeight = revocation ? String(revocation.blockNumber) : null;
+    report.nextStep = oThis._isCommitted(report, targetChain, report.revocationBlockHeight)
+      ? oThis._step('confirmRevocation', targetChain, messageKind)
+      : oThis._step('commitStateRoot', targetChain, null);
+  },
+
+  /**
+   * @return {Promise<{messageKind: object, event: object}|null>} event which declared the message on its source chain
+   * @private
+   */
+  _findDeclaration: async function (sourceChain, messageHash, fromBlock) {
+    const oThis = this;
+
+    let messageKinds = MESSAGE_KINDS.filter(function (messageKind) {
+      return messageKind.sourceChain === sourceChain;
+    });
+    for (let i = 0; i < messageKinds.length; i++) {
+      let event = await helper.findEventByMessageHash(
+        oThis.chains[sourceChain].gateway, messageKinds[i].declaredEvent, messageHash, fromBlock
+      );
+      if (event) {
+        return {messageKind: messageKinds[i], event: event};
+      }
+    }
+    return null;
+  },
+
+  /**
+   * @return {boolean} true if the core of chain has a state root at or above blockHeight of the other chain
+   * @private
+   */
+  _isCommitted: function (report, chain, blockHeight) {
+    if (blockHeight === null || blockHeight === undefined) {
+      return false;
+    }
+    return web3Utils.toBN(report.committedBlockHeight[chain]).gte(web3Utils.toBN(blockHeight));
+  },
+
+  /**
+   * @param action commitStateRoot, confirmMessage, progressOutbox, progressInbox, confirmRevocation or
+   *               progressRevocation
+   * @param chain chain to send the transaction on
+   * @param messageKind
+   * @return {{action: string, chain: string, method: string}} method of the gateway on chain, or of its core for
+   *         commitStateRoot
+   * @private
+   */
+  _step: function (action, chain, messageKind) {
+    let method = action === 'commitStateRoot' ? 'commitStateRoot'
+      : messageKind && messageKind.methods[action] || null;
+    return {action: action, chain: chain, method: method};
+  }
+};
+
+MessageTracker.MESSAGE_STATUS = MESSAGE_STATUS;
+
+InstanceComposer.registerShadowableClass(MessageTracker, 'MessageTracker');
+
+module.exports = MessageTracker;
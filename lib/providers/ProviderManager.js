@@ -0,0 +1,95 @@
+"use strict";
+
+const InstanceComposer = require('../../instance_composer')
+  , ProviderPool = require('./ProviderPool')
+  , configurationsHelper = require('../configurations')
+;
+
+/**
+ * ProviderPools of the configured chains, one per list of provider urls. OriginWeb3 and AuxiliaryWeb3 of a chain share
+ * the pool and with it the connections to the chain.
+ *
+ * A chain configuration has provider or providers, a list of urls in priority order, and optionally providerStrategy,
+ * 'priority' (default) or 'round_robin'. configurations.providerPool sets the options of all pools
+ * {healthCheckInterval, maxLag, reconnectInterval, requestTimeout}, see ProviderPool.
+ *
+ * @constructor
+ */
+const ProviderManager = function (configStrategy, ic) {
+  const oThis = this;
+
+  oThis.configStrategy = configStrategy;
+  oThis.pools = {};
+};
+
+ProviderManager.prototype = {
+  constructor: ProviderManager,
+
+  /**
+   * @return {ProviderPool} pool of origin
+   */
+  origin: function () {
+    const oThis = this;
+
+    return oThis.getPool(oThis.configStrategy.origin);
+  },
+
+  /**
+   * @param chainConfig provider url or chain configuration {provider, providers, providerStrategy}
+   * @return {ProviderPool} pool of the providers of the chain, created on first use
+   */
+  getPool: function (chainConfig) {
+    const oThis = this
+      , urls = configurationsHelper.providerUrls(chainConfig)
+      , key = urls.join(' ')
+    ;
+
+    if (!oThis.pools[key]) {
+      oThis.pools[key] = new ProviderPool(urls, Object.assign({}, oThis.configStrategy.providerPool, {
+        strategy: chainConfig && chainConfig.providerStrategy || undefined
+      }));
+    }
+    return oThis.pools[key];
+  },
+
+  /**
+   * @return {Array} {urls, strategy, endpoints} of every pool in use, endpoints as of ProviderPool.health
+   */
+  health: function () {
+    const oThis = this;
+
+    return Object.keys(oThis.pools).map(function (key) {
+      let pool = oThis.pools[key];
+      return {urls: key.split(' '), strategy: pool.strategy, endpoints: pool.health()};
+    });
+  },
+
+  /**
+   * @notice checks the endpoints of every pool in use now
+   * @return {Promise<Array>} health(), never rejects
+   */
+  checkHealth: function () {
+    const oThis = this;
+
+    return Promise.all(Object.keys(oThis.pools).map(function (key) {
+      return oThis.pools[key].checkHealth();
+    })).then(function () {
+      return oThis.health();
+    });
+  },
+
+  /**
+   * @notice stops the health checks and closes the connections of all pools
+   */
+  stop: function () {
+    const oThis = this;
+
+    Object.keys(oThis.pools).forEach(function (key) {
+      oThis.pools[key].stop();
+    });
+  }
+};
+
+InstanceComposer.register(ProviderManager, 'ProviderManager', true);
+
+module.exports = ProviderManager;
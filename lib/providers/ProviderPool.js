@@ -0,0 +1,598 @@
+"use strict";
+
+const EventEmitter = require('events')
+  , Web3 = require('web3')
+;
+
+const errors = require('../errors')
+  , configurationsHelper = require('../configurations')
+;
+
+/**
+ * Methods whose state lives on one node. They go to the endpoint of highest priority, also with round_robin.
+ */
+const PINNED_METHODS = [
+  'eth_subscribe', 'eth_unsubscribe', 'eth_newFilter', 'eth_newBlockFilter', 'eth_newPendingTransactionFilter',
+  'eth_getFilterChanges', 'eth_getFilterLogs', 'eth_uninstallFilter'
+];
+
+/**
+ * Methods which are not sent to another endpoint after a failure, as the failed endpoint may have run them.
+ */
+const NOT_RETRIED_METHODS = ['eth_sendTransaction', 'personal_sendTransaction'];
+
+const isWebSocket = function (url) {
+  return /^wss?:\/\//i.test(String(url));
+};
+
+const createProvider = function (url) {
+  return isWebSocket(url) ? new Web3.providers.WebsocketProvider(url) : new Web3.providers.HttpProvider(url);
+};
+
+/**
+ * web3 provider over several endpoints of one chain.
+ *
+ * Requests go to the healthy endpoints in the order of strategy: 'priority' uses the first one, 'round_robin' takes
+ * turns. A request which fails on one endpoint is sent to the next, json-rpc errors are returned as they are.
+ * WebSocket endpoints reconnect after they close, and subscriptions move to the reconnected or another WebSocket
+ * endpoint under the subscription id web3 already knows.
+ *
+ * Health checks poll eth_blockNumber of every endpoint. Emits 'health' (health()) after every check and 'resubscribed'
+ * (subscriptionId, url) when a subscription is established again.
+ *
+ * web3 instances take a connection() of the pool rather than the pool, see PoolConnection.
+ *
+ * @constructor
+ * @param urls provider urls in priority order, http(s):// or ws(s)://
+ * @param options {strategy, healthCheckInterval, maxLag, reconnectInterval, requestTimeout, createProvider}
+ *                healthCheckInterval in ms defaults to 30000, 0 disables the checks. Endpoints more than maxLag blocks
+ *                behind the highest endpoint are unhealthy. createProvider(url) builds the web3 provider of an
+ *                endpoint.
+ */
+const ProviderPool = function (urls, options) {
+  const oThis = this;
+
+  EventEmitter.call(oThis);
+
+  options = options || {};
+  if (!(urls instanceof Array) || !urls.length) {
+    throw new errors.ConfigError('invalid_config', 'ProviderPool needs at least one provider url', {urls: urls});
+  }
+  oThis.strategy = options.strategy || 'priority';
+  if (configurationsHelper.providerStrategies.indexOf(oThis.strategy) === -1) {
+    throw new errors.ConfigError('invalid_config', 'Unknown provider strategy ' + oThis.strategy,
+      {strategy: oThis.strategy});
+  }
+
+  oThis.healthCheckInterval = options.healthCheckInterval !== undefined ? options.healthCheckInterval : 30000;
+  oThis.maxLag = options.maxLag !== undefined ? options.maxLag : null;
+  oThis.reconnectInterval = options.reconnectInterval || 5000;
+  oThis.requestTimeout = options.requestTimeout || 30000;
+  oThis.createProvider = options.createProvider || createProvider;
+
+  oThis.endpoints = urls.map(function (url) {
+    return {
+      url: url,
+      isWebSocket: isWebSocket(url),
+      provider: null,
+      healthy: true,
+      latency: null,
+      blockNumber: null,
+      lag: null,
+      lastCheckedAt: null,
+      error: null,
+      reconnectTimer: null
+    };
+  });
+  // By the subscription id web3 knows: {id, currentId, params, endpoint, isPending}
+  oThis.subscriptions = {};
+  // Subscription id of the node to the subscription id web3 knows
+  oThis.subscriptionIds = {};
+  oThis.requestId = 0;
+  oThis.nextIndex = 0;
+  oThis.healthCheckTimer = null;
+  oThis.stopped = false;
+};
+
+ProviderPool.prototype = Object.create(EventEmitter.prototype);
+
+Object.assign(ProviderPool.prototype, {
+  constructor: ProviderPool,
+
+  /**
+   * @notice sends a json-rpc payload, as the providers of web3 do
+   * @param payload request or batch of requests
+   * @param callback (error, response)
+   */
+  send: function (payload, callback) {
+    const oThis = this
+      , method = payload && payload.method
+    ;
+
+    oThis._startHealthChecks();
+
+    if (method === 'eth_unsubscribe') {
+      return oThis._unsubscribe(payload, callback);
+    }
+
+    let endpoints = oThis._candidates(method);
+    if (method === 'eth_subscribe') {
+      endpoints = endpoints.filter(function (endpoint) {
+        return endpoint.isWebSocket;
+      });
+      if (!endpoints.length) {
+        return callback(new errors.RpcError('provider_unavailable', 'Subscriptions need a ws:// provider',
+          {method: method}));
+      }
+    }
+
+    oThis._sendWithFailover(endpoints, payload, function (error, response, endpoint) {
+      if (!error && method === 'eth_subscribe' && response && response.result) {
+        oThis.subscriptions[response.result] = {
+          id: response.result, currentId: response.result, params: payload.params, endpoint: endpoint, isPending: false
+        };
+        oThis.subscriptionIds[response.result] = response.result;
+      }
+      callback(error, response);
+    });
+  },
+
+  /**
+   * @notice same as send, for web3 versions which use sendAsync
+   */
+  sendAsync: function (payload, callback) {
+    return this.send(payload, callback);
+  },
+
+  /**
+   * @return {PoolConnection} provider for one web3 instance
+   */
+  connection: function () {
+    return new PoolConnection(this);
+  },
+
+  /**
+   * @return {boolean} true if one of the endpoints is a WebSocket
+   */
+  supportsSubscriptions: function () {
+    return this.endpoints.some(function (endpoint) {
+      return endpoint.isWebSocket;
+    });
+  },
+
+  /**
+   * @return {Array} {url, healthy, latency, blockNumber, lag, lastCheckedAt, error} of every endpoint, latency in ms
+   *         and lag in blocks behind the highest endpoint, as of the last health check
+   */
+  health: function () {
+    return this.endpoints.map(function (endpoint) {
+      return {
+        url: endpoint.url,
+        healthy: endpoint.healthy,
+        latency: endpoint.latency,
+        blockNumber: endpoint.blockNumber,
+        lag: endpoint.lag,
+        lastCheckedAt: endpoint.lastCheckedAt,
+        error: endpoint.error ? String(endpoint.error.message || endpoint.error) : null
+      };
+    });
+  },
+
+  /**
+   * @notice checks all endpoints now. Endpoints which answer and are within maxLag become healthy again.
+   * @return {Promise<Array>} health(), never rejects
+   */
+  checkHealth: function () {
+    const oThis = this;
+
+    return Promise.all(oThis.endpoints.map(function (endpoint) {
+      let startedAt = Date.now();
+      return new Promise(function (resolve) {
+        oThis._request(endpoint, oThis._payload('eth_blockNumber', []), function (error, response) {
+          endpoint.lastCheckedAt = Date.now();
+          if (error || !response || response.error) {
+            endpoint.latency = null;
+            endpoint.lag = null;
+            oThis._markUnhealthy(endpoint, error || new Error(response && response.error ? response.error.message
+              : 'No response to eth_blockNumber'));
+          } else {
+            endpoint.latency = endpoint.lastCheckedAt - startedAt;
+            endpoint.blockNumber = parseInt(response.result, 16);
+            endpoint.error = null;
+          }
+          resolve();
+        });
+      });
+    })).then(function () {
+      let answered = oThis.endpoints.filter(function (endpoint) {
+        return !endpoint.error && endpoint.blockNumber !== null;
+      });
+      let highest = Math.max.apply(null, answered.map(function (endpoint) {
+        return endpoint.blockNumber;
+      }));
+      answered.forEach(function (endpoint) {
+        endpoint.lag = highest - endpoint.blockNumber;
+        endpoint.healthy = oThis.maxLag === null || endpoint.lag <= oThis.maxLag;
+      });
+
+      oThis._resubscribe();
+      let health = oThis.health();
+      oThis.emit('health', health);
+      return health;
+    });
+  },
+
+  /**
+   * @notice stops health checks and reconnects and closes the WebSocket connections
+   */
+  stop: function () {
+    const oThis = this;
+
+    oThis.stopped = true;
+    if (oThis.healthCheckTimer) {
+      clearInterval(oThis.healthCheckTimer);
+      oThis.healthCheckTimer = null;
+    }
+    oThis.endpoints.forEach(function (endpoint) {
+      if (endpoint.reconnectTimer) {
+        clearTimeout(endpoint.reconnectTimer);
+        endpoint.reconnectTimer = null;
+      }
+      oThis._closeProvider(endpoint);
+    });
+  },
+
+  /**
+   * @return {Array} endpoints to try for method, healthy ones first
+   * @private
+   */
+  _candidates: function (method) {
+    const oThis = this;
+
+    let healthy = oThis.endpoints.filter(function (endpoint) {
+      return endpoint.healthy;
+    });
+    let unhealthy = oThis.endpoints.filter(function (endpoint) {
+      return !endpoint.healthy;
+    });
+
+    if (oThis.strategy === 'round_robin' && healthy.length > 1 && PINNED_METHODS.indexOf(method) === -1) {
+      let start = oThis.nextIndex++ % healthy.length;
+      healthy = healthy.slice(start).concat(healthy.slice(0, start));
+    }
+    return healthy.concat(unhealthy);
+  },
+
+  /**
+   * @notice sends payload to the first endpoint and to the next ones while they fail
+   * @param callback (error, response, endpoint)
+   * @private
+   */
+  _sendWithFailover: function (endpoints, payload, callback) {
+    const oThis = this
+      , method = payload && payload.method
+    ;
+
+    let index = 0;
+    const attempt = function () {
+      let endpoint = endpoints[index++];
+      oThis._request(endpoint, payload, function (error, response) {
+        if (!error) {
+          return callback(null, response, endpoint);
+        }
+        oThis._markUnhealthy(endpoint, error);
+        if (index < endpoints.length && NOT_RETRIED_METHODS.indexOf(method) === -1) {
+          return attempt();
+        }
+        callback(new errors.RpcError('provider_unavailable',
+          'No provider answered ' + (method || 'the batch') + ': ' + String(error && error.message || error),
+          {method: method || null, urls: endpoints.map(function (e) { return e.url; }), cause: error}));
+      });
+    };
+    attempt();
+  },
+
+  /**
+   * @notice sends payload to one endpoint. Fails when the endpoint does not answer within requestTimeout.
+   * @private
+   */
+  _request: function (endpoint, payload, callback) {
+    const oThis = this;
+
+    let isDone = false, timer = null;
+    const done = function (error, response) {
+      if (isDone) {
+        return;
+      }
+      isDone = true;
+      clearTimeout(timer);
+      callback(error, response);
+    };
+
+    timer = setTimeout(function () {
+      done(new Error('No response from ' + endpoint.url + ' within ' + oThis.requestTimeout + ' ms'));
+    }, oThis.requestTimeout);
+
+    try {
+      oThis._getProvider(endpoint).send(payload, done);
+    } catch (error) {
+      done(error);
+    }
+  },
+
+  /**
+   * @return {object} provider of the endpoint, connected on first use
+   * @private
+   */
+  _getProvider: function (endpoint) {
+    const oThis = this;
+
+    if (endpoint.provider) {
+      return endpoint.provider;
+    }
+
+    let provider = endpoint.provider = oThis.createProvider(endpoint.url);
+    if (endpoint.isWebSocket && typeof provider.on === 'function') {
+      provider.on('data', function (result, deprecatedResult) {
+        oThis._onData(result || deprecatedResult);
+      });
+      provider.on('error', function (error) {
+        oThis._onDisconnect(endpoint, provider, error);
+      });
+      provider.on('end', function () {
+        oThis._onDisconnect(endpoint, provider, new Error('Connection to ' + endpoint.url + ' closed'));
+      });
+    }
+    return provider;
+  },
+
+  /**
+   * @notice forwards a subscription notification under the subscription id web3 knows
+   * @private
+   */
+  _onData: function (result) {
+    const oThis = this;
+
+    let params = result && result.params;
+    if (params && params.subscription && oThis.subscriptionIds[params.subscription]) {
+      result = Object.assign({}, result, {
+        params: Object.assign({}, params, {subscription: oThis.subscriptionIds[params.subscription]})
+      });
+    }
+    oThis.emit('data', result);
+  },
+
+  /**
+   * @notice drops the connection of a WebSocket endpoint, moves its subscriptions and reconnects it later
+   * @private
+   */
+  _onDisconnect: function (endpoint, provider, error) {
+    const oThis = this;
+
+    if (endpoint.provider !== provider) {
+      return;
+    }
+    oThis._closeProvider(endpoint);
+    oThis._markUnhealthy(endpoint, error);
+    oThis._resubscribe();
+
+    if (!oThis.stopped && !endpoint.reconnectTimer) {
+      endpoint.reconnectTimer = setTimeout(function () {
+        endpoint.reconnectTimer = null;
+        oThis._reconnect(endpoint);
+      }, oThis.reconnectInterval);
+    }
+  },
+
+  /**
+   * @notice connects an endpoint again. It is healthy again once it answers.
+   * @private
+   */
+  _reconnect: function (endpoint) {
+    const oThis = this;
+
+    if (oThis.stopped) {
+      return;
+    }
+    let provider = oThis._getProvider(endpoint);
+    oThis._request(endpoint, oThis._payload('eth_blockNumber', []), function (error) {
+      if (error) {
+        return oThis._onDisconnect(endpoint, provider, error);
+      }
+      endpoint.healthy = true;
+      endpoint.error = null;
+      oThis._resubscribe();
+    });
+  },
+
+  /**
+   * @notice subscribes again the subscriptions whose endpoint lost its connection
+   * @private
+   */
+  _resubscribe: function () {
+    const oThis = this;
+
+    Object.keys(oThis.subscriptions).forEach(function (id) {
+      let subscription = oThis.subscriptions[id];
+      if (subscription.isPending || (subscription.endpoint && subscription.endpoint.provider)) {
+        return;
+      }
+      let endpoint = oThis._candidates('eth_subscribe').find(function (candidate) {
+        return candidate.isWebSocket && candidate.healthy;
+      });
+      if (!endpoint) {
+        subscription.endpoint = null;
+        return;
+      }
+
+      subscription.isPending = true;
+      oThis._request(endpoint, oThis._payload('eth_subscribe', subscription.params), function (error, response) {
+        subscription.isPending = false;
+        if (!oThis.subscriptions[id]) {
+          return;
+        }
+        if (error || !response || response.error) {
+          subscription.endpoint = null;
+          return;
+        }
+        delete oThis.subscriptionIds[subscription.currentId];
+        subscription.currentId = response.result;
+        subscription.endpoint = endpoint;
+        oThis.subscriptionIds[response.result] = id;
+        oThis.emit('resubscribed', id, endpoint.url);
+      });
+    });
+  },
+
+  /**
+   * @notice unsubscribes on the endpoint which has the subscription now
+   * @private
+   */
+  _unsubscribe: function (payload, callback) {
+    const oThis = this
+      , id = payload.params && payload.params[0]
+      , subscription = oThis.subscriptions[id]
+    ;
+
+    if (!subscription) {
+      return oThis._sendWithFailover(oThis._candidates('eth_unsubscribe'), payload, callback);
+    }
+
+    delete oThis.subscriptions[id];
+    delete oThis.subscriptionIds[subscription.currentId];
+    if (!subscription.endpoint || !subscription.endpoint.provider) {
+      return callback(null, {jsonrpc: '2.0', id: payload.id, result: true});
+    }
+    oThis._request(subscription.endpoint, Object.assign({}, payload, {params: [subscription.currentId]}), callback);
+  },
+
+  _markUnhealthy: function (endpoint, error) {
+    endpoint.healthy = false;
+    endpoint.error = error || null;
+  },
+
+  _closeProvider: function (endpoint) {
+    let provider = endpoint.provider;
+
+    endpoint.provider = null;
+    if (provider && typeof provider.disconnect === 'function') {
+      try {
+        provider.disconnect();
+      } catch (error) {
+        // The connection is already closed
+      }
+    }
+  },
+
+  _startHealthChecks: function () {
+    const oThis = this;
+
+    if (oThis.healthCheckTimer || oThis.stopped || !oThis.healthCheckInterval) {
+      return;
+    }
+    oThis.healthCheckTimer = setInterval(function () {
+      oThis.checkHealth();
+    }, oThis.healthCheckInterval);
+    // Health checks alone do not keep the process running
+    if (typeof oThis.healthCheckTimer.unref === 'function') {
+      oThis.healthCheckTimer.unref();
+    }
+  },
+
+  _payload: function (method, params) {
+    return {jsonrpc: '2.0', id: 'pool' + (++this.requestId), method: method, params: params};
+  }
+});
+
+/**
+ * web3 provider of one web3 instance over a ProviderPool.
+ *
+ * web3 adds its notification listeners to the provider it is given and never removes them. Every web3 instance gets
+ * its own connection for them, and the connection listens to the 'data' of the pool only while it has subscriptions.
+ *
+ * @constructor
+ * @param pool ProviderPool
+ */
+const PoolConnection = function (pool) {
+  const oThis = this;
+
+  EventEmitter.call(oThis);
+
+  oThis.pool = pool;
+  oThis.subscriptionIds = {};
+  oThis.isListening = false;
+  oThis.onData = function (result) {
+    oThis.emit('data', result);
+  };
+};
+
+PoolConnection.prototype = Object.create(EventEmitter.prototype);
+
+Object.assign(PoolConnection.prototype, {
+  constructor: PoolConnection,
+
+  /**
+   * @notice sends a json-rpc payload through the pool
+   * @param payload request or batch of requests
+   * @param callback (error, response)
+   */
+  send: function (payload, callback) {
+    const oThis = this
+      , method = payload && payload.method
+    ;
+
+    if (method === 'eth_unsubscribe' && payload.params) {
+      delete oThis.subscriptionIds[payload.params[0]];
+      oThis._updateListening();
+    }
+    oThis.pool.send(payload, function (error, response) {
+      if (!error && method === 'eth_subscribe' && response && response.result) {
+        oThis.subscriptionIds[response.result] = true;
+        oThis._updateListening();
+      }
+      callback(error, response);
+    });
+  },
+
+  /**
+   * @notice same as send, for web3 versions which use sendAsync
+   */
+  sendAsync: function (payload, callback) {
+    return this.send(payload, callback);
+  },
+
+  /**
+   * @notice called by web3 when it clears its subscriptions. The connection stops listening to the pool.
+   */
+  reset: function () {
+    const oThis = this;
+
+    oThis.subscriptionIds = {};
+    oThis._updateListening();
+  },
+
+  /**
+   * @return {boolean} true if the pool has a WebSocket endpoint
+   */
+  supportsSubscriptions: function () {
+    return this.pool.supportsSubscriptions();
+  },
+
+  _updateListening: function () {
+    const oThis = this
+      , hasSubscriptions = Object.keys(oThis.subscriptionIds).length > 0
+    ;
+
+    if (hasSubscriptions && !oThis.isListening) {
+      oThis.pool.on('data', oThis.onData);
+    } else if (!hasSubscriptions && oThis.isListening) {
+      oThis.pool.removeListener('data', oThis.onData);
+    }
+    oThis.isListening = hasSubscriptions;
+  }
+});
+
+ProviderPool.PINNED_METHODS = PINNED_METHODS;
+ProviderPool.PoolConnection = PoolConnection;
+
+module.exports = ProviderPool;
@@ -0,0 +1,228 @@
+"use strict";
+
+const web3Utils = require('web3-utils');
+
+const InstanceComposer = require('../../instance_composer')
+  , helper = require('../flows/helper')
+  , jsonLogger = require('../logger')
+;
+
+/**
+ * Commits the state roots of origin into the auxiliary core and the state roots of auxiliary into the origin core.
+ * Only blocks which are remoteChainBlocksToWait deep are committed.
+ *
+ * @constructor
+ * @param core instance of Core interact
+ * @param options {mode: 'poll' | 'subscribe', pollInterval, originTxOptions, auxiliaryTxOptions, workerManager,
+ *                 maxRetries, retryDelay, maxRetryDelay, logger}
+ *                originTxOptions are used to commit into the origin core, auxiliaryTxOptions into the auxiliary core.
+ *                With a workerManager, commits without a from address are sent from a valid worker.
+ */
+const StateRootRelayer = function (core, options) {
+  const oThis = this;
+
+  options = options || {};
+  oThis.core = core;
+  oThis.mode = options.mode || 'poll';
+  oThis.pollInterval = options.pollInterval || helper.defaultPollInterval;
+  oThis.maxRetries = options.maxRetries === undefined ? 5 : options.maxRetries;
+  oThis.retryDelay = options.retryDelay || 1000;
+  oThis.maxRetryDelay = options.maxRetryDelay || 60000;
+  oThis.logger = options.logger || jsonLogger;
+  oThis.workerManager = options.workerManager || null;
+
+  oThis.lanes = [
+    {
+      name: 'originToAuxiliary',
+      targetChain: 'auxiliary',
+      sourceWeb3: core._getOriginWeb3(),
+      targetCore: core._getAuxiliaryContract(),
+      txOptions: options.auxiliaryTxOptions || {}
+    },
+    {
+      name: 'auxiliaryToOrigin',
+      targetChain: 'origin',
+      sourceWeb3: core._getAuxiliaryWeb3(),
+      targetCore: core._getOriginContract(),
+      txOptions: options.originTxOptions || {}
+    }
+  ];
+  oThis.running = false;
+};
+
+StateRootRelayer.prototype = {
+  constructor: StateRootRelayer,
+
+  /**
+   * @notice starts relaying in both directions.
+   */
+  start: function () {
+    const oThis = this;
+
+    if (oThis.running) {
+      return;
+    }
+    oThis.running = true;
+
+    oThis.lanes.forEach(function (lane) {
+      lane.pending = Promise.resolve();
+      if (oThis.mode === 'subscribe') {
+        lane.subscription = lane.sourceWeb3.eth.subscribe('newBlockHeaders')
+          .on('data', function () {
+            oThis._schedule(lane);
+          })
+          .on('error', function (error) {
+            oThis.logger.error('Block subscription failed', {lane: lane.name, error: String(error)});
+          });
+      }
+      oThis._schedule(lane);
+    });
+
+    oThis.logger.info('State root relayer started', {mode: oThis.mode});
+  },
+
+  /**
+   * @notice stops relaying. Resolves once the commits in flight are complete. A retry which waits for its backoff
+   *         delay is given up at once.
+   * @return {Promise}
+   */
+  stop: function () {
+    const oThis = this;
+
+    oThis.running = false;
+    return Promise.all(oThis.lanes.map(function (lane) {
+      clearTimeout(lane.timer);
+      if (lane.wakeUp) {
+        lane.wakeUp();
+      }
+      if (lane.subscription) {
+        lane.subscription.unsubscribe();
+        lane.subscription = null;
+      }
+      return lane.pending;
+    })).then(function () {
+      oThis.logger.info('State root relayer stopped', {});
+    });
+  },
+
+  /**
+   * @notice commits the latest final state root of the source chain of a lane, if not yet committed.
+   * @param lane
+   * @return {Promise<{blockHeight: string, stateRoot: string}|null>} null when there was nothing to commit
+   */
+  relay: async function (lane) {
+    const oThis = this;
+
+    if (lane.blocksToWait === undefined) {
+      lane.blocksToWait = web3Utils.toBN(await lane.targetCore.methods.remoteChainBlocksToWait().call());
+    }
+
+    let latestHeight = web3Utils.toBN(await lane.sourceWeb3.eth.getBlockNumber())
+      , finalHeight = latestHeight.sub(lane.blocksToWait)
+      , committedHeight = web3Utils.toBN(await lane.targetCore.methods.getLatestStateRootBlockHeight().call())
+    ;
+
+    if (finalHeight.lte(committedHeight)) {
+      return null;
+    }
+
+    let block = await lane.sourceWeb3.eth.getBlock(finalHeight.toString())
+      , txOptions = oThis.workerManager
+        ? await oThis.workerManager.getTxOptions(lane.targetChain, lane.txOptions)
+        : lane.txOptions
+      , receipt = await helper.send(
+        lane.targetCore.methods.commitStateRoot(finalHeight.toString(), block.stateRoot),
+        txOptions,
+        lane.targetChain
+      )
+    ;
+
+    oThis.logger.info('State root committed', {
+      lane: lane.name,
+      blockHeight: finalHeight.toString(),
+      stateRoot: block.stateRoot,
+      worker: txOptions.from,
+      transactionHash: receipt.transactionHash
+    });
+
+    return {blockHeight: finalHeight.toString(), stateRoot: block.stateRoot};
+  },
+
+  /**
+   * @notice queues a relay of the lane behind the one in flight.
+   * @param lane
+   * @private
+   */
+  _schedule: function (lane) {
+    const oThis = this;
+
+    if (lane.queued) {
+      return;
+    }
+    lane.queued = true;
+    lane.pending = lane.pending.then(function () {
+      lane.queued = false;
+      if (!oThis.running) {
+        return;
+      }
+      return oThis._relayWithRetry(lane);
+    }).then(function () {
+      if (oThis.running && oThis.mode === 'poll') {
+        clearTimeout(lane.timer);
+        lane.timer = setTimeout(function () {
+          oThis._schedule(lane);
+        }, oThis.pollInterval);
+      }
+    });
+  },
+
+  /**
+   * @notice relays with exponential backoff. Errors are logged and never rejected.
+   * @param lane
+   * @return {Promise}
+   * @private
+   */
+  _relayWithRetry: async function (lane) {
+    const oThis = this;
+
+    for (let attempt = 0; attempt <= oThis.maxRetries && oThis.running; attempt++) {
+      try {
+        return await oThis.relay(lane);
+      } catch (error) {
+        let delay = Math.min(oThis.retryDelay * Math.pow(2, attempt), oThis.maxRetryDelay);
+        oThis.logger.warn('State root commit failed', {
+          lane: lane.name, attempt: attempt + 1, retryInMs: delay, error: String(error && error.message || error)
+        });
+        if (attempt < oThis.maxRetries) {
+          await oThis._backoff(lane, delay);
+        }
+      }
+    }
+    if (oThis.running) {
+      oThis.logger.error('State root commit given up', {lane: lane.name, attempts: oThis.maxRetries + 1});
+    }
+  },
+
+  /**
+   * @notice waits delay ms before the next attempt of a lane, or until stop is called.
+   * @param lane
+   * @param delay
+   * @return {Promise}
+   * @private
+   */
+  _backoff: function (lane, delay) {
+    return new Promise(function (resolve) {
+      let timer;
+      lane.wakeUp = function () {
+        clearTimeout(timer);
+        lane.wakeUp = null;
+        resolve();
+      };
+      timer = setTimeout(lane.wakeUp, delay);
+    });
+  }
+};
+
+InstanceComposer.registerShadowableClass(StateRootRelayer, 'StateRootRelayer');
+
+module.exports = StateRootRelayer;
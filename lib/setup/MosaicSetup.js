@@ -0,0 +1,391 @@
+"use strict";
+
+const fs = require('fs')
+  , web3Utils = require('web3-utils')
+;
+
+const InstanceComposer = require('../../instance_composer')
+  , Flow = require('../flows/Flow')
+  , deployer = require('./deployer')
+  , errors = require('../errors')
+;
+
+const STEPS = [
+  'tokensDeployed',
+  'workersDeployed',
+  'workersSet',
+  'messageBusesDeployed',
+  'coresDeployed',
+  'gatewaysDeployed',
+  'coresLinked',
+  'simpleStakeDeployed',
+  'gatewaysLinked',
+  'configWritten'
+];
+
+const CHAINS = ['origin', 'auxiliary'];
+
+/**
+ * Deploys and links a Mosaic pair: Workers, Core, MessageBus on both chains, GatewayV1 and SimpleStakeV1 on origin,
+ * CoGatewayV1 and a BrandedToken on auxiliary. The result is a configuration which Mosaic can load.
+ *
+ * Each core is deployed with the gateway of the other chain as its remote account, so the addresses of the gateways
+ * are derived from the nonces of the deployers. The deployers must not send other transactions during the setup.
+ *
+ * @constructor
+ * @param auxiliaryConfig {provider, transactions} of the auxiliary chain
+ * @param options {originTxOptions, auxiliaryTxOptions, valueToken, brandedToken: {uuid, symbol, name, decimals,
+ *                 conversionRate, conversionRateDecimals}, workers: {origin, auxiliary}, workerDeactivationHeight,
+ *                 registrar: {origin, auxiliary}, organisation: {origin, auxiliary}, bounty,
+ *                 blockGenerationTime: {origin, auxiliary},
+ *                 gatewayLink: {intentHash, nonce, gasPrice, sender, signature, hashLock, unlockSecret},
+ *                 relayStateRoots, originChainDataPath, originProofBackend, pollInterval, logger, configPath}
+ *                Without valueToken a MockToken is deployed on origin. Workers, registrar and organisation default
+ *                to the deployer of the chain, i.e. the from address of the tx options or of the TransactionManager.
+ *                Gateways are linked with ERC20Gateway.linkGateways, with gatewayLink as its params, unless
+ *                gatewayLink is false.
+ */
+const MosaicSetup = function (auxiliaryConfig, options) {
+  const oThis = this
+    , OriginWeb3 = oThis.ic().OriginWeb3()
+    , AuxiliaryWeb3 = oThis.ic().AuxiliaryWeb3()
+  ;
+
+  options = options || {};
+  // The setup is resumed from its emitted state, it is not recorded in the flow journal.
+  Flow.call(oThis, STEPS, Object.assign({journal: null}, options));
+
+  oThis.auxiliaryConfig = auxiliaryConfig;
+  oThis.options = options;
+  oThis.web3 = {
+    origin: new OriginWeb3(),
+    auxiliary: new AuxiliaryWeb3(auxiliaryConfig)
+  };
+  oThis.managers = {
+    origin: oThis.ic().Transactions().origin(),
+    auxiliary: oThis.ic().Transactions().auxiliary(auxiliaryConfig)
+  };
+};
+
+MosaicSetup.prototype = Object.create(Flow.prototype);
+
+Object.assign(MosaicSetup.prototype, {
+  constructor: MosaicSetup,
+
+  /**
+   * @notice starts a new setup.
+   * @return {Promise<state>} resolves with the final state, state.config is the configuration of Mosaic
+   */
+  start: async function () {
+    const oThis = this;
+
+    oThis.state = {
+      step: null,
+      chainIds: {
+        origin: String(await oThis.web3.origin.eth.net.getId()),
+        auxiliary: String(await oThis.web3.auxiliary.eth.net.getId())
+      },
+      deployers: {
+        origin: oThis._getDeployer('origin'),
+        auxiliary: oThis._getDeployer('auxiliary')
+      },
+      contracts: {origin: {}, auxiliary: {}},
+      transactionHashes: {}
+    };
+
+    return oThis._run();
+  },
+
+  /**
+   * @notice resumes a setup after its last completed step.
+   * @param state previously emitted state
+   * @return {Promise<state>}
+   */
+  resume: function (state) {
+    const oThis = this;
+
+    oThis.state = state;
+    return oThis._run();
+  },
+
+  _tokensDeployed: async function () {
+    const oThis = this
+      , state = oThis.state
+      , brandedToken = oThis.options.brandedToken || {}
+    ;
+
+    if (oThis.options.valueToken) {
+      state.contracts.origin.token = oThis.options.valueToken;
+    } else {
+      state.contracts.origin.token = await oThis._deploy('origin', 'MockToken', []);
+    }
+
+    let symbol = brandedToken.symbol || 'BT'
+      , name = brandedToken.name || 'Branded Token'
+      , conversionRate = String(brandedToken.conversionRate || 1)
+      , conversionRateDecimals = String(brandedToken.conversionRateDecimals || 0)
+      , uuid = brandedToken.uuid || web3Utils.soliditySha3(
+        symbol, name, state.chainIds.origin, state.chainIds.auxiliary, conversionRate, conversionRateDecimals
+      )
+    ;
+    state.contracts.auxiliary.token = await oThis._deploy('auxiliary', 'BrandedToken', [
+      uuid, symbol, name, String(brandedToken.decimals || 18), state.chainIds.origin, state.chainIds.auxiliary,
+      conversionRate, conversionRateDecimals
+    ]);
+  },
+
+  _workersDeployed: async function () {
+    const oThis = this
+      , contracts = oThis.state.contracts
+    ;
+
+    for (let i = 0; i < CHAINS.length; i++) {
+      let chain = CHAINS[i];
+      contracts[chain].workers = await oThis._deploy(chain, 'Workers', [contracts[chain].token]);
+    }
+  },
+
+  _workersSet: async function () {
+    const oThis = this
+      , state = oThis.state
+      , workers = oThis.options.workers || {}
+    ;
+
+    for (let i = 0; i < CHAINS.length; i++) {
+      let chain = CHAINS[i]
+        , contract = oThis._getContract(chain, 'Workers', state.contracts[chain].workers)
+        , deactivationHeight = oThis.options.workerDeactivationHeight ||
+          String(await oThis.web3[chain].eth.getBlockNumber() + 10000000)
+      ;
+
+      await oThis._send(contract.methods.setOpsAddress(state.deployers[chain]), chain);
+
+      let addresses = workers[chain] || [state.deployers[chain]];
+      for (let j = 0; j < addresses.length; j++) {
+        await oThis._send(contract.methods.setWorker(addresses[j], deactivationHeight), chain);
+      }
+    }
+  },
+
+  _messageBusesDeployed: async function () {
+    const oThis = this
+      , contracts = oThis.state.contracts
+    ;
+
+    for (let i = 0; i < CHAINS.length; i++) {
+      let chain = CHAINS[i];
+      contracts[chain].messageBus = await oThis._deploy(chain, 'MessageBus', []);
+    }
+  },
+
+  _coresDeployed: async function () {
+    const oThis = this
+      , state = oThis.state
+      , contracts = state.contracts
+      , registrar = oThis.options.registrar || {}
+      , blockGenerationTime = oThis.options.blockGenerationTime || {}
+    ;
+
+    // The gateways are the next contracts the deployers create after the cores. The nonce is the one the
+    // TransactionManager hands out next, which is ahead of the pending count while it has sends in flight.
+    for (let i = 0; i < CHAINS.length; i++) {
+      let chain = CHAINS[i]
+        , nonce = await oThis.managers[chain].nextNonce(state.deployers[chain])
+      ;
+      contracts[chain][chain === 'origin' ? 'gateway' : 'coGateway'] =
+        deployer.contractAddress(state.deployers[chain], nonce + 1);
+    }
+
+    let originBlock = await oThis.web3.origin.eth.getBlock('latest')
+      , auxiliaryBlock = await oThis.web3.auxiliary.eth.getBlock('latest')
+    ;
+
+    contracts.origin.core = await oThis._deploy('origin', 'Core', [
+      registrar.origin || state.deployers.origin, state.chainIds.origin, state.chainIds.auxiliary,
+      contracts.auxiliary.coGateway, String(blockGenerationTime.auxiliary || 15),
+      String(auxiliaryBlock.number), auxiliaryBlock.stateRoot, contracts.origin.workers
+    ]);
+    contracts.auxiliary.core = await oThis._deploy('auxiliary', 'Core', [
+      registrar.auxiliary || state.deployers.auxiliary, state.chainIds.auxiliary, state.chainIds.origin,
+      contracts.origin.gateway, String(blockGenerationTime.origin || 15),
+      String(originBlock.number), originBlock.stateRoot, contracts.auxiliary.workers
+    ]);
+  },
+
+  _gatewaysDeployed: async function () {
+    const oThis = this
+      , contracts = oThis.state.contracts
+      , organisation = oThis.options.organisation || {}
+      , bounty = String(oThis.options.bounty || 0)
+      , codeHashVT = web3Utils.keccak256(await oThis.web3.origin.eth.getCode(contracts.origin.token))
+      , codeHashUT = web3Utils.keccak256(await oThis.web3.auxiliary.eth.getCode(contracts.auxiliary.token))
+    ;
+
+    let coGateway = await oThis._deploy('auxiliary', 'CoGatewayV1', [
+      contracts.auxiliary.token, contracts.auxiliary.core, bounty, codeHashUT, codeHashVT,
+      organisation.auxiliary || oThis.state.deployers.auxiliary
+    ], {MessageBus: contracts.auxiliary.messageBus});
+    oThis._checkAddress('CoGatewayV1', contracts.auxiliary.coGateway, coGateway);
+
+    let gateway = await oThis._deploy('origin', 'GatewayV1', [
+      contracts.origin.token, contracts.auxiliary.coGateway, contracts.origin.core, bounty, codeHashUT, codeHashVT,
+      organisation.origin || oThis.state.deployers.origin
+    ], {MessageBus: contracts.origin.messageBus});
+    oThis._checkAddress('GatewayV1', contracts.origin.gateway, gateway);
+  },
+
+  _coresLinked: async function () {
+    const oThis = this
+      , contracts = oThis.state.contracts
+    ;
+
+    await oThis._send(
+      oThis._getContract('origin', 'Core', contracts.origin.core).methods.setCoCoreAddress(contracts.auxiliary.core),
+      'origin'
+    );
+    await oThis._send(
+      oThis._getContract('auxiliary', 'Core', contracts.auxiliary.core).methods.setCoCoreAddress(contracts.origin.core),
+      'auxiliary'
+    );
+  },
+
+  _simpleStakeDeployed: async function () {
+    const oThis = this
+      , contracts = oThis.state.contracts
+    ;
+
+    contracts.origin.simpleStake = await oThis._deploy('origin', 'SimpleStakeV1', [
+      contracts.origin.token, contracts.origin.gateway
+    ]);
+  },
+
+  /**
+   * @notice runs the gateway link handshake: initiate on origin, prove the gateway on the auxiliary core, confirm
+   *         on auxiliary and process on both chains.
+   * @private
+   */
+  _gatewaysLinked: async function () {
+    const oThis = this
+      , state = oThis.state
+      , contracts = state.contracts
+    ;
+
+    if (oThis.options.gatewayLink === false) {
+      state.gatewaysLinked = false;
+      return;
+    }
+
+    let Core = oThis.ic().Core()
+      , ERC20Gateway = oThis.ic().ERC20Gateway()
+      , core = new Core(contracts.origin.core, {}, oThis.auxiliaryConfig, contracts.auxiliary.core, {})
+      , gateway = new ERC20Gateway(
+        contracts.origin.gateway, {}, oThis.auxiliaryConfig, contracts.auxiliary.coGateway, {}
+      )
+    ;
+
+    let link = await gateway.linkGateways(core, oThis.options.gatewayLink, {
+      originTxOptions: oThis.options.originTxOptions,
+      auxiliaryTxOptions: oThis.options.auxiliaryTxOptions,
+      relayStateRoots: oThis.options.relayStateRoots !== false,
+      originChainDataPath: oThis.options.originChainDataPath,
+      originProofBackend: oThis.options.originProofBackend,
+      pollInterval: oThis.options.pollInterval,
+      logger: oThis.options.logger
+    });
+
+    Object.assign(state.transactionHashes, link.transactionHashes);
+    state.gatewayLinkMessageHash = link.messageHash;
+    state.gatewaysLinked = link.isActivated;
+  },
+
+  /**
+   * @notice builds state.config and merges it into the file at configPath, if given
+   * @private
+   */
+  _configWritten: async function () {
+    const oThis = this
+      , state = oThis.state
+      , configPath = oThis.options.configPath
+    ;
+
+    let auxiliary = {
+      provider: oThis.auxiliaryConfig.provider,
+      chainId: state.chainIds.auxiliary,
+      originCoreContractAddress: state.contracts.origin.core,
+      gateways: [state.contracts.origin.gateway],
+      contracts: state.contracts
+    };
+
+    let config = {
+      origin: {provider: oThis.ic().configStrategy.origin.provider, chainId: state.chainIds.origin},
+      auxiliaries: []
+    };
+    if (configPath && fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      config.auxiliaries = config.auxiliaries || [];
+    }
+    let coreAddress = auxiliary.originCoreContractAddress.toLowerCase();
+    config.auxiliaries = config.auxiliaries.filter(function (auxConfig) {
+      return String(auxConfig.originCoreContractAddress).toLowerCase() !== coreAddress;
+    }).concat(auxiliary);
+
+    if (configPath) {
+      fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    }
+    state.config = config;
+  },
+
+  /**
+   * @return {Promise<string>} address of the deployed contract
+   * @private
+   */
+  _deploy: async function (chain, contractName, args, libraries) {
+    const oThis = this;
+
+    let deployment = await deployer.deploy(oThis.web3[chain], contractName, args, await oThis._txOptions(chain), {
+      libraries: libraries,
+      manager: oThis.managers[chain],
+      chain: chain
+    });
+    oThis.state.transactionHashes[chain + contractName] = deployment.transactionHash;
+    return deployment.address;
+  },
+
+  /**
+   * @return {object} web3 contract whose sends go through the TransactionManager of the chain
+   * @private
+   */
+  _getContract: function (chain, contractName, address) {
+    const oThis = this;
+
+    let contract = new oThis.web3[chain].eth.Contract(deployer.loadArtifacts(contractName).jsonInterface, address);
+    return oThis.ic().Transactions().wrapContract(chain, contract, oThis.auxiliaryConfig);
+  },
+
+  _getDeployer: function (chain) {
+    const oThis = this;
+
+    let txOptions = (chain === 'origin' ? oThis.options.originTxOptions : oThis.options.auxiliaryTxOptions) || {}
+      , from = txOptions.from || (oThis.managers[chain] && Object.keys(oThis.managers[chain].accounts)[0])
+    ;
+    if (!from) {
+      throw new errors.ConfigError('invalid_argument',
+        "'from' of the " + chain + " tx options is required when the chain has no private key configured");
+    }
+    return web3Utils.toChecksumAddress(from);
+  },
+
+  _checkAddress: function (contractName, expected, actual) {
+    if (String(expected).toLowerCase() !== String(actual).toLowerCase()) {
+      throw new errors.ConfigError('invalid_config',
+        contractName + ' was deployed at ' + actual + ' instead of ' + expected +
+        '. The deployer sent other transactions during the setup.', {expected: expected, actual: actual});
+    }
+  }
+});
+
+MosaicSetup.STEPS = STEPS;
+
+InstanceComposer.registerShadowableClass(MosaicSetup, 'MosaicSetup');
+
+module.exports = MosaicSetup;
@@ -0,0 +1,123 @@
+"use strict";
+
+const path = require('path')
+  , fs = require('fs')
+  , ethUtils = require('ethereumjs-util')
+;
+
+const rootPrefix = '../..'
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const abiDirectory = path.join(__dirname, rootPrefix, 'contracts/abi')
+  , binDirectory = path.join(__dirname, rootPrefix, 'contracts/bin')
+  , DEFAULT_GAS_HEADROOM = 1.2
+;
+
+/**
+ * Constructor for deploying the contracts of contracts/abi and contracts/bin - ContractDeployerKlass
+ * @constructor
+ */
+const ContractDeployerKlass = function () {
+};
+
+ContractDeployerKlass.prototype = {
+
+  /**
+   * @param contractName e.g. GatewayV1
+   * @return {{jsonInterface: Array, bytecode: string}}
+   */
+  loadArtifacts: function (contractName) {
+    let abiPath = path.join(abiDirectory, contractName + '.abi')
+      , binPath = path.join(binDirectory, contractName + '.bin')
+    ;
+
+    if (path.dirname(abiPath) !== abiDirectory || !fs.existsSync(abiPath) || !fs.existsSync(binPath)) {
+      throw new errors.ConfigError('invalid_argument',
+        "No artifacts of '" + contractName + "' in contracts/abi and contracts/bin", {contractName: contractName});
+    }
+    return {
+      jsonInterface: JSON.parse(fs.readFileSync(abiPath, 'utf8')),
+      bytecode: '0x' + fs.readFileSync(binPath, 'utf8').trim()
+    };
+  },
+
+  /**
+   * @notice replaces the library placeholders of solc (__<LibraryName>___...) with the library addresses
+   * @param bytecode
+   * @param libraries {MessageBus: address}
+   * @return {string} bytecode
+   */
+  link: function (bytecode, libraries) {
+    Object.keys(libraries || {}).forEach(function (libraryName) {
+      let address = ethUtils.stripHexPrefix(libraries[libraryName]).toLowerCase()
+        , placeholder = ('__' + libraryName + '________________________________________').substr(0, 40)
+      ;
+      bytecode = bytecode.split(placeholder).join(address);
+    });
+
+    let unlinked = bytecode.match(/__[A-Za-z0-9_.:/]{38}/);
+    if (unlinked) {
+      throw new errors.ConfigError('invalid_argument', 'Library placeholder ' + unlinked[0] + ' is not linked',
+        {placeholder: unlinked[0]});
+    }
+    return bytecode;
+  },
+
+  /**
+   * @notice address of the contract which from creates with nonce
+   * @param from
+   * @param nonce
+   * @return {string}
+   */
+  contractAddress: function (from, nonce) {
+    return ethUtils.toChecksumAddress(ethUtils.bufferToHex(ethUtils.generateAddress(from, nonce)));
+  },
+
+  /**
+   * @notice deploys a contract, through the TransactionManager of the chain if there is one
+   * @param web3
+   * @param contractName
+   * @param args constructor arguments
+   * @param txOptions {from, gas, gasPrice}
+   * @param options {libraries, manager, chain}
+   * @return {Promise<{address: string, transactionHash: string, receipt: object}>} rejects with ContractCallError
+   */
+  deploy: async function (web3, contractName, args, txOptions, options) {
+    const oThis = this
+      , artifacts = oThis.loadArtifacts(contractName)
+    ;
+
+    options = options || {};
+    let contract = new web3.eth.Contract(artifacts.jsonInterface)
+      , deployment = contract.deploy({data: oThis.link(artifacts.bytecode, options.libraries), arguments: args || []})
+      , receipt
+    ;
+
+    try {
+      if (options.manager) {
+        receipt = await options.manager.send(deployment, txOptions);
+      } else {
+        let gas = txOptions.gas ||
+          Math.ceil(await deployment.estimateGas({from: txOptions.from}) * DEFAULT_GAS_HEADROOM);
+        receipt = await web3.eth.sendTransaction({
+          from: txOptions.from, data: deployment.encodeABI(), gas: gas, gasPrice: txOptions.gasPrice
+        });
+      }
+    } catch (error) {
+      if (error instanceof errors.ContractCallError) {
+        error.chain = error.chain || options.chain || null;
+        error.method = error.method || 'deploy ' + contractName;
+        throw error;
+      }
+      throw new errors.ContractCallError('contract_call_failed',
+        'Deploying ' + contractName + ' failed' + (options.chain ? ' on ' + options.chain : '') + ': ' +
+        String(error && error.message || error),
+        {chain: options.chain || null, method: 'deploy ' + contractName, contractAddress: null, cause: error});
+    }
+
+    return {address: receipt.contractAddress, transactionHash: receipt.transactionHash, receipt: receipt};
+  }
+};
+
+module.exports = new ContractDeployerKlass();
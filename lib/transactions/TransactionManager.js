@@ -0,0 +1,456 @@
+"use strict";
+
+const fs = require('fs')
+  , web3Utils = require('web3-utils')
+;
+
+const errors = require('../errors');
+
+const DEFAULT_GAS_HEADROOM = 1.2
+  , DEFAULT_SPEED_UP_MULTIPLIER = 1.125
+  , MIN_REPLACEMENT_BUMP = 1.1
+  , CANCEL_GAS = 21000
+;
+
+/**
+ * Sends the transactions of one chain: signs locally with private keys or keystores, hands out nonces per sender so
+ * concurrent sends do not collide, applies the gas price strategy, estimates gas with headroom and replaces stuck
+ * transactions (speed up / cancel).
+ *
+ * Senders without a local key are sent through the node, with the nonce still managed here.
+ *
+ * @constructor
+ * @param web3 OriginWeb3 or AuxiliaryWeb3 instance of the chain
+ * @param options {privateKeys, keystores: [{path | json, password}], gasPrice: 'network' | wei | function (web3),
+ *                 gasPriceMultiplier, maxGasPrice, gasHeadroom, speedUpMultiplier, chainId}
+ */
+const TransactionManager = function (web3, options) {
+  const oThis = this;
+
+  options = options || {};
+  oThis.web3 = web3;
+  oThis.gasPrice = options.gasPrice || 'network';
+  oThis.gasPriceMultiplier = options.gasPriceMultiplier || 1;
+  oThis.maxGasPrice = options.maxGasPrice ? web3Utils.toBN(options.maxGasPrice) : null;
+  oThis.gasHeadroom = options.gasHeadroom || DEFAULT_GAS_HEADROOM;
+  oThis.speedUpMultiplier = Math.max(options.speedUpMultiplier || DEFAULT_SPEED_UP_MULTIPLIER, MIN_REPLACEMENT_BUMP);
+  oThis.chainId = options.chainId;
+
+  oThis.accounts = {};
+  (options.privateKeys || []).forEach(function (privateKey) {
+    oThis.addAccount(web3.eth.accounts.privateKeyToAccount(privateKey));
+  });
+  (options.keystores || []).forEach(function (keystore) {
+    let json = keystore.json || JSON.parse(fs.readFileSync(keystore.path, 'utf8'));
+    oThis.addAccount(web3.eth.accounts.decrypt(json, keystore.password));
+  });
+
+  oThis.nonces = {};
+  oThis.nonceLocks = {};
+  oThis.pending = {};
+};
+
+TransactionManager.prototype = {
+  constructor: TransactionManager,
+
+  /**
+   * @param account {address, privateKey}
+   */
+  addAccount: function (account) {
+    this.accounts[account.address.toLowerCase()] = account;
+  },
+
+  /**
+   * @notice replaces the methods of a web3 contract so that their send goes through this manager
+   * @param contract web3 contract object
+   * @return {object} contract
+   */
+  wrapContract: function (contract) {
+    const oThis = this
+      , methods = contract.methods
+    ;
+
+    Object.keys(methods).forEach(function (name) {
+      let original = methods[name];
+      methods[name] = function () {
+        return oThis.wrap(original.apply(methods, arguments));
+      };
+    });
+    return contract;
+  },
+
+  /**
+   * @param txObject web3 contract method object
+   * @return {object} txObject whose send goes through this manager. Constant methods are returned as is.
+   */
+  wrap: function (txObject) {
+    const oThis = this
+      , abiItem = txObject._method || {}
+    ;
+
+    if (abiItem.constant || abiItem.stateMutability === 'view' || abiItem.stateMutability === 'pure') {
+      return txObject;
+    }
+    let wrapped = Object.create(txObject);
+    wrapped.send = function (txOptions) {
+      return oThis.send(txObject, txOptions);
+    };
+    return wrapped;
+  },
+
+  /**
+   * @param txObject web3 contract method object
+   * @param txOptions {from, gas, gasPrice, value, nonce}, missing gas, gasPrice and nonce are filled in
+   * @return {Promise<receipt>} receipt with decoded events, of the replacement if the transaction was sped up.
+   *         Rejects with ContractCallError.
+   */
+  send: async function (txObject, txOptions) {
+    const oThis = this;
+
+    txOptions = Object.assign({}, txOptions);
+    let from = txOptions.from || Object.keys(oThis.accounts)[0];
+    if (!from) {
+      throw new errors.ConfigError('invalid_argument', "'from' is required when no private key is configured");
+    }
+
+    let params = {
+      from: from,
+      to: txObject._parent.options.address,
+      data: txObject.encodeABI(),
+      value: txOptions.value || '0',
+      gasPrice: txOptions.gasPrice ? String(txOptions.gasPrice) : await oThis.getGasPrice(),
+      gas: txOptions.gas
+    };
+    if (!params.gas) {
+      let estimate = await txObject.estimateGas({from: from, value: params.value});
+      params.gas = String(Math.ceil(estimate * oThis.gasHeadroom));
+    }
+
+    let receipt = await oThis._sendWithNonce(params, txOptions.nonce);
+    return oThis._decodeEvents(txObject, receipt);
+  },
+
+  /**
+   * @notice resends a pending transaction with the same nonce and a higher gas price
+   * @param transactionHash
+   * @param gasPrice optional, defaults to the old gas price times speedUpMultiplier
+   * @return {Promise<string>} hash of the replacement. The promise of the original send resolves with its receipt.
+   */
+  speedUp: function (transactionHash, gasPrice) {
+    const oThis = this
+      , slot = oThis._getPendingSlot(transactionHash)
+    ;
+
+    let params = Object.assign({}, slot.params, {gasPrice: oThis._replacementGasPrice(slot.params.gasPrice, gasPrice)});
+    return oThis._replace(slot, params);
+  },
+
+  /**
+   * @notice replaces a pending transaction with an empty transfer to the sender. The promise of the original send
+   *         rejects with code transaction_cancelled once the cancellation is mined.
+   * @param transactionHash
+   * @param gasPrice optional, defaults to the old gas price times speedUpMultiplier
+   * @return {Promise<string>} hash of the cancellation
+   */
+  cancel: function (transactionHash, gasPrice) {
+    const oThis = this
+      , slot = oThis._getPendingSlot(transactionHash)
+    ;
+
+    let params = {
+      from: slot.params.from,
+      to: slot.params.from,
+      data: '0x',
+      value: '0',
+      gas: String(CANCEL_GAS),
+      gasPrice: oThis._replacementGasPrice(slot.params.gasPrice, gasPrice),
+      nonce: slot.params.nonce
+    };
+    slot.cancelled = true;
+    return oThis._replace(slot, params);
+  },
+
+  /**
+   * @return {Array} pending transactions {transactionHash, from, nonce, gasPrice}
+   */
+  getPending: function () {
+    const oThis = this;
+
+    return Object.keys(oThis.pending).map(function (transactionHash) {
+      let slot = oThis.pending[transactionHash];
+      return {
+        transactionHash: transactionHash,
+        from: slot.params.from,
+        nonce: slot.params.nonce,
+        gasPrice: slot.params.gasPrice
+      };
+    });
+  },
+
+  /**
+   * @return {Promise<string>} gas price in wei following the gas price strategy
+   */
+  getGasPrice: async function () {
+    const oThis = this;
+
+    let gasPrice;
+    if (typeof oThis.gasPrice === 'function') {
+      gasPrice = await oThis.gasPrice(oThis.web3);
+    } else if (oThis.gasPrice === 'network') {
+      gasPrice = await oThis.web3.eth.getGasPrice();
+    } else {
+      gasPrice = oThis.gasPrice;
+    }
+
+    let result = web3Utils.toBN(gasPrice).muln(Math.round(oThis.gasPriceMultiplier * 1000)).divn(1000);
+    if (oThis.maxGasPrice && result.gt(oThis.maxGasPrice)) {
+      result = oThis.maxGasPrice;
+    }
+    return result.toString();
+  },
+
+  /**
+   * @notice nonce of the next send of sender which does not set a nonce, e.g. to derive the address of a contract
+   *         before deploying it. Waits for the sends of sender which are being broadcast.
+   * @param sender
+   * @return {Promise<number>}
+   */
+  nextNonce: function (sender) {
+    const oThis = this
+      , key = String(sender).toLowerCase()
+    ;
+
+    return (oThis.nonceLocks[key] || Promise.resolve()).then(async function () {
+      if (oThis.nonces[key] === undefined) {
+        oThis.nonces[key] = await oThis.web3.eth.getTransactionCount(sender, 'pending');
+      }
+      return oThis.nonces[key];
+    });
+  },
+
+  /**
+   * @notice takes the next nonce of the sender and broadcasts. Nonces are handed out one at a time per sender.
+   * @private
+   */
+  _sendWithNonce: function (params, nonce) {
+    const oThis = this
+      , sender = params.from.toLowerCase()
+    ;
+
+    let broadcast = (oThis.nonceLocks[sender] || Promise.resolve()).then(async function () {
+      if (nonce === undefined) {
+        if (oThis.nonces[sender] === undefined) {
+          oThis.nonces[sender] = await oThis.web3.eth.getTransactionCount(params.from, 'pending');
+        }
+        nonce = oThis.nonces[sender]++;
+      }
+      let slot = oThis._createSlot(Object.assign({}, params, {nonce: nonce}));
+      try {
+        await oThis._broadcast(slot, slot.params);
+      } catch (error) {
+        // The nonce was not used, read it from the chain again with the next send
+        delete oThis.nonces[sender];
+        throw error;
+      }
+      return slot;
+    });
+    oThis.nonceLocks[sender] = broadcast.catch(function () {
+    });
+
+    return broadcast.then(function (slot) {
+      return slot.promise;
+    });
+  },
+
+  _createSlot: function (params) {
+    let slot = {params: params, live: 0, settled: false, cancelled: false, hashes: []};
+    slot.promise = new Promise(function (resolve, reject) {
+      slot.resolve = resolve;
+      slot.reject = reject;
+    });
+    return slot;
+  },
+
+  /**
+   * @notice signs and sends params as one transaction of slot. Resolves with the hash once broadcasted.
+   *         The slot settles with the receipt of the first of its transactions which is mined.
+   * @private
+   */
+  _broadcast: async function (slot, params) {
+    const oThis = this
+      , account = oThis.accounts[params.from.toLowerCase()]
+    ;
+
+    let promiEvent;
+    if (account) {
+      let tx = {
+        to: params.to, data: params.data, value: params.value, gas: params.gas, gasPrice: params.gasPrice,
+        nonce: params.nonce
+      };
+      if (oThis.chainId) {
+        tx.chainId = oThis.chainId;
+      }
+      let signed = await oThis.web3.eth.accounts.signTransaction(tx, account.privateKey);
+      promiEvent = oThis.web3.eth.sendSignedTransaction(signed.rawTransaction);
+    } else {
+      promiEvent = oThis.web3.eth.sendTransaction(params);
+    }
+
+    slot.live++;
+    return new Promise(function (resolve, reject) {
+      let transactionHash = null;
+
+      promiEvent.on('transactionHash', function (hash) {
+        transactionHash = hash;
+        slot.hashes.push(hash);
+        oThis.pending[hash] = slot;
+        resolve(hash);
+      });
+      promiEvent.then(function (receipt) {
+        oThis._settle(slot, null, receipt);
+      }, function (error) {
+        slot.live--;
+        if (transactionHash === null) {
+          // Not broadcasted, the slot is kept for the other transactions of the nonce
+          return reject(oThis._toError(params, error));
+        }
+        if (slot.live === 0) {
+          oThis._settle(slot, oThis._toError(params, error));
+        }
+      });
+    });
+  },
+
+  _replace: function (slot, params) {
+    const oThis = this;
+
+    slot.params = Object.assign({}, slot.params, {gasPrice: params.gasPrice});
+    return oThis._broadcast(slot, params);
+  },
+
+  _settle: function (slot, error, receipt) {
+    const oThis = this;
+
+    if (slot.settled) {
+      return;
+    }
+    slot.settled = true;
+    slot.hashes.forEach(function (hash) {
+      delete oThis.pending[hash];
+    });
+
+    if (error) {
+      return slot.reject(error);
+    }
+    if (slot.cancelled && receipt.to && receipt.to.toLowerCase() === slot.params.from.toLowerCase()) {
+      return slot.reject(new errors.ContractCallError('transaction_cancelled', 'Transaction was cancelled', {
+        transactionHash: receipt.transactionHash,
+        nonce: slot.params.nonce
+      }));
+    }
+    slot.resolve(receipt);
+  },
+
+  _getPendingSlot: function (transactionHash) {
+    let slot = this.pending[transactionHash];
+    if (!slot) {
+      throw new errors.ConfigError('invalid_argument', 'Transaction ' + transactionHash + ' is not pending', {
+        transactionHash: transactionHash
+      });
+    }
+    return slot;
+  },
+
+  _replacementGasPrice: function (oldGasPrice, gasPrice) {
+    const oThis = this;
+
+    let minimum = web3Utils.toBN(oldGasPrice).muln(Math.round(MIN_REPLACEMENT_BUMP * 1000)).divn(1000);
+    if (gasPrice) {
+      return web3Utils.BN.max(web3Utils.toBN(gasPrice), minimum).toString();
+    }
+    let bumped = web3Utils.toBN(oldGasPrice).muln(Math.round(oThis.speedUpMultiplier * 1000)).divn(1000);
+    return web3Utils.BN.max(bumped, minimum).toString();
+  },
+
+  /**
+   * @notice decodes the logs of the contract into receipt.events, as web3 does for contract sends
+   * @private
+   */
+  _decodeEvents: function (txObject, receipt) {
+    const oThis = this
+      , parent = txObject._parent
+    ;
+
+    if (!parent || !Array.isArray(receipt.logs) || receipt.events) {
+      return receipt;
+    }
+
+    let events = {}
+      , unnamed = 0
+    ;
+    receipt.logs.forEach(function (log) {
+      let event = oThis._decodeLog(parent.options.jsonInterface, log);
+      if (!event.event) {
+        events[unnamed++] = event;
+      } else if (!events[event.event]) {
+        events[event.event] = event;
+      } else {
+        events[event.event] = [].concat(events[event.event], event);
+      }
+    });
+    receipt.events = events;
+    return receipt;
+  },
+
+  /**
+   * @param jsonInterface abi of the contract
+   * @param log log of a receipt
+   * @return {object} event in the shape of web3 contract events, without event and returnValues if the abi does not
+   *         declare it
+   * @private
+   */
+  _decodeLog: function (jsonInterface, log) {
+    const oThis = this
+      , abi = oThis.web3.eth.abi
+      , topics = log.topics || []
+    ;
+
+    let event = {
+        address: log.address,
+        blockHash: log.blockHash,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        transactionIndex: log.transactionIndex,
+        logIndex: log.logIndex,
+        id: log.id,
+        returnValues: {},
+        event: null,
+        signature: null,
+        raw: {data: log.data, topics: topics}
+      }
+      , eventAbi = (jsonInterface || []).find(function (item) {
+        return item.type === 'event' && !item.anonymous && topics[0] &&
+          abi.encodeEventSignature(item).toLowerCase() === topics[0].toLowerCase();
+      })
+    ;
+
+    if (eventAbi) {
+      event.event = eventAbi.name;
+      event.signature = topics[0];
+      event.returnValues = abi.decodeLog(eventAbi.inputs, log.data, topics.slice(1));
+      delete event.returnValues.__length__;
+    }
+    return event;
+  },
+
+  _toError: function (params, error) {
+    return new errors.ContractCallError('contract_call_failed', String(error && error.message || error), {
+      from: params.from,
+      contractAddress: params.to,
+      nonce: params.nonce,
+      cause: error
+    });
+  }
+};
+
+module.exports = TransactionManager;
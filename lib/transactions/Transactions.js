@@ -0,0 +1,97 @@
+"use strict";
+
+const InstanceComposer = require('../../instance_composer')
+  , TransactionManager = require('./TransactionManager')
+;
+
+/**
+ * TransactionManagers of the configured chains. A chain gets a manager when its configuration has transactions,
+ * e.g. origin.transactions or auxiliaries[i].transactions (see TransactionManager for the options).
+ *
+ * Managers are shared by provider so that all interacts of a chain draw nonces from the same manager.
+ *
+ * @constructor
+ */
+const Transactions = function (configStrategy, ic) {
+  const oThis = this;
+
+  oThis.configStrategy = configStrategy;
+  oThis.managers = {};
+};
+
+Transactions.prototype = {
+  constructor: Transactions,
+
+  /**
+   * @return {TransactionManager|null} manager of origin, null if origin has no transactions configuration
+   */
+  origin: function () {
+    const oThis = this
+      , OriginWeb3 = oThis.ic().OriginWeb3()
+    ;
+
+    return oThis._getManager(oThis.configStrategy.origin, function () {
+      return new OriginWeb3();
+    });
+  },
+
+  /**
+   * @param auxiliaryConfig origin core contract address or configuration of the auxiliary
+   * @return {TransactionManager|null} manager of the auxiliary, null if it has no transactions configuration
+   */
+  auxiliary: function (auxiliaryConfig) {
+    const oThis = this
+      , AuxiliaryWeb3 = oThis.ic().AuxiliaryWeb3()
+    ;
+
+    return oThis._getManager(oThis._getAuxiliaryConfig(auxiliaryConfig), function () {
+      return new AuxiliaryWeb3(auxiliaryConfig);
+    });
+  },
+
+  /**
+   * @notice routes the sends of contract through the manager of chain, if the chain has one
+   * @param chain 'origin' or 'auxiliary'
+   * @param contract web3 contract object
+   * @param auxiliaryConfig origin core contract address or configuration of the auxiliary, for chain 'auxiliary'
+   * @return {object} contract
+   */
+  wrapContract: function (chain, contract, auxiliaryConfig) {
+    const oThis = this;
+
+    let manager = chain === 'origin' ? oThis.origin() : oThis.auxiliary(auxiliaryConfig);
+    return manager ? manager.wrapContract(contract) : contract;
+  },
+
+  _getManager: function (chainConfig, createWeb3) {
+    const oThis = this;
+
+    if (!chainConfig || !chainConfig.transactions || !chainConfig.provider) {
+      return null;
+    }
+    if (!oThis.managers[chainConfig.provider]) {
+      oThis.managers[chainConfig.provider] = new TransactionManager(createWeb3(), chainConfig.transactions);
+    }
+    return oThis.managers[chainConfig.provider];
+  },
+
+  /**
+   * @return {object|undefined} auxiliary configuration of an origin core contract address
+   * @private
+   */
+  _getAuxiliaryConfig: function (auxiliaryConfig) {
+    const oThis = this;
+
+    if (typeof auxiliaryConfig === 'object') {
+      return auxiliaryConfig;
+    }
+    let address = String(auxiliaryConfig).toLowerCase();
+    return (oThis.configStrategy.auxiliaries || []).find(function (auxConfig) {
+      return String(auxConfig.originCoreContractAddress).toLowerCase() === address;
+    });
+  }
+};
+
+InstanceComposer.register(Transactions, 'Transactions', true);
+
+module.exports = Transactions;
@@ -0,0 +1,189 @@
+"use strict";
+
+const path = require('path')
+  , fs = require('fs')
+;
+
+const InstanceComposer = require('../../instance_composer');
+
+function parseFile(filePath, options) {
+  filePath = path.join(__dirname, '/' + filePath);
+  const fileContent = fs.readFileSync(filePath, options || 'utf8');
+  return JSON.parse(fileContent);
+}
+
+const coreJsonInterface = parseFile('../../contracts/abi/Core.abi', 'utf8');
+
+/**
+ * Checks the configurations against the chains: providers are reachable and serve the expected chain ids,
+ * the cores have code and agree with each other on the chain ids.
+ *
+ * Expected chain ids are optional and read from origin.chainId and auxiliaries[i].chainId.
+ *
+ * @constructor
+ */
+const ConfigurationValidator = function () {
+  const oThis = this;
+
+  oThis.configurations = oThis.ic().configStrategy;
+};
+
+ConfigurationValidator.prototype = {
+  constructor: ConfigurationValidator,
+
+  /**
+   * @return {Promise<{isValid: boolean, origin: {provider, chainId, checks}, auxiliaries: Array}>}
+   *         every check is {check, passed, expected, actual, message}. Never rejects.
+   */
+  validate: async function () {
+    const oThis = this
+      , OriginWeb3 = oThis.ic().OriginWeb3()
+      , originWeb3 = new OriginWeb3()
+      , origin = {provider: oThis.configurations.origin.provider, chainId: null, checks: []}
+    ;
+
+    origin.chainId = await oThis._checkChainId(originWeb3, oThis.configurations.origin.chainId, origin.checks);
+
+    let auxiliaries = [];
+    for (let i = 0; i < oThis.configurations.auxiliaries.length; i++) {
+      auxiliaries.push(await oThis._validateAuxiliary(originWeb3, origin, oThis.configurations.auxiliaries[i]));
+    }
+
+    let isValid = [origin].concat(auxiliaries).every(function (chain) {
+      return chain.checks.every(function (check) {
+        return check.passed;
+      });
+    });
+
+    return {isValid: isValid, origin: origin, auxiliaries: auxiliaries};
+  },
+
+  _validateAuxiliary: async function (originWeb3, origin, auxConfig) {
+    const oThis = this
+      , AuxiliaryWeb3 = oThis.ic().AuxiliaryWeb3()
+      , auxiliaryWeb3 = new AuxiliaryWeb3(auxConfig)
+      , coreAddress = auxConfig.originCoreContractAddress
+      , auxiliary = {
+        originCoreContractAddress: coreAddress || null, provider: auxConfig.provider, chainId: null, checks: []
+      }
+      , checks = auxiliary.checks
+    ;
+
+    auxiliary.chainId = await oThis._checkChainId(auxiliaryWeb3, auxConfig.chainId, checks);
+
+    if (!coreAddress || origin.chainId === null) {
+      return auxiliary;
+    }
+    if (!await oThis._checkCode(originWeb3, coreAddress, 'origin_core_code', checks)) {
+      return auxiliary;
+    }
+
+    let originCore = new originWeb3.eth.Contract(coreJsonInterface, coreAddress);
+    await oThis._check('origin_core_chain_id_origin', origin.chainId, function () {
+      return originCore.methods.coreChainIdOrigin().call();
+    }, checks);
+
+    if (auxiliary.chainId === null) {
+      return auxiliary;
+    }
+    await oThis._check('origin_core_chain_id_remote', auxiliary.chainId, function () {
+      return originCore.methods.chainIdRemote().call();
+    }, checks);
+
+    let coCoreAddress;
+    try {
+      coCoreAddress = await originCore.methods.coCore().call();
+    } catch (error) {
+      oThis._addCheck(checks, 'co_core_code', false, null, null, oThis._message(error));
+      return auxiliary;
+    }
+    if (!await oThis._checkCode(auxiliaryWeb3, coCoreAddress, 'co_core_code', checks)) {
+      return auxiliary;
+    }
+
+    let coCore = new auxiliaryWeb3.eth.Contract(coreJsonInterface, coCoreAddress);
+    await oThis._check('co_core_chain_id_remote', origin.chainId, function () {
+      return coCore.methods.chainIdRemote().call();
+    }, checks);
+
+    return auxiliary;
+  },
+
+  /**
+   * @return {Promise<string|null>} net_version of the provider, null if it is not reachable
+   * @private
+   */
+  _checkChainId: async function (web3, expectedChainId, checks) {
+    const oThis = this;
+
+    let chainId;
+    try {
+      chainId = String(await web3.eth.net.getId());
+    } catch (error) {
+      oThis._addCheck(checks, 'provider_reachable', false, null, null, oThis._message(error));
+      return null;
+    }
+    oThis._addCheck(checks, 'provider_reachable', true);
+
+    if (expectedChainId !== undefined && expectedChainId !== null) {
+      oThis._addCheck(checks, 'chain_id', String(expectedChainId) === chainId, String(expectedChainId), chainId);
+    }
+    return chainId;
+  },
+
+  /**
+   * @return {Promise<boolean>} true if there is bytecode at address
+   * @private
+   */
+  _checkCode: async function (web3, address, name, checks) {
+    const oThis = this;
+
+    let code;
+    try {
+      code = await web3.eth.getCode(address);
+    } catch (error) {
+      oThis._addCheck(checks, name, false, null, null, oThis._message(error));
+      return false;
+    }
+    let hasCode = !!code && !/^0x0*$/.test(code);
+    oThis._addCheck(checks, name, hasCode, null, address, hasCode ? undefined : 'No contract at ' + address);
+    return hasCode;
+  },
+
+  /**
+   * @notice compares the result of call with expected
+   * @private
+   */
+  _check: async function (name, expected, call, checks) {
+    const oThis = this;
+
+    try {
+      let actual = String(await call());
+      oThis._addCheck(checks, name, actual === String(expected), String(expected), actual);
+    } catch (error) {
+      oThis._addCheck(checks, name, false, String(expected), null, oThis._message(error));
+    }
+  },
+
+  _addCheck: function (checks, name, passed, expected, actual, message) {
+    let check = {check: name, passed: passed};
+    if (expected !== undefined && expected !== null) {
+      check.expected = expected;
+    }
+    if (actual !== undefined && actual !== null) {
+      check.actual = actual;
+    }
+    if (message) {
+      check.message = message;
+    }
+    checks.push(check);
+  },
+
+  _message: function (error) {
+    return String(error && error.message || error);
+  }
+};
+
+InstanceComposer.registerShadowableClass(ConfigurationValidator, 'ConfigurationValidator');
+
+module.exports = ConfigurationValidator;
@@ -0,0 +1,207 @@
+"use strict";
+
+const web3Utils = require('web3-utils');
+
+const InstanceComposer = require('../../instance_composer')
+  , helper = require('../flows/helper')
+  , errors = require('../errors')
+  , jsonLogger = require('../logger')
+;
+
+const CHAINS = ['origin', 'auxiliary'];
+
+/**
+ * Keeps a pool of worker accounts per chain and hands out workers which are registered in the Workers contract
+ * and far enough from their deactivation height.
+ *
+ * @constructor
+ * @param workers instance of Workers interact
+ * @param options {origin: [address], auxiliary: [address], minRemainingBlocks, rotationThreshold, validityBlocks,
+ *                 originOpsTxOptions, auxiliaryOpsTxOptions, logger}
+ *                ops tx options are used for setWorker and removeWorker and must be sent from the ops address.
+ *                logger defaults to the JSON lines logger of lib/logger.js.
+ */
+const WorkerManager = function (workers, options) {
+  const oThis = this;
+
+  options = options || {};
+  oThis.workers = workers;
+  oThis.pools = {
+    origin: (options.origin || []).slice(),
+    auxiliary: (options.auxiliary || []).slice()
+  };
+  oThis.minRemainingBlocks = options.minRemainingBlocks || 100;
+  oThis.rotationThreshold = options.rotationThreshold || 1000;
+  oThis.validityBlocks = options.validityBlocks || 100000;
+  oThis.opsTxOptions = {
+    origin: options.originOpsTxOptions || {},
+    auxiliary: options.auxiliaryOpsTxOptions || {}
+  };
+  oThis.nextIndex = {origin: 0, auxiliary: 0};
+  oThis.rotationTimer = null;
+  oThis.logger = options.logger || jsonLogger;
+};
+
+WorkerManager.prototype = {
+  constructor: WorkerManager,
+
+  /**
+   * @param chain 'origin' or 'auxiliary'
+   * @param address
+   * @return {Promise<{address: string, isWorker: boolean, deactivationHeight: string, remainingBlocks: string}>}
+   */
+  getStatus: async function (chain, address) {
+    const oThis = this
+      , contract = oThis._getContract(chain)
+    ;
+
+    let isWorker = await contract.methods.isWorker(address).call()
+      , deactivationHeight = web3Utils.toBN(await contract.methods.workers(address).call())
+      , blockNumber = web3Utils.toBN(await oThis._getWeb3(chain).eth.getBlockNumber())
+      , remainingBlocks = deactivationHeight.gt(blockNumber) ? deactivationHeight.sub(blockNumber) : web3Utils.toBN(0)
+    ;
+
+    return {
+      address: address,
+      isWorker: isWorker,
+      deactivationHeight: deactivationHeight.toString(),
+      remainingBlocks: remainingBlocks.toString()
+    };
+  },
+
+  /**
+   * @notice returns the next worker of the pool which is active for at least minRemainingBlocks.
+   * @param chain 'origin' or 'auxiliary'
+   * @return {Promise<string>} address of the worker
+   */
+  getWorker: async function (chain) {
+    const oThis = this
+      , pool = oThis._getPool(chain)
+    ;
+
+    for (let tried = 0; tried < pool.length; tried++) {
+      let index = oThis.nextIndex[chain]++ % pool.length
+        , status = await oThis.getStatus(chain, pool[index])
+      ;
+      if (status.isWorker && web3Utils.toBN(status.remainingBlocks).gten(oThis.minRemainingBlocks)) {
+        return status.address;
+      }
+    }
+
+    throw new errors.WorkerError('no_valid_worker', "No valid worker available on " + chain, {chain: chain});
+  },
+
+  /**
+   * @notice fills the from address of txOptions with a valid worker, unless it is set already.
+   * @param chain 'origin' or 'auxiliary'
+   * @param txOptions
+   * @return {Promise<object>} new tx options
+   */
+  getTxOptions: async function (chain, txOptions) {
+    const oThis = this;
+
+    txOptions = Object.assign({}, txOptions);
+    if (!txOptions.from) {
+      txOptions.from = await oThis.getWorker(chain);
+    }
+    return txOptions;
+  },
+
+  /**
+   * @notice replaces every active worker which is closer than rotationThreshold to its deactivation height
+   *         by an inactive worker of the pool. The new worker is set before the old one is removed.
+   * @param chain 'origin' or 'auxiliary'
+   * @return {Promise<Array<{removed: string, added: string, deactivationHeight: string}>>}
+   */
+  rotate: async function (chain) {
+    const oThis = this
+      , contract = oThis._getContract(chain)
+      , pool = oThis._getPool(chain)
+      , rotations = []
+    ;
+
+    let statuses = [];
+    for (let i = 0; i < pool.length; i++) {
+      statuses.push(await oThis.getStatus(chain, pool[i]));
+    }
+
+    let spares = statuses.filter(function (status) {
+      return !status.isWorker;
+    });
+    let expiring = statuses.filter(function (status) {
+      return status.isWorker && web3Utils.toBN(status.remainingBlocks).ltn(oThis.rotationThreshold);
+    });
+
+    for (let i = 0; i < expiring.length && spares.length > 0; i++) {
+      let spare = spares.shift()
+        , blockNumber = web3Utils.toBN(await oThis._getWeb3(chain).eth.getBlockNumber())
+        , deactivationHeight = blockNumber.addn(oThis.validityBlocks).toString()
+      ;
+
+      await helper.send(
+        contract.methods.setWorker(spare.address, deactivationHeight), oThis.opsTxOptions[chain], chain
+      );
+      await helper.send(contract.methods.removeWorker(expiring[i].address), oThis.opsTxOptions[chain], chain);
+
+      rotations.push({removed: expiring[i].address, added: spare.address, deactivationHeight: deactivationHeight});
+    }
+
+    return rotations;
+  },
+
+  /**
+   * @notice rotates the workers of both chains periodically.
+   * @param interval in milliseconds
+   */
+  startRotation: function (interval) {
+    const oThis = this;
+
+    oThis.stopRotation();
+    let tick = function () {
+      Promise.all(CHAINS.map(function (chain) {
+        return oThis.rotate(chain).catch(function (error) {
+          oThis.logger.error('Worker rotation failed', {chain: chain, error: String(error && error.message || error)});
+        });
+      })).then(function () {
+        if (oThis.rotationTimer) {
+          oThis.rotationTimer = setTimeout(tick, interval);
+        }
+      });
+    };
+    oThis.rotationTimer = setTimeout(tick, 0);
+  },
+
+  stopRotation: function () {
+    const oThis = this;
+
+    clearTimeout(oThis.rotationTimer);
+    oThis.rotationTimer = null;
+  },
+
+  _getPool: function (chain) {
+    const oThis = this;
+
+    if (CHAINS.indexOf(chain) < 0) {
+      throw new errors.ConfigError('invalid_argument',
+        "Invalid chain '" + chain + "'. It should be 'origin' or 'auxiliary'.", {chain: chain});
+    }
+    return oThis.pools[chain];
+  },
+
+  _getContract: function (chain) {
+    const oThis = this;
+
+    oThis._getPool(chain);
+    return chain === 'origin' ? oThis.workers._getOriginContract() : oThis.workers._getAuxiliaryContract();
+  },
+
+  _getWeb3: function (chain) {
+    const oThis = this;
+
+    return chain === 'origin' ? oThis.workers._getOriginWeb3() : oThis.workers._getAuxiliaryWeb3();
+  }
+};
+
+InstanceComposer.registerShadowableClass(WorkerManager, 'WorkerManager');
+
+module.exports = WorkerManager;
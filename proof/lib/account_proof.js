@@ -1,7 +1,7 @@
-const Trie = require('merkle-patricia-tree');
-
 const rootPrefix = "../.."
   , proof = require(rootPrefix + "/proof/lib/proof")
+  , trieFactory = require(rootPrefix + "/proof/lib/trie_factory")
+  , errors = require(rootPrefix + "/lib/errors")
 ;
 
 /**
@@ -12,7 +12,7 @@ const rootPrefix = "../.."
 function AccountProof(stateRoot, db) {
   const oThis = this;
 
-  oThis.trie = new Trie(db, stateRoot);
+  oThis.trie = trieFactory.getInstance(db, stateRoot);
 }
 
 AccountProof.prototype = {
@@ -47,10 +47,10 @@ AccountProof.prototype = {
     const oThis = this;
 
     if (!oThis.trie || oThis.trie.root === oThis.trie.EMPTY_TRIE_ROOT) {
-      return Promise.reject({"error": "tree_not_initialized"});
+      return Promise.reject(new errors.ProofError('tree_not_initialized', 'State trie is not initialized'));
     }
     if (address === undefined) {
-      return Promise.reject({"error": "account_address_undefined"});
+      return Promise.reject(new errors.ProofError('account_address_undefined', 'Account address is undefined'));
     }
   }
 };
@@ -2,6 +2,7 @@ const ethUtils = require('ethereumjs-util');
 
 const rootPrefix = '../..'
   , AccountProof = require(rootPrefix + '/proof/lib/account_proof')
+  , errors = require(rootPrefix + '/lib/errors')
 ;
 
 /**
@@ -24,22 +25,55 @@ ProofHelperKlass.prototype = {
     return ("0000000000000000000000000000000000000000000000000000000000000000" + value).substring(value.length)
   },
   /**
-   *@notice generates storagePath of a variable in the storage
+   * @notice generates the storage slot of a variable, i.e. the key passed to eth_getStorageAt or eth_getProof
    * @param storageIndex
    * @param mappings, key of mapping variable
-   * @return {Buffer2}
+   * @return {Buffer}
    */
-  storagePath: function (storageIndex, mappings) {
+  storageSlot: function (storageIndex, mappings) {
 
-    let path = Buffer.from(this._leftPad(storageIndex), 'hex');
+    let slot = Buffer.from(this._leftPad(storageIndex), 'hex');
     if (mappings && mappings.length > 0) {
       mappings.map(mapping => {
-        path = Buffer.concat([Buffer.from(this._leftPad(mapping), 'hex'), path])
+        slot = Buffer.concat([Buffer.from(this._leftPad(mapping), 'hex'), slot])
       });
-      path = Buffer.from(ethUtils.sha3(path), 'hex')
+      slot = Buffer.from(ethUtils.sha3(slot), 'hex')
     }
-    path = Buffer.from(ethUtils.sha3(path), 'hex');
-    return path;
+    return slot;
+  },
+
+  /**
+   *@notice generates storagePath of a variable in the storage
+   * @param storageIndex
+   * @param mappings, key of mapping variable
+   * @return {Buffer2}
+   */
+  storagePath: function (storageIndex, mappings) {
+
+    return Buffer.from(ethUtils.sha3(this.storageSlot(storageIndex, mappings)), 'hex');
+  },
+
+  /**
+   * @notice checks that the root node of a trie is still in the db, i.e. the state was not pruned
+   * @param root state root or storage root
+   * @param db level db instance or RpcDB
+   * @return {Promise}
+   */
+  checkStateAvailable: function (root, db) {
+    let rootBuffer = Buffer.from(String(root).replace(/^0x/, ''), 'hex');
+
+    return new Promise(function (resolve, reject) {
+      db.get(rootBuffer, {keyEncoding: 'binary', valueEncoding: 'binary'}, function (error, value) {
+        if (error || !value) {
+          return reject(new errors.ProofError(
+            'state_not_available',
+            "State " + root + " is not available on the node. It may have been pruned, use an archive node.",
+            {stateRoot: String(root)}
+          ));
+        }
+        resolve();
+      });
+    });
   },
 
   /**
@@ -57,7 +91,6 @@ ProofHelperKlass.prototype = {
       , accountValue = accountProof.value//;accountProof.toHash().data.value
       , decodedValue = ethUtils.rlp.decode('0x' + accountValue);
 
-    console.log("rlp encoded account  value  ", accountValue);
     return '0x' + decodedValue[2].toString('hex');
   }
 };
@@ -1,4 +1,5 @@
-const leveldown = require('leveldown')
+const path = require('path')
+  , leveldown = require('leveldown')
   , levelup = require('levelup')
 ;
 
@@ -12,18 +13,20 @@ function LevelDBFactory() {
 LevelDBFactory.prototype = {
   /**
    * Returns leveldb instance, it creates new in not already exists  otherwise returns existing instance
+   * LevelDB locks its directory, so all users of a path share its instance. Paths keep their case, as the file system
+   * may be case sensitive.
    * @param dbPath
    * @return leveldb instance
    */
   getInstance: function (dbPath) {
     const oThis = this;
 
-    let lowerCasePath = dbPath.toLowerCase();
+    let resolvedPath = path.resolve(dbPath);
 
-    if (!oThis.instanceMap[lowerCasePath]) {
-      oThis.instanceMap[lowerCasePath] = oThis.create(lowerCasePath);
+    if (!oThis.instanceMap[resolvedPath]) {
+      oThis.instanceMap[resolvedPath] = oThis.create(resolvedPath);
     }
-    return oThis.instanceMap[lowerCasePath];
+    return oThis.instanceMap[resolvedPath];
   },
 
   /**
@@ -35,4 +38,4 @@ LevelDBFactory.prototype = {
     return levelup(leveldown(dbPath));
   },
 };
-module.exports = new LevelDBFactory();
\ No newline at end of file
+module.exports = new LevelDBFactory();
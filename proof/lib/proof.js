@@ -1,6 +1,10 @@
 const ethUtils = require('ethereumjs-util')
 ;
 
+const rootPrefix = '../..'
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
 
 function Proof() {
 
@@ -22,7 +26,8 @@ Proof.prototype = {
 
       return trie.findPath(path, function (error, accountNode, keyRemainder, rootToLeafPath) {
         if (error || !accountNode || keyRemainder.length > 0) {
-          return reject({"error": "account_node_not_found"});
+          return reject(new errors.ProofError('account_node_not_found', 'Account ' + address + ' not found in the trie',
+            {address: address, cause: error}));
         }
         let parentNodes = rootToLeafPath.map(node => node.raw)
           , proof = {
@@ -46,7 +51,8 @@ Proof.prototype = {
       return trie.findPath(storagePath, function (error, storageNode, keyRemainder, rootToLeafPath) {
 
         if (error || !storageNode || keyRemainder.length > 0) {
-          return reject({"error": "Unable to find storage node in the tree"});
+          return reject(new errors.ProofError('storage_node_not_found', 'Unable to find storage node in the tree',
+            {cause: error}));
         }
         let parentNodes = rootToLeafPath.map(node => node.raw)
           , proof = {
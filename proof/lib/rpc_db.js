@@ -0,0 +1,92 @@
+const rootPrefix = '../..'
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+/**
+ * Read only levelup compatible db which fetches trie nodes from a node through debug_dbGet.
+ * It lets AccountProof and StorageProof walk the trie of a remote node.
+ * @constructor
+ * @param web3
+ */
+function RpcDB(web3) {
+  const oThis = this;
+
+  oThis.web3 = web3;
+}
+
+RpcDB.prototype = {
+
+  /**
+   * @param key node hash
+   * @param options ignored, values are always binary
+   * @param callback (error, Buffer)
+   */
+  get: function (key, options, callback) {
+    const oThis = this;
+
+    if (typeof options === 'function') {
+      callback = options;
+    }
+    oThis.send('debug_dbGet', ['0x' + Buffer.from(key).toString('hex')]).then(function (result) {
+      if (!result) {
+        return callback(new errors.ProofError('node_not_found', 'Trie node ' + Buffer.from(key).toString('hex') +
+          ' not found', {notFound: true}));
+      }
+      callback(null, Buffer.from(String(result).replace(/^0x/, ''), 'hex'));
+    }, callback);
+  },
+
+  put: function (key, value, options, callback) {
+    (callback || options)(new errors.ProofError('read_only', 'RpcDB is read only'));
+  },
+
+  del: function (key, options, callback) {
+    (callback || options)(new errors.ProofError('read_only', 'RpcDB is read only'));
+  },
+
+  batch: function (operations, options, callback) {
+    (callback || options)(new errors.ProofError('read_only', 'RpcDB is read only'));
+  },
+
+  /**
+   * Send a raw JSON-RPC request through the provider of web3
+   * @param method
+   * @param params
+   * @return {Promise<result>}
+   */
+  send: function (method, params) {
+    const oThis = this
+      , provider = oThis.web3.currentProvider
+    ;
+
+    return new Promise(function (resolve, reject) {
+      provider.send({jsonrpc: '2.0', id: Date.now(), method: method, params: params}, function (error, response) {
+        if (error) {
+          return reject(new errors.RpcError('rpc_error', String(error && error.message || error),
+            {method: method, cause: error}));
+        }
+        if (response.error) {
+          return reject(new errors.RpcError('rpc_error', response.error.message,
+            {method: method, rpcCode: response.error.code}));
+        }
+        resolve(response.result);
+      });
+    });
+  }
+};
+
+const instances = new WeakMap();
+
+/**
+ * Returns RpcDB of web3, it creates new if not already exists otherwise returns existing instance
+ * @param web3
+ * @return {RpcDB}
+ */
+RpcDB.getInstance = function (web3) {
+  if (!instances.has(web3)) {
+    instances.set(web3, new RpcDB(web3));
+  }
+  return instances.get(web3);
+};
+
+module.exports = RpcDB;
@@ -1,8 +1,10 @@
-const Trie = require('merkle-patricia-tree');
+const ethUtils = require('ethereumjs-util');
 
 const rootPrefix = '../..'
   , proof = require(rootPrefix + "/proof/lib/proof")
   , helper = require(rootPrefix + '/proof/lib/helper')
+  , trieFactory = require(rootPrefix + '/proof/lib/trie_factory')
+  , errors = require(rootPrefix + '/lib/errors')
 ;
 
 /**
@@ -17,7 +19,7 @@ function StorageProof(storageRoot, contractAddress, db) {
   oThis.stateRoot = storageRoot;
   oThis.contractAddress = contractAddress;
   oThis.db = db;
-  oThis.trie = new Trie(db, storageRoot);
+  oThis.trie = trieFactory.getInstance(db, storageRoot);
 }
 
 StorageProof.prototype = {
@@ -37,6 +39,17 @@ StorageProof.prototype = {
     return oThis._build(storagePath);
   },
 
+  /**
+   * @param slot {Buffer} storage slot of the variable, e.g. from StorageLayout
+   * @return {Promise<proof>}
+   */
+  performAtSlot: async function (slot) {
+    const oThis = this;
+
+    await oThis._validate(slot);
+    return oThis._build(ethUtils.sha3(slot));
+  },
+
   /**
    * @param storagePath
    * @return {Promise<proof>}
@@ -54,11 +67,11 @@ StorageProof.prototype = {
     const oThis = this;
 
     if (storageIndex === undefined) {
-      return Promise.reject({"error": "storage_index_undefined"});
+      return Promise.reject(new errors.ProofError('storage_index_undefined', 'Storage index is undefined'));
     }
 
     if (!oThis.trie || oThis.trie.root === oThis.trie.EMPTY_TRIE_ROOT) {
-      return Promise.reject({"error": "tree_not_initialized"});
+      return Promise.reject(new errors.ProofError('tree_not_initialized', 'Storage trie is not initialized'));
     }
   },
 
@@ -0,0 +1,35 @@
+const Trie = require('merkle-patricia-tree');
+
+/**
+ * Caches opened tries per db and root, so batch requests do not reopen them
+ * @constructor
+ */
+function TrieFactory() {
+  this.instanceMap = new WeakMap();
+}
+
+TrieFactory.prototype = {
+  /**
+   * Returns trie of root in db, it creates new if not already exists otherwise returns existing instance
+   * @param db leveldb or RpcDB instance
+   * @param root state root or storage root
+   * @return trie instance
+   */
+  getInstance: function (db, root) {
+    const oThis = this;
+
+    let dbTries = oThis.instanceMap.get(db);
+    if (!dbTries) {
+      dbTries = {};
+      oThis.instanceMap.set(db, dbTries);
+    }
+
+    let key = String(Buffer.isBuffer(root) ? root.toString('hex') : root).replace(/^0x/, '').toLowerCase();
+    if (!dbTries[key]) {
+      dbTries[key] = new Trie(db, root);
+    }
+    return dbTries[key];
+  }
+};
+
+module.exports = new TrieFactory();
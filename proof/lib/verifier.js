@@ -0,0 +1,159 @@
+const ethUtils = require('ethereumjs-util')
+;
+
+/**
+ * Walks rlp encoded parent nodes the same way the MerklePatriciaProof contract does.
+ * @constructor
+ */
+function Verifier() {
+
+}
+
+Verifier.prototype = {
+
+  /**
+   * Verify that value is stored at path in the trie with given root
+   * @param value {Buffer} value of the leaf, i.e. rlp encoded account or rlp encoded storage value
+   * @param path {Buffer} hashed key of the leaf, i.e. sha3(address) or storage path
+   * @param rlpParentNodes {Buffer} rlp encoded list of nodes from root to leaf
+   * @param root {Buffer} state root or storage root
+   * @return {{isValid: boolean, reason: string}}
+   */
+  verify: function (value, path, rlpParentNodes, root) {
+    const oThis = this;
+
+    let parentNodes;
+    try {
+      parentNodes = ethUtils.rlp.decode(rlpParentNodes);
+    } catch (error) {
+      return oThis._result(false, 'invalid_rlp_parent_nodes');
+    }
+    if (!Array.isArray(parentNodes) || parentNodes.length === 0) {
+      return oThis._result(false, 'empty_parent_nodes');
+    }
+
+    let nibbles = oThis._toNibbles(path)
+      , expectedValueHash = ethUtils.sha3(value)
+      , nodeKey = root
+      , pathPtr = 0
+    ;
+
+    if (nibbles.length === 0) {
+      return oThis._result(false, 'empty_path');
+    }
+
+    for (let i = 0; i < parentNodes.length; i++) {
+      if (pathPtr > nibbles.length) {
+        return oThis._result(false, 'path_overflow');
+      }
+
+      let currentNode = parentNodes[i];
+      if (!Array.isArray(currentNode)) {
+        return oThis._result(false, 'invalid_node');
+      }
+      if (!Buffer.from(nodeKey).equals(ethUtils.sha3(ethUtils.rlp.encode(currentNode)))) {
+        return oThis._result(false, i === 0 ? 'root_mismatch' : 'node_hash_mismatch');
+      }
+
+      if (currentNode.length === 17) {
+        // branch node
+        if (pathPtr === nibbles.length) {
+          return ethUtils.sha3(currentNode[16]).equals(expectedValueHash)
+            ? oThis._result(true, 'value_matches')
+            : oThis._result(false, 'value_mismatch');
+        }
+        nodeKey = currentNode[nibbles[pathPtr]];
+        if (Buffer.isBuffer(nodeKey) && nodeKey.length === 0) {
+          return oThis._result(false, 'path_not_found');
+        }
+        if (!Buffer.isBuffer(nodeKey) || nodeKey.length !== 32) {
+          return oThis._result(false, 'embedded_node_not_supported');
+        }
+        pathPtr += 1;
+      } else if (currentNode.length === 2) {
+        let traversed = oThis._nibblesToTraverse(currentNode[0], nibbles, pathPtr);
+        if (traversed < 0) {
+          return oThis._result(false, 'path_mismatch');
+        }
+        pathPtr += traversed;
+        if (oThis._isLeaf(currentNode[0])) {
+          if (pathPtr !== nibbles.length) {
+            return oThis._result(false, 'path_mismatch');
+          }
+          return ethUtils.sha3(currentNode[1]).equals(expectedValueHash)
+            ? oThis._result(true, 'value_matches')
+            : oThis._result(false, 'value_mismatch');
+        }
+        // extension node
+        if (traversed === 0) {
+          return oThis._result(false, 'invalid_node');
+        }
+        nodeKey = currentNode[1];
+        if (!Buffer.isBuffer(nodeKey) || nodeKey.length !== 32) {
+          return oThis._result(false, 'embedded_node_not_supported');
+        }
+      } else {
+        return oThis._result(false, 'invalid_node');
+      }
+    }
+
+    return oThis._result(false, 'incomplete_proof');
+  },
+
+  _result: function (isValid, reason) {
+    return {isValid: isValid, reason: reason};
+  },
+
+  /**
+   * @param buffer
+   * @return {Array<number>} nibbles of buffer
+   * @private
+   */
+  _toNibbles: function (buffer) {
+    let nibbles = [];
+    for (let i = 0; i < buffer.length; i++) {
+      nibbles.push(buffer[i] >> 4, buffer[i] & 0x0f);
+    }
+    return nibbles;
+  },
+
+  /**
+   * @param encodedPartialPath hex prefix encoded path of a leaf or extension node
+   * @return {boolean}
+   * @private
+   */
+  _isLeaf: function (encodedPartialPath) {
+    return encodedPartialPath.length > 0 && (encodedPartialPath[0] >> 4) >= 2;
+  },
+
+  /**
+   * @param encodedPartialPath hex prefix encoded path of a leaf or extension node
+   * @param nibbles full path
+   * @param pathPtr position in full path
+   * @return {number} number of nibbles the node consumes, -1 if the node does not match the path
+   * @private
+   */
+  _nibblesToTraverse: function (encodedPartialPath, nibbles, pathPtr) {
+    const oThis = this;
+
+    if (encodedPartialPath.length === 0) {
+      return -1;
+    }
+    let partialNibbles = oThis._toNibbles(encodedPartialPath)
+      , isOdd = (partialNibbles[0] & 1) === 1
+      , partialPath = partialNibbles.slice(isOdd ? 1 : 2)
+    ;
+
+    if (pathPtr + partialPath.length > nibbles.length) {
+      return -1;
+    }
+    for (let i = 0; i < partialPath.length; i++) {
+      if (partialPath[i] !== nibbles[pathPtr + i]) {
+        return -1;
+      }
+    }
+    return partialPath.length;
+  }
+};
+
+module.exports = new Verifier();
@@ -19,6 +19,16 @@ function ProofGenerator(stateRoot, chainDataPath) {
 
 ProofGenerator.prototype = {
 
+  /**
+   * @notice rejects with state_not_available if the state of stateRoot was pruned from the chaindata
+   * @return {Promise}
+   */
+  checkAvailability: function () {
+    const oThis = this;
+
+    return helper.checkStateAvailable(oThis.stateRoot, oThis.db);
+  },
+
   buildAccountProof: function (address) {
     const oThis = this;
 
@@ -53,6 +63,20 @@ ProofGenerator.prototype = {
 
     return keyProofMap;
   },
+
+  /**
+   * @param contractAddress
+   * @param slot {Buffer} storage slot of the variable, e.g. from StorageLayout
+   * @return {Promise<proof>}
+   */
+  buildStorageProofAtSlot: async function (contractAddress, slot) {
+    const oThis = this;
+
+    let storageRoot = await helper.fetchStorageRoot(oThis.stateRoot, contractAddress, oThis.db)
+      , storageProof = new StorageProof(storageRoot, contractAddress, oThis.db);
+
+    return storageProof.performAtSlot(slot);
+  },
 };
 
 module.exports = ProofGenerator;
@@ -0,0 +1,86 @@
+const rootPrefix = ".."
+  , RpcProofGenerator = require(rootPrefix + '/proof/rpc_proof_generator')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+/**
+ * Creates the proof generator of the configured backend
+ * @constructor
+ */
+function ProofGeneratorFactory() {
+}
+
+ProofGeneratorFactory.prototype = {
+
+  /**
+   * @param proofConfig {backend: 'leveldb' | 'rpc', chainDataPath, web3}
+   *                    backend defaults to 'leveldb' when chainDataPath is given and to 'rpc' otherwise
+   * @param stateRoot
+   * @param blockNumber block of the stateRoot, needed by the rpc backend
+   * @return {ProofGenerator|RpcProofGenerator}
+   */
+  getInstance: function (proofConfig, stateRoot, blockNumber) {
+    let backend = proofConfig.backend || (proofConfig.chainDataPath ? 'leveldb' : 'rpc');
+
+    if (backend === 'leveldb') {
+      if (!proofConfig.chainDataPath) {
+        throw new errors.ProofError('invalid_proof_config',
+          "Invalid Proof Config. 'chainDataPath' is required for the leveldb backend.");
+      }
+      // Required here, so leveldown is only loaded when the leveldb backend is used.
+      const ProofGenerator = require(rootPrefix + '/proof/proof_generator');
+      return new ProofGenerator(stateRoot, proofConfig.chainDataPath);
+    }
+    if (backend === 'rpc') {
+      if (!proofConfig.web3) {
+        throw new errors.ProofError('invalid_proof_config',
+          "Invalid Proof Config. 'web3' is required for the rpc backend.");
+      }
+      return new RpcProofGenerator(stateRoot, proofConfig.web3, blockNumber);
+    }
+    throw new errors.ProofError('invalid_proof_config', "Invalid Proof Config. Unknown backend '" + backend + "'.");
+  },
+
+  /**
+   * @notice proof generator for the state of a block of the chain of proofConfig.web3
+   * @param proofConfig see getInstance, web3 is required
+   * @param blockNumberOrHash
+   * @return {Promise<ProofGenerator|RpcProofGenerator>} rejects with state_not_available if the state was pruned
+   */
+  getInstanceAtBlock: async function (proofConfig, blockNumberOrHash) {
+    const oThis = this;
+
+    let block = await proofConfig.web3.eth.getBlock(blockNumberOrHash);
+    if (!block) {
+      return Promise.reject(new errors.ProofError('block_not_found', 'Block ' + blockNumberOrHash + ' not found',
+        {block: String(blockNumberOrHash)}));
+    }
+
+    let proofGenerator = oThis.getInstance(proofConfig, block.stateRoot, block.number);
+    await proofGenerator.checkAvailability();
+    return proofGenerator;
+  },
+
+  /**
+   * @notice proof generator for the state root committed at blockHeight into the core on the remote chain
+   * @param proofConfig see getInstance, of the chain whose state root was committed
+   * @param coreContract web3 contract object of the core which received the state root
+   * @param blockHeight
+   * @return {Promise<ProofGenerator|RpcProofGenerator>} rejects with state_not_available if the state was pruned
+   */
+  getInstanceAtCommittedHeight: async function (proofConfig, coreContract, blockHeight) {
+    const oThis = this;
+
+    let stateRoot = await coreContract.methods.getStateRoot(blockHeight).call();
+    if (!stateRoot || /^0x0*$/.test(stateRoot)) {
+      return Promise.reject(new errors.ProofError('state_root_not_committed',
+        'No state root committed at block height ' + blockHeight, {blockHeight: String(blockHeight)}));
+    }
+
+    let proofGenerator = oThis.getInstance(proofConfig, stateRoot, blockHeight);
+    await proofGenerator.checkAvailability();
+    return proofGenerator;
+  }
+};
+
+module.exports = new ProofGeneratorFactory();
@@ -0,0 +1,68 @@
+const ethUtils = require('ethereumjs-util');
+
+const rootPrefix = ".."
+  , verifier = require(rootPrefix + '/proof/lib/verifier')
+  , helper = require(rootPrefix + '/proof/lib/helper')
+;
+
+/**
+ * Verifies proofs offline before they are submitted to a gateway or core.
+ * Proofs have the shape returned by ProofGenerator, i.e. hex strings without 0x.
+ * @constructor
+ */
+function ProofVerifier() {
+}
+
+ProofVerifier.prototype = {
+
+  /**
+   * @param root state root or storage root
+   * @param parentNodes rlp encoded parent nodes
+   * @param path hashed key, e.g. helper.storagePath(storageIndex, mappingKeys)
+   * @param value expected rlp encoded value of the leaf
+   * @return {{isValid: boolean, reason: string}}
+   */
+  verify: function (root, parentNodes, path, value) {
+    const oThis = this;
+
+    return verifier.verify(oThis._toBuffer(value), oThis._toBuffer(path), oThis._toBuffer(parentNodes),
+      oThis._toBuffer(root));
+  },
+
+  /**
+   * @param stateRoot
+   * @param address account address
+   * @param proof {parentNodes, value} as returned by ProofGenerator.buildAccountProof
+   * @return {{isValid: boolean, reason: string}}
+   */
+  verifyAccountProof: function (stateRoot, address, proof) {
+    const oThis = this;
+
+    let path = ethUtils.sha3(oThis._toBuffer(address));
+    return oThis.verify(stateRoot, proof.parentNodes, path, proof.value);
+  },
+
+  /**
+   * @param storageRoot
+   * @param storageIndex position of the variable in the contract
+   * @param mappingKeys optional keys of a mapping variable
+   * @param proof {parentNodes, value} as returned by ProofGenerator.buildStorageProof
+   * @return {{isValid: boolean, reason: string}}
+   */
+  verifyStorageProof: function (storageRoot, storageIndex, mappingKeys, proof) {
+    const oThis = this;
+
+    let path = helper.storagePath(storageIndex, mappingKeys);
+    return oThis.verify(storageRoot, proof.parentNodes, path, proof.value);
+  },
+
+  _toBuffer: function (value) {
+    if (Buffer.isBuffer(value)) {
+      return value;
+    }
+    value = String(value);
+    return Buffer.from(value.indexOf('0x') === 0 ? value.substr(2) : value, 'hex');
+  }
+};
+
+module.exports = new ProofVerifier();
@@ -0,0 +1,277 @@
+const ethUtils = require('ethereumjs-util');
+
+const rootPrefix = ".."
+  , AccountProof = require(rootPrefix + '/proof/lib/account_proof')
+  , StorageProof = require(rootPrefix + '/proof/lib/storage_proof')
+  , RpcDB = require(rootPrefix + '/proof/lib/rpc_db')
+  , helper = require(rootPrefix + '/proof/lib/helper')
+  , verifier = require(rootPrefix + '/proof/lib/verifier')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+/**
+ * Builds proofs through JSON-RPC instead of reading the chaindata of geth.
+ * Uses eth_getProof and falls back to walking the trie with debug_dbGet only when the node does not know the method
+ * eth_getProof. Nodes returned by eth_getProof are verified against the requested path and root. The storageHash of
+ * eth_getProof is only used once the account proof shows it is the storage root of the account at stateRoot.
+ * Proofs have the same shape as the ones of ProofGenerator.
+ *
+ * @param stateRoot
+ * @param web3 OriginWeb3 or AuxiliaryWeb3 instance
+ * @param blockNumber block of the stateRoot, used for eth_getProof
+ * @constructor
+ */
+function RpcProofGenerator(stateRoot, web3, blockNumber) {
+  const oThis = this;
+
+  oThis.stateRoot = stateRoot;
+  oThis.blockNumber = blockNumber;
+  oThis.db = RpcDB.getInstance(web3);
+}
+
+RpcProofGenerator.prototype = {
+
+  /**
+   * @notice rejects with state_not_available if the node has pruned the state of stateRoot
+   * @return {Promise}
+   */
+  checkAvailability: async function () {
+    const oThis = this;
+
+    let response = await oThis._getProof('0x0000000000000000000000000000000000000000', []);
+    if (!response) {
+      return helper.checkStateAvailable(oThis.stateRoot, oThis.db);
+    }
+  },
+
+  /**
+   * @param address without 0x, as for ProofGenerator
+   * @return {Promise<proof>}
+   */
+  buildAccountProof: async function (address) {
+    const oThis = this;
+
+    let response = await oThis._getProof(address, []);
+    if (!response) {
+      let accountProof = new AccountProof(oThis.stateRoot, oThis.db);
+      return accountProof.perform(address);
+    }
+
+    let path = ethUtils.sha3(Buffer.from(String(address).replace(/^0x/, ''), 'hex'))
+      , proof = oThis._toProof(response.accountProof, path, oThis.stateRoot)
+    ;
+    if (!proof) {
+      return Promise.reject(new errors.ProofError('account_node_not_found',
+        'Account ' + address + ' not found in the trie', {address: address}));
+    }
+    return {
+      address: address,
+      parentNodes: proof.parentNodes,
+      value: proof.value
+    };
+  },
+
+  /**
+   * @param contractAddress without 0x, as for ProofGenerator
+   * @param storageIndex Position of variable in the contract
+   * @param mappingKeys array of keys of mapping variable in the contract
+   * @return {*|Promise<map<key,proof>} in batch mode and Promise<proof> in non batch mode
+   */
+  buildStorageProof: async function (contractAddress, storageIndex, mappingKeys) {
+    const oThis = this;
+
+    let isBatch = mappingKeys !== undefined && mappingKeys.length > 0
+      , keys = isBatch ? mappingKeys : [undefined]
+      , slots = keys.map(function (key) {
+        return '0x' + helper.storageSlot(storageIndex, key === undefined ? [] : [key]).toString('hex');
+      })
+    ;
+
+    let response = await oThis._getProof(contractAddress, slots);
+    if (!response) {
+      return oThis._buildStorageProofFromDB(contractAddress, storageIndex, mappingKeys);
+    }
+
+    let storageRoot = oThis._verifiedStorageRoot(contractAddress, response)
+      , keyProofMap = {}
+    ;
+    for (let i = 0; i < keys.length; i++) {
+      let proof = oThis._toProof(response.storageProof[i].proof, ethUtils.sha3(slots[i]), storageRoot);
+      if (!proof) {
+        return Promise.reject(
+          new errors.ProofError('storage_node_not_found', 'Unable to find storage node in the tree')
+        );
+      }
+      if (!isBatch) {
+        return proof;
+      }
+      keyProofMap[keys[i]] = proof;
+    }
+    return keyProofMap;
+  },
+
+  /**
+   * @param contractAddress without 0x, as for ProofGenerator
+   * @param slot {Buffer} storage slot of the variable, e.g. from StorageLayout
+   * @return {Promise<proof>}
+   */
+  buildStorageProofAtSlot: async function (contractAddress, slot) {
+    const oThis = this;
+
+    let response = await oThis._getProof(contractAddress, ['0x' + slot.toString('hex')]);
+    if (!response) {
+      let storageRoot = await helper.fetchStorageRoot(oThis.stateRoot, contractAddress, oThis.db)
+        , storageProof = new StorageProof(storageRoot, contractAddress, oThis.db);
+      return storageProof.performAtSlot(slot);
+    }
+
+    let storageRoot = oThis._verifiedStorageRoot(contractAddress, response)
+      , proof = oThis._toProof(response.storageProof[0].proof, ethUtils.sha3(slot), storageRoot)
+    ;
+    if (!proof) {
+      return Promise.reject(new errors.ProofError('storage_node_not_found', 'Unable to find storage node in the tree'));
+    }
+    return proof;
+  },
+
+  _buildStorageProofFromDB: async function (contractAddress, storageIndex, mappingKeys) {
+    const oThis = this;
+
+    let storageRoot = await helper.fetchStorageRoot(oThis.stateRoot, contractAddress, oThis.db)
+      , storageProof = new StorageProof(storageRoot, contractAddress, oThis.db)
+      , keyProofMap = {}
+    ;
+
+    if (mappingKeys === undefined || mappingKeys.length === 0) {
+      return storageProof.perform(storageIndex);
+    }
+    for (let i = 0; i < mappingKeys.length; i++) {
+      keyProofMap[mappingKeys[i]] = await storageProof.perform(storageIndex, mappingKeys[i]);
+    }
+    return keyProofMap;
+  },
+
+  /**
+   * Verify the account proof of an eth_getProof response against the state root and check that storageHash is the
+   * storage root of the account.
+   * @param address without 0x
+   * @param response eth_getProof result
+   * @return {string} storage root of the account
+   * @private
+   */
+  _verifiedStorageRoot: function (address, response) {
+    const oThis = this;
+
+    let path = ethUtils.sha3(Buffer.from(String(address).replace(/^0x/, ''), 'hex'))
+      , proof = oThis._toProof(response.accountProof, path, oThis.stateRoot)
+    ;
+    if (!proof) {
+      throw new errors.ProofError('account_node_not_found', 'Account ' + address + ' not found in the trie',
+        {address: address});
+    }
+
+    let account = ethUtils.rlp.decode(Buffer.from(proof.value, 'hex'))
+      , storageRoot = account[2].toString('hex')
+    ;
+    if (storageRoot !== String(response.storageHash).replace(/^0x/, '').toLowerCase()) {
+      throw new errors.ProofError('invalid_proof',
+        'eth_getProof returned storageHash ' + response.storageHash + ' which is not the storage root 0x' +
+        storageRoot + ' of account ' + address,
+        {reason: 'storage_root_mismatch', root: String(oThis.stateRoot)});
+    }
+    return storageRoot;
+  },
+
+  /**
+   * @param address
+   * @param slots
+   * @return {Promise<object|null>} eth_getProof result, null if the node does not know the method eth_getProof
+   * @private
+   */
+  _getProof: async function (address, slots) {
+    const oThis = this;
+
+    let blockNumber = Number(oThis.blockNumber);
+    if (oThis.blockNumber === undefined || oThis.blockNumber === null || !Number.isSafeInteger(blockNumber) ||
+      blockNumber < 0) {
+      throw new errors.ProofError('invalid_block_number',
+        'Block number ' + oThis.blockNumber + ' of state root ' + oThis.stateRoot + ' is required for eth_getProof',
+        {stateRoot: String(oThis.stateRoot)});
+    }
+
+    try {
+      return await oThis.db.send('eth_getProof', [
+        '0x' + String(address).replace(/^0x/, ''),
+        slots,
+        '0x' + blockNumber.toString(16)
+      ]);
+    } catch (error) {
+      if (error && /missing trie node|pruned/i.test(error.message)) {
+        throw new errors.ProofError(
+          'state_not_available',
+          "State at block " + oThis.blockNumber + " is not available on the node. It may have been pruned, " +
+          "use an archive node.",
+          {stateRoot: String(oThis.stateRoot), cause: error}
+        );
+      }
+      if (oThis._isMethodNotSupported(error)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * @param error rejection of eth_getProof
+   * @return {boolean} true if the node does not know the method, e.g. 'the method eth_getProof does not exist'
+   * @private
+   */
+  _isMethodNotSupported: function (error) {
+    if (!error) {
+      return false;
+    }
+    return error.rpcCode === -32601 ||
+      /method\b.*\b(does not exist|is not available|not found|not supported)/i.test(error.message);
+  },
+
+  /**
+   * Convert a list of rlp encoded nodes from eth_getProof to the proof shape of proof/lib/proof
+   * @param nodes
+   * @param path {Buffer} hashed key which was requested, sha3(address) or sha3(slot)
+   * @param root state root or storage root the nodes start at
+   * @return {{parentNodes: string, value: string}|null} null if the nodes do not end in the leaf of path, i.e. a
+   *         proof that path is not in the trie
+   * @private
+   */
+  _toProof: function (nodes, path, root) {
+    if (!nodes || nodes.length === 0) {
+      return null;
+    }
+    let parentNodes = nodes.map(function (node) {
+        return ethUtils.rlp.decode(Buffer.from(node.replace(/^0x/, ''), 'hex'));
+      })
+      , leaf = parentNodes[parentNodes.length - 1]
+    ;
+    if (leaf.length !== 2 || (leaf[0][0] >> 4) < 2) {
+      return null;
+    }
+
+    let rlpParentNodes = ethUtils.rlp.encode(parentNodes)
+      , rootBuffer = Buffer.from(String(root).replace(/^0x/, ''), 'hex')
+      , result = verifier.verify(leaf[1], path, rlpParentNodes, rootBuffer)
+    ;
+    if (!result.isValid) {
+      if (result.reason === 'path_mismatch' || result.reason === 'path_not_found') {
+        return null;
+      }
+      throw new errors.ProofError('invalid_proof', 'eth_getProof returned an invalid proof: ' + result.reason,
+        {reason: result.reason, root: String(root)});
+    }
+    return {
+      parentNodes: rlpParentNodes.toString('hex'),
+      value: leaf[1].toString('hex')
+    };
+  }
+};
+
+module.exports = RpcProofGenerator;
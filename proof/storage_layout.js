@@ -0,0 +1,270 @@
+const ethUtils = require('ethereumjs-util');
+
+const rootPrefix = '..'
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const SLOT_SIZE = 32;
+
+/**
+ * Describes the storage layout of a contract and computes the storage slot of any variable, following the layout rules
+ * of Solidity. Variables are declared as "<name> <type> at slot <n>", e.g. "outbox mapping(bytes32 => uint8) at slot 7".
+ * Supported types are elementary types, mapping(K => V), T[], T[N] and structs declared in structs.
+ *
+ * @param variables array of declarations, or of {name, type, slot}
+ * @param structs optional map of struct name to its ordered member declarations, e.g. {Message: ['bytes32 intentHash']}
+ * @constructor
+ */
+function StorageLayout(variables, structs) {
+  const oThis = this;
+
+  oThis.structs = {};
+  Object.keys(structs || {}).forEach(function (structName) {
+    oThis.structs[structName] = oThis._parseStruct(structs[structName]);
+  });
+
+  oThis.variables = {};
+  (variables || []).forEach(function (variable) {
+    let declaration = typeof variable === 'string' ? oThis._parseDeclaration(variable) : variable;
+    oThis.variables[declaration.name] = {
+      name: declaration.name,
+      type: oThis._parseType(declaration.type),
+      slot: new ethUtils.BN(declaration.slot)
+    };
+  });
+}
+
+StorageLayout.prototype = {
+
+  /**
+   * @param variableName
+   * @param keys one accessor per level: a key for mappings, an index for arrays, a member name for structs
+   * @return {Buffer} storage slot, i.e. the key of eth_getStorageAt
+   */
+  slot: function (variableName, keys) {
+    const oThis = this;
+
+    let variable = oThis.variables[variableName];
+    if (!variable) {
+      throw new errors.ProofError('invalid_storage_layout', "Unknown storage variable '" + variableName + "'");
+    }
+
+    let type = variable.type
+      , slot = variable.slot
+    ;
+    (keys || []).forEach(function (key) {
+      switch (type.kind) {
+        case 'mapping':
+          slot = new ethUtils.BN(ethUtils.sha3(Buffer.concat([oThis._encodeKey(type.keyType, key), oThis._toSlot(slot)])));
+          type = type.valueType;
+          break;
+        case 'array':
+          let base = type.length === null ? new ethUtils.BN(ethUtils.sha3(oThis._toSlot(slot))) : slot;
+          slot = base.add(oThis._elementOffset(type.elementType, new ethUtils.BN(key)));
+          type = type.elementType;
+          break;
+        case 'struct':
+          let member = oThis.structs[type.name].members[key];
+          if (!member) {
+            throw new errors.ProofError('invalid_storage_layout',
+              "Unknown member '" + key + "' of struct " + type.name);
+          }
+          slot = slot.addn(member.slotOffset);
+          type = member.type;
+          break;
+        default:
+          throw new errors.ProofError('invalid_storage_layout',
+            "Can not access '" + key + "' of " + type.name + " variable " + variableName);
+      }
+    });
+
+    return oThis._toSlot(slot);
+  },
+
+  /**
+   * @param variableName
+   * @param keys see slot
+   * @return {Buffer} path of the variable in the storage trie
+   */
+  path: function (variableName, keys) {
+    return ethUtils.sha3(this.slot(variableName, keys));
+  },
+
+  /**
+   * Build the storage proof of a variable with a ProofGenerator or RpcProofGenerator
+   * @param proofGenerator
+   * @param contractAddress
+   * @param variableName
+   * @param keys see slot
+   * @return {Promise<proof>}
+   */
+  buildProof: function (proofGenerator, contractAddress, variableName, keys) {
+    const oThis = this;
+
+    return proofGenerator.buildStorageProofAtSlot(contractAddress, oThis.slot(variableName, keys));
+  },
+
+  _parseDeclaration: function (declaration) {
+    let match = /^\s*(\w+)\s+(.+?)\s+at\s+slot\s+(\d+)\s*$/.exec(declaration);
+    if (!match) {
+      throw new errors.ProofError('invalid_storage_layout',
+        "Invalid storage declaration '" + declaration + "'. Expected '<name> <type> at slot <n>'");
+    }
+    return {name: match[1], type: match[2], slot: match[3]};
+  },
+
+  _parseStruct: function (memberDeclarations) {
+    const oThis = this;
+
+    let members = {}
+      , slotOffset = 0
+      , usedBytes = 0
+    ;
+    memberDeclarations.forEach(function (memberDeclaration) {
+      let match = /^\s*(.+?)\s+(\w+)\s*$/.exec(memberDeclaration);
+      if (!match) {
+        throw new errors.ProofError('invalid_storage_layout',
+          "Invalid struct member '" + memberDeclaration + "'. Expected '<type> <name>'");
+      }
+      let type = oThis._parseType(match[1])
+        , size = oThis._packedSize(type)
+      ;
+      if (size === null || usedBytes + size > SLOT_SIZE) {
+        if (usedBytes > 0) {
+          slotOffset += 1;
+          usedBytes = 0;
+        }
+      }
+      members[match[2]] = {type: type, slotOffset: slotOffset};
+      if (size === null) {
+        slotOffset += oThis._slotCount(type);
+      } else {
+        usedBytes += size;
+      }
+    });
+    return {members: members, slotCount: slotOffset + (usedBytes > 0 ? 1 : 0)};
+  },
+
+  _parseType: function (typeString) {
+    const oThis = this;
+
+    typeString = typeString.trim();
+
+    let arrayMatch = /^(.*)\[(\d*)\]$/.exec(typeString);
+    if (arrayMatch) {
+      return {
+        kind: 'array',
+        name: typeString,
+        elementType: oThis._parseType(arrayMatch[1]),
+        length: arrayMatch[2] === '' ? null : parseInt(arrayMatch[2], 10)
+      };
+    }
+
+    let mappingMatch = /^mapping\s*\((.+?)\s*=>\s*(.+)\)$/.exec(typeString);
+    if (mappingMatch) {
+      return {
+        kind: 'mapping',
+        name: typeString,
+        keyType: oThis._parseType(mappingMatch[1]),
+        valueType: oThis._parseType(mappingMatch[2])
+      };
+    }
+
+    let structName = typeString.replace(/^struct\s+/, '');
+    if (oThis.structs[structName] || /^struct\s+/.test(typeString)) {
+      return {kind: 'struct', name: structName};
+    }
+
+    return {kind: 'elementary', name: typeString};
+  },
+
+  /**
+   * @return {number|null} bytes of a value type, null for types which always take whole slots
+   * @private
+   */
+  _packedSize: function (type) {
+    if (type.kind !== 'elementary') {
+      return null;
+    }
+    let name = type.name
+      , match
+    ;
+    if (name === 'address') {
+      return 20;
+    }
+    if (name === 'bool') {
+      return 1;
+    }
+    if ((match = /^u?int(\d*)$/.exec(name))) {
+      return (match[1] ? parseInt(match[1], 10) : 256) / 8;
+    }
+    if ((match = /^bytes(\d+)$/.exec(name))) {
+      return parseInt(match[1], 10);
+    }
+    // bytes and string
+    return null;
+  },
+
+  _slotCount: function (type) {
+    const oThis = this;
+
+    if (type.kind === 'struct') {
+      return oThis.structs[type.name].slotCount;
+    }
+    if (type.kind === 'array' && type.length !== null) {
+      return oThis._elementOffset(type.elementType, new ethUtils.BN(type.length - 1)).addn(1).toNumber();
+    }
+    return 1;
+  },
+
+  /**
+   * @return {BN} slot offset of the element at index in an array
+   * @private
+   */
+  _elementOffset: function (elementType, index) {
+    const oThis = this;
+
+    let size = oThis._packedSize(elementType);
+    if (size !== null) {
+      return index.divn(Math.floor(SLOT_SIZE / size));
+    }
+    return index.muln(oThis._slotCount(elementType));
+  },
+
+  /**
+   * Encode a mapping key the way solidity hashes it
+   * @private
+   */
+  _encodeKey: function (keyType, key) {
+    let name = keyType.name
+      , match
+    ;
+
+    if (name === 'string') {
+      return Buffer.from(String(key), 'utf8');
+    }
+    if (name === 'bytes') {
+      return ethUtils.toBuffer(key);
+    }
+    if ((match = /^bytes(\d+)$/.exec(name))) {
+      return ethUtils.setLengthRight(ethUtils.toBuffer(ethUtils.addHexPrefix(String(key))), SLOT_SIZE);
+    }
+    if (name === 'address') {
+      return ethUtils.setLengthLeft(ethUtils.toBuffer(ethUtils.addHexPrefix(String(key))), SLOT_SIZE);
+    }
+    if (name === 'bool') {
+      return ethUtils.setLengthLeft(Buffer.from([key === true || key === 'true' || key === 1 ? 1 : 0]), SLOT_SIZE);
+    }
+    if ((match = /^(u?)int(\d*)$/.exec(name))) {
+      let value = String(key).indexOf('0x') === 0 ? new ethUtils.BN(key.substr(2), 16) : new ethUtils.BN(String(key), 10);
+      return value.toTwos(256).toArrayLike(Buffer, 'be', SLOT_SIZE);
+    }
+    throw new errors.ProofError('invalid_storage_layout', "Unsupported mapping key type '" + name + "'");
+  },
+
+  _toSlot: function (slot) {
+    return slot.toArrayLike(Buffer, 'be', SLOT_SIZE);
+  }
+};
+
+module.exports = StorageLayout;
@@ -0,0 +1,43 @@
+const rootPrefix = ".."
+  , StorageLayout = require(rootPrefix + '/proof/storage_layout')
+;
+
+/**
+ * Message box of GatewayV1 and CoGatewayV1. Values are MessageBus.MessageStatus.
+ */
+const messageBoxLayout = new StorageLayout([
+  'outbox mapping(bytes32 => uint8) at slot 7',
+  'inbox mapping(bytes32 => uint8) at slot 8'
+]);
+
+/**
+ * Storage layout presets of the mosaic contracts
+ */
+const storageLayouts = {
+  GatewayV1: messageBoxLayout,
+  CoGatewayV1: messageBoxLayout,
+
+  /**
+   * Proof of the outbox status of a message, as needed by e.g. processMintingWithProof
+   * @param proofGenerator ProofGenerator or RpcProofGenerator
+   * @param gatewayAddress address of GatewayV1 or CoGatewayV1
+   * @param messageHash
+   * @return {Promise<proof>}
+   */
+  buildOutboxProof: function (proofGenerator, gatewayAddress, messageHash) {
+    return messageBoxLayout.buildProof(proofGenerator, gatewayAddress, 'outbox', [messageHash]);
+  },
+
+  /**
+   * Proof of the inbox status of a message, as needed by e.g. processStakingWithProof
+   * @param proofGenerator ProofGenerator or RpcProofGenerator
+   * @param gatewayAddress address of GatewayV1 or CoGatewayV1
+   * @param messageHash
+   * @return {Promise<proof>}
+   */
+  buildInboxProof: function (proofGenerator, gatewayAddress, messageHash) {
+    return messageBoxLayout.buildProof(proofGenerator, gatewayAddress, 'inbox', [messageHash]);
+  }
+};
+
+module.exports = storageLayouts;
@@ -1,34 +1,51 @@
 "use strict";
-const Web3 = require('web3');
+const Web3 = require('web3')
+    , web3Utils = require('web3-utils')
+;
 
-const InstanceComposer = require('../instance_composer');
+const InstanceComposer = require('../instance_composer')
+    , configurationsHelper = require('../lib/configurations')
+    , errors = require('../lib/errors')
+;
 
+require('../lib/providers/ProviderManager');
 
+/**
+ * web3 of an auxiliary chain. Instances of the same chain share its ProviderPool.
+ * @param originCoreContractAddress core of the auxiliary on origin, or its configuration {provider, providers}
+ */
 const AuxiliaryWeb3 = function ( originCoreContractAddress ) {
   const oThis = this
-      , auxiliaries = oThis.ic().configStrategy.auxiliaries
+      , configStrategy = oThis.ic().configStrategy
+      , auxiliaries = configStrategy.auxiliaries
   ;
 
-  let provider;
+  let chainConfig;
   if ( typeof originCoreContractAddress === 'object' ) {
-    let auxiliaryWeb3Config = originCoreContractAddress;
-    provider = auxiliaryWeb3Config.provider;
+    chainConfig = originCoreContractAddress;
   } else {
     let len = auxiliaries.length;
     originCoreContractAddress = String( originCoreContractAddress ).toLowerCase();
     while( len-- ) {
       let auxConfig = auxiliaries[ len ];
       if ( String( auxConfig.originCoreContractAddress ).toLowerCase() === originCoreContractAddress ) {
-        provider = auxConfig.provider;
+        chainConfig = auxConfig;
       }
     }
   }
 
-  if ( !provider ) {
-    throw "No Auxiliary defined with origin core contract address '" + originCoreContractAddress + "'";
+  // Auxiliaries which are not configured are reached through the RUM node.
+  if ( !chainConfig && configStrategy.rumNodeProvider && web3Utils.isAddress( originCoreContractAddress ) ) {
+    chainConfig = configurationsHelper.rumRoute( configStrategy.rumNodeProvider, originCoreContractAddress );
   }
 
-  Web3.call(oThis, provider);
+  if ( !chainConfig || !configurationsHelper.providerUrls( chainConfig ).length ) {
+    throw new errors.ChainNotFoundError('chain_not_found',
+      "No Auxiliary defined with origin core contract address '" + originCoreContractAddress + "'",
+      { originCoreContractAddress: originCoreContractAddress });
+  }
+
+  Web3.call(oThis, oThis.ic().ProviderManager().getPool( chainConfig ).connection());
 }
 
 
@@ -3,21 +3,15 @@ const Web3 = require('web3');
 
 const InstanceComposer = require('../instance_composer');
 
+require('../lib/providers/ProviderManager');
 
-// let _instances = {};
-
+/**
+ * web3 of the origin chain. All instances share the ProviderPool of origin.
+ */
 const OriginWeb3 = function () {
-  const oThis = this
-      , provider = oThis.ic().configStrategy.origin.provider
-  ;
-
-  console.log("OriginWeb3 provider", provider);
-  // if ( _instances[ provider ] ) {
-  //   return _instances[ provider ];
-  // }
-  // _instances[ provider ] = oThis;
+  const oThis = this;
 
-  Web3.call(oThis, provider);
+  Web3.call(oThis, oThis.ic().ProviderManager().origin().connection());
 }
 
 
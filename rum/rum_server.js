@@ -0,0 +1,386 @@
+"use strict";
+
+const http = require('http')
+  , https = require('https')
+  , url = require('url')
+  , WebSocket = require('ws')
+;
+
+const rootPrefix = '..'
+  , configurationsHelper = require(rootPrefix + '/lib/configurations')
+;
+
+const ROUTE_PATTERN = /^\/(?:(0x[0-9a-fA-F]{40})\/?)?$/;
+
+/**
+ * Json-rpc error codes of the RUM server. Upstream errors are passed through unchanged.
+ */
+const errors = {
+  invalid_route: {code: -32000, status: 404, message: "Invalid route. Use '/' for origin or '/<originCoreAddress>/'."},
+  unknown_core_address: {code: -32001, status: 404, message: 'No auxiliary chain is registered with the core address.'},
+  upstream_unavailable: {code: -32002, status: 502, message: 'The chain node did not respond.'},
+  subscriptions_not_supported: {code: -32003, status: 400, message: 'Subscriptions need a ws:// provider.'},
+  parse_error: {code: -32700, status: 400, message: 'Parse error.'}
+};
+
+/**
+ * Routing node. '/' is proxied to the origin chain and '/<originCoreAddress>/' to the auxiliary chain registered with
+ * that core. Json-rpc is forwarded over http and over websocket, including subscriptions when the chain provider is a
+ * ws:// endpoint. The rum_auxiliaries method is answered by the server with the registered core addresses.
+ *
+ * @param configurations {origin: {provider}, auxiliaries: [{provider, originCoreContractAddress}]}, as for Mosaic
+ * @param options {port, host, timeout} timeout of upstream requests in ms
+ * @constructor
+ */
+function RumServer(configurations, options) {
+  const oThis = this;
+
+  configurationsHelper.applyProviderLists(configurations);
+  configurationsHelper.sanitize(configurations);
+
+  options = options || {};
+  oThis.port = options.port || 0;
+  oThis.host = options.host;
+  oThis.timeout = options.timeout || 30000;
+
+  oThis.routes = {'': configurations.origin.provider};
+  configurations.auxiliaries.forEach(function (auxConfig) {
+    if (auxConfig.originCoreContractAddress) {
+      oThis.routes[auxConfig.originCoreContractAddress.toLowerCase()] = auxConfig.provider;
+    }
+  });
+
+  oThis.server = null;
+  oThis.wsServer = null;
+}
+
+RumServer.prototype = {
+
+  /**
+   * @return {Promise<{address, port}>} address the server listens on
+   */
+  start: function () {
+    const oThis = this;
+
+    oThis.server = http.createServer(function (request, response) {
+      oThis._handleHttp(request, response);
+    });
+    oThis.wsServer = new WebSocket.Server({server: oThis.server});
+    oThis.wsServer.on('connection', function (socket, request) {
+      oThis._handleWebSocket(socket, request);
+    });
+
+    return new Promise(function (resolve, reject) {
+      oThis.server.once('error', reject);
+      oThis.server.listen(oThis.port, oThis.host, function () {
+        oThis.server.removeListener('error', reject);
+        resolve(oThis.server.address());
+      });
+    });
+  },
+
+  /**
+   * @notice closes the server and all open websocket connections
+   * @return {Promise}
+   */
+  stop: function () {
+    const oThis = this;
+
+    if (!oThis.server) {
+      return Promise.resolve();
+    }
+    oThis.wsServer.clients.forEach(function (socket) {
+      socket.terminate();
+    });
+    return new Promise(function (resolve) {
+      oThis.wsServer.close(function () {
+        oThis.server.close(function () {
+          oThis.server = null;
+          oThis.wsServer = null;
+          resolve();
+        });
+      });
+    });
+  },
+
+  /**
+   * @param path request path, e.g. '/' or '/0x.../'
+   * @return {{provider: string}|{error: string}}
+   */
+  resolve: function (path) {
+    const oThis = this;
+
+    let match = ROUTE_PATTERN.exec(url.parse(path || '/').pathname);
+    if (!match) {
+      return {error: 'invalid_route'};
+    }
+    let coreAddress = (match[1] || '').toLowerCase()
+      , provider = oThis.routes[coreAddress]
+    ;
+    if (!provider) {
+      return {error: 'unknown_core_address', coreAddress: match[1]};
+    }
+    return {provider: provider};
+  },
+
+  _handleHttp: function (request, response) {
+    const oThis = this;
+
+    let chunks = [];
+    request.on('data', function (chunk) {
+      chunks.push(chunk);
+    });
+    request.on('end', function () {
+      let body = Buffer.concat(chunks).toString()
+        , payload
+      ;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return oThis._sendHttpError(response, null, 'parse_error');
+      }
+
+      let route = oThis.resolve(request.url);
+      if (route.error) {
+        return oThis._sendHttpError(response, payload, route.error, {coreAddress: route.coreAddress});
+      }
+
+      let localResponse = oThis._localResponse(payload);
+      if (localResponse) {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        return response.end(JSON.stringify(localResponse));
+      }
+
+      oThis._forward(route.provider, body).then(function (result) {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end(result);
+      }).catch(function (error) {
+        oThis._sendHttpError(response, payload, 'upstream_unavailable', {reason: String(error && error.message || error)});
+      });
+    });
+  },
+
+  _handleWebSocket: function (socket, request) {
+    const oThis = this;
+
+    let route = oThis.resolve(request.url);
+    if (route.error) {
+      socket.send(JSON.stringify(oThis._errorResponse(null, route.error, {coreAddress: route.coreAddress})));
+      return socket.close();
+    }
+
+    if (!/^wss?:/.test(route.provider)) {
+      socket.on('message', function (message) {
+        let payload;
+        try {
+          payload = JSON.parse(message);
+        } catch (error) {
+          return socket.send(JSON.stringify(oThis._errorResponse(null, 'parse_error')));
+        }
+        let localResponse = oThis._localResponse(payload);
+        if (localResponse) {
+          return socket.send(JSON.stringify(localResponse));
+        }
+        let isSubscription = [].concat(payload).some(function (call) {
+          return call && /_(un)?subscribe$/.test(call.method);
+        });
+        if (isSubscription) {
+          return socket.send(JSON.stringify(oThis._errorResponse(payload, 'subscriptions_not_supported')));
+        }
+        oThis._forward(route.provider, message).then(function (result) {
+          oThis._safeSend(socket, result);
+        }).catch(function (error) {
+          oThis._safeSend(socket, JSON.stringify(oThis._errorResponse(
+            payload, 'upstream_unavailable', {reason: String(error && error.message || error)}
+          )));
+        });
+      });
+      return;
+    }
+
+    // Dedicated upstream connection per client, so subscription notifications reach the client that subscribed.
+    let upstream = new WebSocket(route.provider)
+      , queue = []
+    ;
+    upstream.on('open', function () {
+      queue.forEach(function (message) {
+        upstream.send(message);
+      });
+      queue = [];
+    });
+    upstream.on('message', function (message) {
+      oThis._safeSend(socket, message);
+    });
+    upstream.on('error', function (error) {
+      oThis._safeSend(socket, JSON.stringify(oThis._errorResponse(
+        null, 'upstream_unavailable', {reason: String(error && error.message || error)}
+      )));
+      socket.close();
+    });
+    upstream.on('close', function () {
+      socket.close();
+    });
+
+    socket.on('message', function (message) {
+      let localResponse;
+      try {
+        localResponse = oThis._localResponse(JSON.parse(message));
+      } catch (error) {
+        // Let the chain node answer invalid json
+      }
+      if (localResponse) {
+        return socket.send(JSON.stringify(localResponse));
+      }
+      if (upstream.readyState === WebSocket.OPEN) {
+        upstream.send(message);
+      } else {
+        queue.push(message);
+      }
+    });
+    socket.on('close', function () {
+      upstream.terminate();
+    });
+  },
+
+  /**
+   * @notice forwards a json-rpc body to provider
+   * @param provider http(s):// or ws(s):// endpoint
+   * @param body
+   * @return {Promise<string>} response body
+   */
+  _forward: function (provider, body) {
+    const oThis = this;
+
+    if (/^wss?:/.test(provider)) {
+      return oThis._forwardWebSocket(provider, body);
+    }
+    return oThis._forwardHttp(provider, body);
+  },
+
+  _forwardHttp: function (provider, body) {
+    const oThis = this;
+
+    return new Promise(function (resolve, reject) {
+      let options = url.parse(provider);
+      options.method = 'POST';
+      options.headers = {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body)};
+
+      let upstreamRequest = (options.protocol === 'https:' ? https : http).request(options, function (upstreamResponse) {
+        let chunks = [];
+        upstreamResponse.on('data', function (chunk) {
+          chunks.push(chunk);
+        });
+        upstreamResponse.on('end', function () {
+          resolve(Buffer.concat(chunks).toString());
+        });
+      });
+      upstreamRequest.setTimeout(oThis.timeout, function () {
+        upstreamRequest.abort();
+        reject('timeout');
+      });
+      upstreamRequest.on('error', reject);
+      upstreamRequest.end(body);
+    });
+  },
+
+  _forwardWebSocket: function (provider, body) {
+    const oThis = this;
+
+    return new Promise(function (resolve, reject) {
+      let upstream = new WebSocket(provider)
+        , timer = setTimeout(function () {
+          upstream.terminate();
+          reject('timeout');
+        }, oThis.timeout)
+      ;
+      upstream.on('open', function () {
+        upstream.send(body);
+      });
+      upstream.on('message', function (message) {
+        let response;
+        try {
+          response = JSON.parse(message);
+        } catch (error) {
+          clearTimeout(timer);
+          upstream.terminate();
+          return reject('invalid json from the chain node');
+        }
+        // Skip notifications, the response carries an id or is a batch
+        if (!Array.isArray(response) && (!response || response.id === undefined)) {
+          return;
+        }
+        clearTimeout(timer);
+        upstream.close();
+        resolve(message);
+      });
+      upstream.on('error', function (error) {
+        clearTimeout(timer);
+        reject(error);
+      });
+      // Rejecting after the response or an error has no effect.
+      upstream.on('close', function () {
+        clearTimeout(timer);
+        reject('connection closed by the chain node');
+      });
+    });
+  },
+
+  /**
+   * @notice answers the methods of the RUM node itself, i.e. rum_auxiliaries
+   * @param payload
+   * @return {object|null} null if payload is to be forwarded
+   * @private
+   */
+  _localResponse: function (payload) {
+    const oThis = this;
+
+    if (!payload || Array.isArray(payload) || payload.method !== 'rum_auxiliaries') {
+      return null;
+    }
+    return {
+      jsonrpc: '2.0',
+      id: payload.id,
+      result: Object.keys(oThis.routes).filter(function (coreAddress) {
+        return coreAddress !== '';
+      }).map(function (coreAddress) {
+        return {originCoreContractAddress: coreAddress};
+      })
+    };
+  },
+
+  _sendHttpError: function (response, payload, error, data) {
+    const oThis = this;
+
+    response.writeHead(errors[error].status, {'Content-Type': 'application/json'});
+    response.end(JSON.stringify(oThis._errorResponse(payload, error, data)));
+  },
+
+  /**
+   * @return {object|Array} json-rpc error response for every call of payload
+   * @private
+   */
+  _errorResponse: function (payload, error, data) {
+    let toResponse = function (call) {
+      return {
+        jsonrpc: '2.0',
+        id: call && call.id !== undefined ? call.id : null,
+        error: {
+          code: errors[error].code,
+          message: errors[error].message,
+          data: Object.assign({error: error}, data)
+        }
+      };
+    };
+    return Array.isArray(payload) ? payload.map(toResponse) : toResponse(payload);
+  },
+
+  _safeSend: function (socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(message);
+    }
+  }
+};
+
+RumServer.errors = errors;
+
+module.exports = RumServer;
@@ -0,0 +1,157 @@
+"use strict";
+
+const assert = require('chai').assert
+  , childProcess = require('child_process')
+  , http = require('http')
+  , path = require('path')
+  , ethUtils = require('ethereumjs-util')
+  , Trie = require('merkle-patricia-tree')
+;
+
+const rootPrefix = '../..'
+  , helper = require(rootPrefix + '/proof/lib/helper')
+;
+
+const cliPath = path.join(__dirname, rootPrefix, 'bin/mosaic-proof.js')
+  , contractAddress = '1111111111111111111111111111111111111111'
+;
+
+const put = function (trie, key, value) {
+  return new Promise(function (resolve, reject) {
+    trie.put(key, value, function (error) {
+      return error ? reject(error) : resolve();
+    });
+  });
+};
+
+/**
+ * @return {Promise<Array<string>>} rlp encoded nodes from root towards key, as eth_getProof returns them
+ */
+const proofNodes = function (trie, key) {
+  return new Promise(function (resolve, reject) {
+    trie.findPath(key, function (error, node, keyRemainder, stack) {
+      if (error) {
+        return reject(error);
+      }
+      resolve(stack.map(function (stackNode) {
+        return '0x' + ethUtils.rlp.encode(stackNode.raw).toString('hex');
+      }));
+    });
+  });
+};
+
+/**
+ * @return {Promise<{stdout: string, stderr: string, code: number}>}
+ */
+const runCli = function (args) {
+  return new Promise(function (resolve) {
+    childProcess.execFile(process.execPath, [cliPath].concat(args), {timeout: 20000}, function (error, stdout, stderr) {
+      resolve({stdout: stdout, stderr: stderr, code: error ? error.code : 0});
+    });
+  });
+};
+
+describe('mosaic-proof', function () {
+  let node, stateRoot, storageRoot, supportsGetProof;
+
+  this.timeout(30000);
+
+  before(async function () {
+    let stateTrie = new Trie()
+      , storageTrie = new Trie(stateTrie.db)
+    ;
+    await put(storageTrie, helper.storagePath('1', []), ethUtils.rlp.encode(42));
+    storageRoot = '0x' + storageTrie.root.toString('hex');
+    await put(stateTrie, ethUtils.sha3(Buffer.from(contractAddress, 'hex')),
+      ethUtils.rlp.encode([1, 0, storageTrie.root, ethUtils.SHA3_NULL]));
+    stateRoot = '0x' + stateTrie.root.toString('hex');
+
+    const handlers = {
+      eth_getBlockByNumber: function () {
+        return Promise.resolve({number: '0xc', hash: '0x' + '12'.repeat(32), stateRoot: stateRoot});
+      },
+      debug_dbGet: function (params) {
+        return new Promise(function (resolve) {
+          let key = Buffer.from(params[0].replace(/^0x/, ''), 'hex');
+          stateTrie.db.get(key, {keyEncoding: 'binary', valueEncoding: 'binary'}, function (error, value) {
+            resolve(error ? null : '0x' + value.toString('hex'));
+          });
+        });
+      },
+      eth_getProof: async function (params) {
+        let storageProof = [];
+        for (let i = 0; i < params[1].length; i++) {
+          let key = ethUtils.sha3(Buffer.from(params[1][i].replace(/^0x/, ''), 'hex'));
+          storageProof.push({key: params[1][i], proof: await proofNodes(storageTrie, key)});
+        }
+        return {
+          address: params[0],
+          accountProof: await proofNodes(stateTrie, ethUtils.sha3(Buffer.from(params[0].replace(/^0x/, ''), 'hex'))),
+          storageHash: storageRoot,
+          storageProof: storageProof
+        };
+      }
+    };
+
+    node = http.createServer(function (request, response) {
+      let chunks = [];
+      request.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      request.on('end', function () {
+        let payload = JSON.parse(Buffer.concat(chunks).toString())
+          , respond = function (body) {
+            response.writeHead(200, {'Content-Type': 'application/json'});
+            response.end(JSON.stringify(Object.assign({jsonrpc: '2.0', id: payload.id}, body)));
+          }
+        ;
+        if (!handlers[payload.method] || (payload.method === 'eth_getProof' && !supportsGetProof)) {
+          return respond({error: {code: -32601, message: 'the method ' + payload.method + ' does not exist'}});
+        }
+        handlers[payload.method](payload.params).then(function (result) {
+          respond({result: result});
+        });
+      });
+    });
+    await new Promise(function (resolve) {
+      node.listen(0, '127.0.0.1', resolve);
+    });
+  });
+
+  after(function (done) {
+    node.close(done);
+  });
+
+  beforeEach(function () {
+    supportsGetProof = true;
+  });
+
+  const assertProofs = function (result) {
+    assert.equal(result.code, 0, result.stderr);
+
+    let proofs = JSON.parse(result.stdout);
+    assert.equal(proofs.blockHeight, '12');
+    assert.equal(proofs.stateRoot, stateRoot);
+    assert.equal(proofs.storageRoot, storageRoot);
+    assert.equal(proofs.storage.length, 1);
+    assert.equal(ethUtils.bufferToInt(ethUtils.rlp.decode(proofs.storage[0].value)), 42);
+  };
+
+  it('prints the proofs as json on stdout', async function () {
+    assertProofs(await runCli(['--rpc', 'http://127.0.0.1:' + node.address().port, '--block', '12',
+      '--address', '0x' + contractAddress, '--slot', '1']));
+  });
+
+  it('prints only json on stdout when the proofs are read with debug_dbGet', async function () {
+    supportsGetProof = false;
+    assertProofs(await runCli(['--rpc', 'http://127.0.0.1:' + node.address().port, '--block', '12',
+      '--address', '0x' + contractAddress, '--slot', '1']));
+  });
+
+  it('prints errors on stderr only', async function () {
+    let result = await runCli(['--address', '0x' + contractAddress]);
+    assert.equal(result.code, 1);
+    assert.equal(result.stdout, '');
+    assert.equal(JSON.parse(result.stderr.trim().split('\n').pop()).error, 'invalid_argument');
+  });
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const rootPrefix = '..'
+  , InstanceComposer = require(rootPrefix + '/instance_composer')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+/**
+ * Class which keeps its constructor arguments
+ */
+const Service = function () {
+  this.args = Array.prototype.slice.call(arguments);
+};
+Service.prototype.name = 'Service';
+
+const OtherService = function () {
+  this.args = Array.prototype.slice.call(arguments);
+};
+OtherService.prototype.name = 'OtherService';
+
+// Registrations are shared by every InstanceComposer, the getters of this test are prefixed with Test.
+InstanceComposer.register(Service, 'TestService', true);
+InstanceComposer.register(Service, 'TestTransientService', false);
+InstanceComposer.register(Service, 'TestBuiltService', true, function (configStrategy, instanceComposer) {
+  return [configStrategy.endpoint, instanceComposer];
+});
+InstanceComposer.registerShadowableClass(Service, 'TestServiceClass');
+
+describe('InstanceComposer', function () {
+  const configStrategy = {endpoint: 'ws://localhost:8546'};
+
+  describe('register', function () {
+
+    it('constructs with the config strategy and the composer', function () {
+      let ic = new InstanceComposer(configStrategy)
+        , service = ic.TestService()
+      ;
+      assert.instanceOf(service, Service);
+      assert.deepEqual(service.args, [configStrategy, ic]);
+      assert.strictEqual(service.ic(), ic);
+    });
+
+    it('retains one instance per composer if asked to', function () {
+      let ic = new InstanceComposer(configStrategy);
+      assert.strictEqual(ic.TestService(), ic.TestService());
+      assert.notStrictEqual(new InstanceComposer(configStrategy).TestService(), ic.TestService());
+      assert.notStrictEqual(ic.TestTransientService(), ic.TestTransientService());
+    });
+
+    it('constructs with the params of the params builder', function () {
+      let ic = new InstanceComposer(configStrategy);
+      assert.deepEqual(ic.TestBuiltService().args, ['ws://localhost:8546', ic]);
+    });
+
+    it('allows registering the same class under a getter again', function () {
+      let ic = new InstanceComposer(configStrategy)
+        , service = ic.TestService()
+      ;
+      InstanceComposer.register(Service, 'TestService', true);
+      InstanceComposer.registerShadowableClass(Service, 'TestServiceClass');
+      assert.strictEqual(ic.TestService(), service);
+    });
+
+    it('keeps the params builder of a class registered again without it', function () {
+      InstanceComposer.register(Service, 'TestBuiltService', true);
+      assert.equal(new InstanceComposer(configStrategy).TestBuiltService().args[0], 'ws://localhost:8546');
+    });
+
+    it('rejects another class under a registered getter', function () {
+      assert.throws(function () {
+        InstanceComposer.register(OtherService, 'TestService', true);
+      }, errors.ConfigError, /Duplicate register Getter Method Name TestService/);
+      assert.throws(function () {
+        InstanceComposer.registerShadowableClass(OtherService, 'TestService');
+      }, errors.ConfigError, /Duplicate registerShadowableClass Getter Method Name TestService/);
+      assert.throws(function () {
+        InstanceComposer.register(Service, 'TestServiceClass', true);
+      }, errors.ConfigError, /Duplicate register Getter Method Name TestServiceClass/);
+      assert.isTrue(InstanceComposer.isRegistered('TestService'));
+      assert.isFalse(InstanceComposer.isRegistered('TestUnknown'));
+    });
+  });
+
+  describe('registerShadowableClass', function () {
+
+    it('returns a subclass bound to the composer', function () {
+      let ic = new InstanceComposer(configStrategy)
+        , ServiceClass = ic.TestServiceClass()
+        , service = new ServiceClass('a')
+      ;
+      assert.strictEqual(ic.TestServiceClass(), ServiceClass);
+      assert.instanceOf(service, Service);
+      assert.deepEqual(service.args, ['a']);
+      assert.strictEqual(service.ic(), ic);
+      assert.notStrictEqual(new InstanceComposer(configStrategy).TestServiceClass(), ServiceClass);
+    });
+  });
+
+  describe('override', function () {
+
+    it('replaces the class of a getter for the composer only', function () {
+      let ic = new InstanceComposer(configStrategy, {TestService: OtherService, TestServiceClass: OtherService})
+        , other = new InstanceComposer(configStrategy)
+      ;
+      assert.instanceOf(ic.TestService(), OtherService);
+      assert.deepEqual(ic.TestService().args, [configStrategy, ic]);
+      assert.strictEqual(ic.TestService().ic(), ic);
+      assert.equal(new (ic.TestServiceClass())().name, 'OtherService');
+
+      assert.instanceOf(other.TestService(), Service);
+      assert.equal(new (other.TestServiceClass())().name, 'Service');
+    });
+
+    it('constructs an override with the params of the params builder', function () {
+      let ic = new InstanceComposer(configStrategy, {TestBuiltService: OtherService});
+      assert.instanceOf(ic.TestBuiltService(), OtherService);
+      assert.deepEqual(ic.TestBuiltService().args, ['ws://localhost:8546', ic]);
+    });
+
+    it('drops the instances and classes already created', function () {
+      let ic = new InstanceComposer(configStrategy)
+        , service = ic.TestService()
+        , ServiceClass = ic.TestServiceClass()
+      ;
+      ic.override('TestService', OtherService);
+      ic.override('TestServiceClass', OtherService);
+      assert.notStrictEqual(ic.TestService(), service);
+      assert.instanceOf(ic.TestService(), OtherService);
+      assert.notStrictEqual(ic.TestServiceClass(), ServiceClass);
+    });
+
+    it('rejects an unknown getter and a class which is not a function', function () {
+      let ic = new InstanceComposer(configStrategy);
+      assert.throws(function () {
+        ic.override('TestUnknown', OtherService);
+      }, errors.ConfigError, /No Getter Method registered with name TestUnknown/);
+      assert.throws(function () {
+        new InstanceComposer(configStrategy, {TestService: {}});
+      }, errors.ConfigError, /Override of TestService is not a class/);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const rootPrefix = '../..'
+  , InstanceComposer = require(rootPrefix + '/instance_composer')
+  , MemoryJournal = require(rootPrefix + '/lib/journal/MemoryJournal')
+;
+
+require(rootPrefix + '/lib/Flows');
+require(rootPrefix + '/lib/contract_interacts/Core');
+require(rootPrefix + '/lib/contract_interacts/ERC20Gateway');
+
+/**
+ * Interact which keeps its constructor arguments, new Interact(originAddress, originOptions, auxiliaryConfig,
+ * auxiliaryAddress, auxiliaryOptions)
+ */
+const FakeInteract = function () {
+  this.args = Array.prototype.slice.call(arguments);
+};
+
+/**
+ * Flow which keeps its constructor arguments and resolves restore with the state, or rejects if the state has an
+ * error.
+ */
+const FakeFlow = function (gateway, core, options) {
+  this.gateway = gateway;
+  this.core = core;
+  this.options = options;
+};
+FakeFlow.prototype.restore = function (state) {
+  return state.error ? Promise.reject(new Error(state.error)) : Promise.resolve(Object.assign({restored: true}, state));
+};
+
+describe('Flows', function () {
+  let flows, journal;
+
+  const record = function (id, fields) {
+    return Object.assign({
+      id: id,
+      flow: 'StakeFlow',
+      gateway: {origin: '0xg1', auxiliary: '0xg2'},
+      core: {origin: '0xc1', auxiliary: '0xc2'},
+      auxiliary: '0xc1',
+      options: {pollInterval: 100, originTxOptions: {gas: 1}},
+      state: {step: 'stakeRequested'},
+      done: false
+    }, fields);
+  };
+
+  beforeEach(function () {
+    let ic = new InstanceComposer({journal: {backend: 'memory'}}, {
+      Core: FakeInteract,
+      ERC20Gateway: FakeInteract,
+      StakeFlow: FakeFlow,
+      RevertRedeemFlow: FakeFlow
+    });
+    flows = ic.Flows();
+    journal = flows.journal;
+  });
+
+  it('uses the configured journal', function () {
+    assert.instanceOf(journal, MemoryJournal);
+  });
+
+  describe('resumeAll', function () {
+
+    it('restores every unfinished flow with its gateway, core and options', async function () {
+      await journal.save(record('a'));
+
+      let resumed = await flows.resumeAll({pollInterval: 5});
+      assert.lengthOf(resumed, 1);
+      assert.equal(resumed[0].id, 'a');
+
+      let flow = resumed[0].flow;
+      assert.deepEqual(flow.gateway.args, ['0xg1', {}, '0xc1', '0xg2', {}]);
+      assert.deepEqual(flow.core.args, ['0xc1', {}, '0xc1', '0xc2', {}]);
+      assert.strictEqual(flow.options.journal, journal);
+      assert.equal(flow.options.pollInterval, 5);
+      assert.deepEqual(flow.options.originTxOptions, {gas: 1});
+      assert.deepEqual(await resumed[0].result, {state: {restored: true, step: 'stakeRequested'}});
+    });
+
+    it('skips finished, unknown and not resumable flows', async function () {
+      await journal.save(record('done', {done: true}));
+      await journal.save(record('unknown', {flow: 'OtherFlow'}));
+      await journal.save(record('withoutGateway', {gateway: null}));
+      await journal.save(record('withoutCore', {core: null}));
+      await journal.save(record('revert', {flow: 'RevertRedeemFlow'}));
+
+      let resumed = await flows.resumeAll();
+      assert.deepEqual(resumed.map(function (entry) {
+        return entry.id;
+      }), ['revert']);
+    });
+
+    it('resolves the result of a failing flow with its error', async function () {
+      await journal.save(record('failing', {state: {step: 'stakeRequested', error: 'stake failed'}}));
+      await journal.save(record('ok'));
+
+      let resumed = await flows.resumeAll()
+        , results = await Promise.all(resumed.map(function (entry) {
+          return entry.result;
+        }))
+      ;
+      assert.equal(results[0].error.message, 'stake failed');
+      assert.equal(results[1].state.step, 'stakeRequested');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const rootPrefix = '../..'
+  , hashing = require(rootPrefix + '/lib/hashing')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const repeat = function (byte, length) {
+  return '0x' + new Array(length + 1).join(byte);
+};
+
+// Vectors are hashes which the contracts in contracts/bin computed on chain, or reported in their events.
+describe('hashing', function () {
+  const staker = '0x1a642f0e3c3af545e7acbd38b07251b3990914f1'
+    , beneficiary = repeat('34', 20)
+    , intentHash = '0x826194e8de80611855a33e36553de4f493dc9101a71fda2c10edc52b830a4d38'
+  ;
+
+  it('computes the hash lock of MessageBus', function () {
+    assert.equal(hashing.hashLock('0xb569321de72d0af89c2fb48a484de3fc9343f31600ae1f3e13d633cb48cbf816'),
+      '0xddf01ddd376b0754614e249410f966d61b6560ef80e7495eaa08341d4e534a2e');
+  });
+
+  describe('stake', function () {
+
+    it('computes the intent hash of GatewayV1.stake', function () {
+      assert.equal(hashing.stakeIntentHash('1000', beneficiary, staker, '2'), intentHash);
+      assert.equal(hashing.stakeIntentHash('1000', beneficiary, repeat('12', 20), '2'),
+        '0x92c2e5c7db8382f06c41e412a12598c6425e98c3d747e59797c0d0ed20422d26');
+    });
+
+    it('computes the message hash of StakeRequestedEvent', function () {
+      let typeHash = hashing.typeHash(hashing.TYPES.stake);
+      assert.equal(hashing.messageHash(typeHash, intentHash, '0', '2'),
+        '0x7472f83ab697f28c75efaa4126fb7abd39b319d782bbc48e77ff53ff1126b65d');
+      assert.equal(hashing.messageHash(typeHash, intentHash, '1', '2'),
+        '0xb607a0dd00c6a3c8c8c1d55147b01aa6df3b7621a962a167572ca1acd31f6018');
+    });
+
+    it('computes the message hash of CoGatewayV1.confirmStakingIntent', function () {
+      assert.equal(hashing.messageHash(hashing.typeHash(hashing.TYPES.coGatewayStake), intentHash, '0', '2'),
+        '0xc627f6094ad194987e0da53e1258a4812ff2002a294565661f2c385ae52695b4');
+    });
+  });
+
+  describe('redeem', function () {
+
+    it('computes the intent hash of CoGatewayV1.redeem', function () {
+      assert.equal(hashing.redeemIntentHash('1000', beneficiary, staker, '2'), intentHash);
+    });
+
+    it('computes the message hash of CoGatewayV1.redeem', function () {
+      let typeHash = hashing.typeHash(hashing.TYPES.redeem);
+      assert.equal(hashing.messageHash(typeHash, intentHash, '0', '2'),
+        '0x66a50fdf83e8e381418332aac06c175e3dadb415a7765093af2759605307abdc');
+      assert.equal(hashing.messageHash(typeHash, intentHash, '1', '2'),
+        '0xeecd1c9baa3f0869598e14ed2fa721b4a919d9afeab4903a9919e8f341f47733');
+    });
+  });
+
+  describe('gateway link', function () {
+    // Intent and message hashes of GatewayV1.initiateGatewayLink calls of the contracts in contracts/bin, the message
+    // hashes as the GatewayLinkInitiated events reported them.
+    const links = [
+      {
+        gateway: '0x6307bb06ca2c495338bc0b56f9372c40178e31e6',
+        bounty: '100',
+        gasPrice: '0',
+        intentHash: '0x6cbb3ed8f2e54b490d05a24e31e0f7f2c045b8fcdfd5a31876f8d6f88653f2d7',
+        messageHash: '0xa7c4ef1ba70f4a3a4d4b01802398210ee1cdbbe531711429641a308bc3c49df9'
+      },
+      {
+        gateway: '0x670be343889136e404d453ee22d85e3b6fe8b828',
+        bounty: '250',
+        gasPrice: '7',
+        intentHash: '0xe950b3e5d3e4f5a73deef85a78c039de98d6336bb8f0118a4bb8c5d78d46b5bc',
+        messageHash: '0x6b19e869daa197a0bd3ae2c557614f6c4e2a77b123080803b50b3de5d9d3f10e'
+      }
+    ];
+
+    it('computes the intent hash of GatewayV1', function () {
+      links.forEach(function (link) {
+        assert.equal(hashing.gatewayLinkIntentHash(link.gateway, repeat('72', 20), link.bounty, repeat('0a', 32),
+          repeat('0b', 32), repeat('00', 32), link.gasPrice, '0'), link.intentHash);
+      });
+    });
+
+    it('computes the message hash of GatewayLinkInitiated', function () {
+      links.forEach(function (link) {
+        assert.equal(hashing.messageHash(hashing.typeHash(hashing.TYPES.gatewayLink), link.intentHash, '0',
+          link.gasPrice), link.messageHash);
+      });
+    });
+
+    it('requires the code hash of the message bus', function () {
+      assert.throws(function () {
+        hashing.gatewayLinkIntentHash(links[0].gateway, repeat('72', 20), '100', repeat('0a', 32), repeat('0b', 32),
+          undefined, '0', '0');
+      }, errors.ConfigError);
+    });
+  });
+
+  describe('Hasher of BrandedToken', function () {
+    const uuid = repeat('aa', 32)
+      , account = repeat('12', 20)
+      , hashLock = repeat('bb', 32)
+    ;
+
+    it('computes hashStakingIntent and hashRedemptionIntent', function () {
+      assert.equal(hashing.hashStakingIntent(uuid, account, '7', beneficiary, '1000', '2000', '123', hashLock),
+        '0x0b3da92a81f7be1796dfc398a49c8a9cf5366691a80efc877a84a2cf6aeae1c8');
+      assert.equal(hashing.hashRedemptionIntent(uuid, account, '7', beneficiary, '2000', '123', hashLock),
+        '0x2e725cd75dd20c4992692c0012da64d2391cff1b69075e33a2b64073c5de849c');
+    });
+
+    it('computes hashIntentKey and hashUuid', function () {
+      assert.equal(hashing.hashIntentKey(account, '7'),
+        '0xf8f0f352db62355d2eab3199a4ec7e9940da83c95b293e7060ca6ca787937b37');
+      assert.equal(hashing.hashUuid('BT', 'Branded Token', '3', '1000', repeat('56', 20), '35', '1'),
+        '0x8470dde8ab83e49b4fef2f976ec90e6bf444076cfae92b193d28bde64a6c2201');
+    });
+  });
+});
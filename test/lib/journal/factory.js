@@ -0,0 +1,170 @@
+"use strict";
+
+const assert = require('chai').assert
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+;
+
+const rootPrefix = '../../..'
+  , journalFactory = require(rootPrefix + '/lib/journal/factory')
+  , MemoryJournal = require(rootPrefix + '/lib/journal/MemoryJournal')
+  , FileJournal = require(rootPrefix + '/lib/journal/FileJournal')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const byId = function (records) {
+  return records.slice().sort(function (a, b) {
+    return a.id < b.id ? -1 : 1;
+  });
+};
+
+/**
+ * Tests every journal has to pass. newJournal returns an empty journal.
+ */
+const behavesLikeAJournal = function (newJournal) {
+
+  it('returns a saved record', async function () {
+    let journal = newJournal();
+    await journal.save({id: 'a', flow: 'StakeFlow', state: {step: 'stakeRequested'}});
+    assert.deepEqual(await journal.get('a'), {id: 'a', flow: 'StakeFlow', state: {step: 'stakeRequested'}});
+  });
+
+  it('returns null for an unknown id', async function () {
+    assert.isNull(await newJournal().get('unknown'));
+  });
+
+  it('replaces a record with the same id', async function () {
+    let journal = newJournal();
+    await journal.save({id: 'a', state: {step: 'stakeRequested'}});
+    await journal.save({id: 'a', state: {step: 'stakeProcessed'}, done: true});
+    assert.deepEqual(await journal.list(), [{id: 'a', state: {step: 'stakeProcessed'}, done: true}]);
+  });
+
+  it('lists and removes records', async function () {
+    let journal = newJournal();
+    await journal.save({id: 'a', state: {}});
+    await journal.save({id: 'b', state: {}});
+    assert.deepEqual(byId(await journal.list()), [{id: 'a', state: {}}, {id: 'b', state: {}}]);
+
+    await journal.remove('a');
+    assert.isNull(await journal.get('a'));
+    assert.deepEqual(await journal.list(), [{id: 'b', state: {}}]);
+  });
+
+  it('does not share objects with the caller', async function () {
+    let journal = newJournal()
+      , record = {id: 'a', state: {step: 'stakeRequested'}}
+    ;
+    await journal.save(record);
+    record.state.step = 'changed';
+    (await journal.get('a')).state.step = 'changed';
+    assert.equal((await journal.get('a')).state.step, 'stakeRequested');
+  });
+};
+
+describe('journal factory', function () {
+  let tmpDir, count = 0;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mosaic-journal-'));
+  });
+
+  const tmpPath = function (name) {
+    count++;
+    return path.join(tmpDir, name + count);
+  };
+
+  it('returns a MemoryJournal by default', function () {
+    assert.instanceOf(journalFactory.getInstance(), MemoryJournal);
+    assert.instanceOf(journalFactory.getInstance({}), MemoryJournal);
+  });
+
+  it('returns a journal object as is', function () {
+    let journal = new MemoryJournal();
+    assert.strictEqual(journalFactory.getInstance(journal), journal);
+  });
+
+  it('rejects an unknown backend and a missing path', function () {
+    assert.throws(function () {
+      journalFactory.getInstance({backend: 'redis'});
+    }, errors.ConfigError, /Unknown backend 'redis'/);
+    assert.throws(function () {
+      journalFactory.getInstance({backend: 'file'});
+    }, errors.ConfigError, /'path' is required/);
+  });
+
+  describe('MemoryJournal', function () {
+    behavesLikeAJournal(function () {
+      return journalFactory.getInstance({backend: 'memory'});
+    });
+  });
+
+  describe('FileJournal', function () {
+    behavesLikeAJournal(function () {
+      return journalFactory.getInstance({backend: 'file', path: tmpPath('journal.json')});
+    });
+
+    it('keeps the records in the file for the next process', async function () {
+      let filePath = tmpPath('journal.json');
+      await new FileJournal(filePath).save({id: 'a', state: {step: 'stakeRequested'}});
+      assert.deepEqual(await new FileJournal(filePath).list(), [{id: 'a', state: {step: 'stakeRequested'}}]);
+      assert.isFalse(fs.existsSync(filePath + '.tmp'));
+    });
+
+    it('applies concurrent saves in order', async function () {
+      let journal = new FileJournal(tmpPath('journal.json'))
+        , saves = []
+      ;
+      for (let i = 0; i < 5; i++) {
+        saves.push(journal.save({id: String(i), state: {}}));
+      }
+      await Promise.all(saves);
+      assert.lengthOf(await journal.list(), 5);
+    });
+  });
+
+  describe('LevelDBJournal', function () {
+    let LevelDBJournal;
+
+    before(function () {
+      try {
+        LevelDBJournal = require(rootPrefix + '/lib/journal/LevelDBJournal');
+      } catch (error) {
+        // leveldown is a native module, which is not built for every Node version.
+        this.skip();
+      }
+    });
+
+    behavesLikeAJournal(function () {
+      return journalFactory.getInstance({backend: 'leveldb', path: tmpPath('journal')});
+    });
+
+    it('shares the database of a path', async function () {
+      let dbPath = tmpPath('journal')
+        , journal = new LevelDBJournal(dbPath)
+      ;
+      await journal.save({id: 'a', state: {}});
+      assert.strictEqual(new LevelDBJournal(path.join(dbPath, '.')).db, journal.db);
+      assert.deepEqual(await new LevelDBJournal(dbPath).get('a'), {id: 'a', state: {}});
+    });
+
+    it('opens paths which differ in case as different databases', async function () {
+      let dbPath = tmpPath('Journal')
+        , journal = new LevelDBJournal(dbPath)
+        , lowerCaseJournal = new LevelDBJournal(path.join(tmpDir, path.basename(dbPath).toLowerCase()))
+      ;
+      await journal.save({id: 'a', state: {}});
+      assert.notStrictEqual(lowerCaseJournal.db, journal.db);
+      assert.deepEqual(await lowerCaseJournal.list(), []);
+      assert.isTrue(fs.existsSync(dbPath));
+    });
+
+    it('lists only the records of the journal', async function () {
+      let journal = new LevelDBJournal(tmpPath('journal'));
+      await journal.save({id: 'a', state: {}});
+      await journal.db.put('other', 'value');
+      assert.deepEqual(await journal.list(), [{id: 'a', state: {}}]);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+const assert = require('chai').assert
+  , EventEmitter = require('events')
+  , Web3 = require('web3')
+;
+
+const rootPrefix = '../../..'
+  , ProviderPool = require(rootPrefix + '/lib/providers/ProviderPool')
+;
+
+/**
+ * WebSocket provider which answers eth_subscribe with subscription id 0x01 and every other call with true, like a
+ * connected node in the next tick. Once the reply to eth_subscribe is handled it sends the notification, if given.
+ */
+const fakeProvider = function (notification) {
+  let provider = new EventEmitter();
+  provider.send = function (payload, callback) {
+    setImmediate(function () {
+      let isSubscribe = payload.method === 'eth_subscribe';
+      callback(null, {jsonrpc: '2.0', id: payload.id, result: isSubscribe ? '0x01' : true});
+      if (isSubscribe && notification) {
+        setImmediate(function () {
+          provider.emit('data', notification);
+        });
+      }
+    });
+  };
+  return provider;
+};
+
+describe('ProviderPool', function () {
+  let pool, endpointProvider;
+
+  beforeEach(function () {
+    endpointProvider = fakeProvider({
+      jsonrpc: '2.0', method: 'eth_subscription', params: {subscription: '0x01', result: {number: '0x10'}}
+    });
+    pool = new ProviderPool(['ws://127.0.0.1:1'], {
+      healthCheckInterval: 0,
+      createProvider: function () {
+        return endpointProvider;
+      }
+    });
+  });
+
+  afterEach(function () {
+    pool.stop();
+  });
+
+  it('does not add listeners to the pool for every web3 instance', function () {
+    for (let i = 0; i < 20; i++) {
+      new Web3(pool.connection());
+    }
+    assert.equal(pool.listenerCount('data'), 0);
+  });
+
+  it('forwards notifications to a web3 subscription and stops listening after unsubscribe', async function () {
+    let web3 = new Web3(pool.connection())
+      , subscription
+    ;
+
+    let notification = await new Promise(function (resolve, reject) {
+      subscription = web3.eth.subscribe('newBlockHeaders')
+        .on('data', resolve)
+        .on('error', reject);
+    });
+    assert.equal(notification.number, 16);
+    assert.equal(pool.listenerCount('data'), 1);
+
+    await new Promise(function (resolve, reject) {
+      subscription.unsubscribe(function (error) {
+        return error ? reject(error) : resolve();
+      });
+    });
+    assert.equal(pool.listenerCount('data'), 0);
+  });
+
+  it('stops listening when web3 clears its subscriptions', async function () {
+    let connection = pool.connection();
+    await new Promise(function (resolve, reject) {
+      connection.send({jsonrpc: '2.0', id: 1, method: 'eth_subscribe', params: ['newHeads']}, function (error) {
+        return error ? reject(error) : resolve();
+      });
+    });
+    assert.equal(pool.listenerCount('data'), 1);
+    connection.reset();
+    assert.equal(pool.listenerCount('data'), 0);
+  });
+});
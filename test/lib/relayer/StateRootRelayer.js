@@ -0,0 +1,78 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const rootPrefix = '../../..'
+  , StateRootRelayer = require(rootPrefix + '/lib/relayer/StateRootRelayer')
+;
+
+/**
+ * Core interact whose cores fail every call, so the relayer keeps retrying. calls counts the failed calls.
+ */
+const failingCore = function () {
+  let core = {calls: 0}
+    , contract = {
+      methods: {
+        remoteChainBlocksToWait: function () {
+          return {
+            call: function () {
+              core.calls++;
+              return Promise.reject(new Error('connection refused'));
+            }
+          };
+        }
+      }
+    }
+    , web3 = {eth: {}}
+  ;
+  core._getOriginWeb3 = core._getAuxiliaryWeb3 = function () {
+    return web3;
+  };
+  core._getOriginContract = core._getAuxiliaryContract = function () {
+    return contract;
+  };
+  return core;
+};
+
+const silentLogger = {info: function () {}, warn: function () {}, error: function () {}};
+
+describe('StateRootRelayer', function () {
+
+  it('stops while a retry waits for its backoff delay', async function () {
+    let core = failingCore()
+      , errors = []
+      , logger = Object.assign({}, silentLogger, {
+        error: function (message) {
+          errors.push(message);
+        }
+      })
+      , relayer = new StateRootRelayer(core, {retryDelay: 60000, logger: logger})
+    ;
+
+    relayer.start();
+    await new Promise(function (resolve) {
+      setTimeout(resolve, 20);
+    });
+    assert.equal(core.calls, 2);
+
+    let startedAt = Date.now();
+    await relayer.stop();
+    assert.isBelow(Date.now() - startedAt, 1000);
+    assert.equal(core.calls, 2);
+    assert.deepEqual(errors, []);
+  });
+
+  it('retries after the backoff delay', async function () {
+    let core = failingCore()
+      , relayer = new StateRootRelayer(core, {retryDelay: 10, maxRetries: 2, logger: silentLogger})
+    ;
+
+    relayer.start();
+    await new Promise(function (resolve) {
+      setTimeout(resolve, 200);
+    });
+    await relayer.stop();
+    // Both lanes make 1 attempt and 2 retries, and poll again only after the default poll interval.
+    assert.equal(core.calls, 6);
+  });
+});
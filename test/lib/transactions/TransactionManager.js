@@ -0,0 +1,162 @@
+"use strict";
+
+const assert = require('chai').assert;
+
+const rootPrefix = '../../..'
+  , TransactionManager = require(rootPrefix + '/lib/transactions/TransactionManager')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const sender = '0x00000000000000000000000000000000000000aa';
+
+/**
+ * web3 whose node has sent pendingCount transactions of every sender. sendTransaction keeps the params in sent,
+ * emits a hash on the next tick and resolves once the test calls mine with the hash.
+ */
+const fakeWeb3 = function (pendingCount) {
+  let web3 = {sent: [], miners: {}};
+
+  web3.eth = {
+    getTransactionCount: function () {
+      return new Promise(function (resolve) {
+        setImmediate(resolve, pendingCount);
+      });
+    },
+    getGasPrice: function () {
+      return Promise.resolve('1000');
+    },
+    sendTransaction: function (params) {
+      let hash = '0x' + (web3.sent.length + 1)
+        , handlers = {}
+        , promiEvent = new Promise(function (resolve) {
+          web3.miners[hash] = function () {
+            resolve({transactionHash: hash, to: params.to, status: true});
+          };
+        })
+      ;
+      web3.sent.push(Object.assign({hash: hash}, params));
+      promiEvent.on = function (event, handler) {
+        handlers[event] = handler;
+        return promiEvent;
+      };
+      setImmediate(function () {
+        handlers.transactionHash(hash);
+      });
+      return promiEvent;
+    }
+  };
+  web3.mine = function (hash) {
+    web3.miners[hash]();
+  };
+  return web3;
+};
+
+/**
+ * Contract method object of web3
+ */
+const txObject = {
+  _parent: {options: {address: '0x00000000000000000000000000000000000000c0', jsonInterface: []}},
+  encodeABI: function () {
+    return '0xabcd';
+  },
+  estimateGas: function () {
+    return Promise.resolve(100000);
+  }
+};
+
+/**
+ * @return {Promise} resolved once manager has broadcast count transactions
+ */
+const broadcastCount = async function (manager, count) {
+  while (manager.getPending().length < count) {
+    await new Promise(function (resolve) {
+      setImmediate(resolve);
+    });
+  }
+};
+
+describe('TransactionManager', function () {
+  let web3, manager;
+
+  beforeEach(function () {
+    web3 = fakeWeb3(7);
+    manager = new TransactionManager(web3);
+  });
+
+  it('gives concurrent sends of a sender consecutive nonces', async function () {
+    let sends = [0, 1, 2].map(function () {
+      return manager.send(txObject, {from: sender});
+    });
+    await broadcastCount(manager, 3);
+
+    assert.deepEqual(web3.sent.map(function (params) {
+      return params.nonce;
+    }), [7, 8, 9]);
+    assert.equal(web3.sent[0].gas, '120000');
+    assert.equal(web3.sent[0].gasPrice, '1000');
+
+    web3.sent.forEach(function (params) {
+      web3.mine(params.hash);
+    });
+    let receipts = await Promise.all(sends);
+    assert.deepEqual(receipts.map(function (receipt) {
+      return receipt.transactionHash;
+    }), ['0x1', '0x2', '0x3']);
+    assert.deepEqual(manager.getPending(), []);
+  });
+
+  it('replaces a pending transaction with the same nonce and a higher gas price', async function () {
+    let send = manager.send(txObject, {from: sender});
+    await broadcastCount(manager, 1);
+
+    let hash = await manager.speedUp('0x1');
+    assert.equal(hash, '0x2');
+    assert.equal(web3.sent[1].nonce, web3.sent[0].nonce);
+    assert.equal(web3.sent[1].data, '0xabcd');
+    assert.equal(web3.sent[1].gasPrice, '1125');
+    assert.deepEqual(manager.getPending().map(function (pending) {
+      return pending.gasPrice;
+    }), ['1125', '1125']);
+
+    web3.mine('0x2');
+    assert.equal((await send).transactionHash, '0x2');
+    assert.deepEqual(manager.getPending(), []);
+  });
+
+  it('bumps a replacement gas price which is too low', async function () {
+    manager.send(txObject, {from: sender});
+    await broadcastCount(manager, 1);
+
+    await manager.speedUp('0x1', '1001');
+    assert.equal(web3.sent[1].gasPrice, '1100');
+  });
+
+  it('cancels a pending transaction with an empty transfer to the sender', async function () {
+    let send = manager.send(txObject, {from: sender});
+    await broadcastCount(manager, 1);
+
+    await manager.cancel('0x1');
+    let cancellation = web3.sent[1];
+    assert.equal(cancellation.to, sender);
+    assert.equal(cancellation.value, '0');
+    assert.equal(cancellation.data, '0x');
+    assert.equal(cancellation.nonce, 7);
+    assert.equal(cancellation.gasPrice, '1125');
+
+    web3.mine('0x2');
+    try {
+      await send;
+      assert.fail('send resolved');
+    } catch (error) {
+      assert.instanceOf(error, errors.ContractCallError);
+      assert.equal(error.code, 'transaction_cancelled');
+      assert.equal(error.nonce, 7);
+    }
+  });
+
+  it('rejects replacing a transaction which is not pending', function () {
+    assert.throws(function () {
+      manager.speedUp('0x1');
+    }, errors.ConfigError, /Transaction 0x1 is not pending/);
+  });
+});
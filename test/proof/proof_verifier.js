@@ -0,0 +1,105 @@
+"use strict";
+
+const assert = require('chai').assert
+  , ethUtils = require('ethereumjs-util')
+  , Trie = require('merkle-patricia-tree')
+;
+
+const rootPrefix = '../..'
+  , proofVerifier = require(rootPrefix + '/proof/proof_verifier')
+  , proof = require(rootPrefix + '/proof/lib/proof')
+  , helper = require(rootPrefix + '/proof/lib/helper')
+;
+
+const put = function (trie, key, value) {
+  return new Promise(function (resolve, reject) {
+    trie.put(key, value, function (error) {
+      return error ? reject(error) : resolve();
+    });
+  });
+};
+
+const account = function (nonce, balance) {
+  return ethUtils.rlp.encode([nonce, balance, ethUtils.SHA3_RLP, ethUtils.SHA3_NULL]);
+};
+
+describe('ProofVerifier', function () {
+  const addresses = [
+    '1111111111111111111111111111111111111111',
+    '2222222222222222222222222222222222222222',
+    '3333333333333333333333333333333333333333'
+  ];
+  let stateTrie, stateRoot, storageTrie, storageRoot;
+
+  before(async function () {
+    stateTrie = new Trie();
+    for (let i = 0; i < addresses.length; i++) {
+      await put(stateTrie, ethUtils.sha3(Buffer.from(addresses[i], 'hex')), account(i, 1000 * (i + 1)));
+    }
+    stateRoot = '0x' + stateTrie.root.toString('hex');
+
+    storageTrie = new Trie();
+    await put(storageTrie, helper.storagePath('1', []), ethUtils.rlp.encode(42));
+    await put(storageTrie, helper.storagePath('3', ['ab']), ethUtils.rlp.encode(7));
+    await put(storageTrie, helper.storagePath('3', ['cd']), ethUtils.rlp.encode(8));
+    storageRoot = '0x' + storageTrie.root.toString('hex');
+  });
+
+  it('accepts the account proof of every account', async function () {
+    for (let i = 0; i < addresses.length; i++) {
+      let accountProof = await proof.accountProof(addresses[i], stateTrie);
+      assert.deepEqual(proofVerifier.verifyAccountProof(stateRoot, addresses[i], accountProof),
+        {isValid: true, reason: 'value_matches'});
+    }
+  });
+
+  it('accepts a storage proof of a variable and of a mapping entry', async function () {
+    let variableProof = await proof.storageProof(helper.storagePath('1', []), storageTrie)
+      , mappingProof = await proof.storageProof(helper.storagePath('3', ['cd']), storageTrie)
+    ;
+    assert.isTrue(proofVerifier.verifyStorageProof(storageRoot, '1', [], variableProof).isValid);
+    assert.isTrue(proofVerifier.verifyStorageProof(storageRoot, '3', ['cd'], mappingProof).isValid);
+  });
+
+  it('rejects a proof with another value', async function () {
+    let accountProof = await proof.accountProof(addresses[0], stateTrie);
+    accountProof.value = account(0, 999).toString('hex');
+    assert.deepEqual(proofVerifier.verifyAccountProof(stateRoot, addresses[0], accountProof),
+      {isValid: false, reason: 'value_mismatch'});
+  });
+
+  it('rejects a proof of another account', async function () {
+    let accountProof = await proof.accountProof(addresses[0], stateTrie);
+    assert.isFalse(proofVerifier.verifyAccountProof(stateRoot, addresses[1], accountProof).isValid);
+  });
+
+  it('rejects a proof of another mapping key', async function () {
+    let mappingProof = await proof.storageProof(helper.storagePath('3', ['ab']), storageTrie);
+    assert.isFalse(proofVerifier.verifyStorageProof(storageRoot, '3', ['cd'], mappingProof).isValid);
+  });
+
+  it('rejects a proof against another root', async function () {
+    let accountProof = await proof.accountProof(addresses[0], stateTrie);
+    assert.deepEqual(proofVerifier.verifyAccountProof(storageRoot, addresses[0], accountProof),
+      {isValid: false, reason: 'root_mismatch'});
+  });
+
+  it('rejects a proof with a tampered node', async function () {
+    let accountProof = await proof.accountProof(addresses[0], stateTrie)
+      , parentNodes = ethUtils.rlp.decode(Buffer.from(accountProof.parentNodes, 'hex'))
+      , leaf = parentNodes[parentNodes.length - 1]
+    ;
+    leaf[1] = account(0, 999);
+    accountProof.parentNodes = ethUtils.rlp.encode(parentNodes).toString('hex');
+    accountProof.value = leaf[1].toString('hex');
+    assert.deepEqual(proofVerifier.verifyAccountProof(stateRoot, addresses[0], accountProof),
+      {isValid: false, reason: 'node_hash_mismatch'});
+  });
+
+  it('rejects malformed and empty parent nodes', function () {
+    assert.deepEqual(proofVerifier.verify(stateRoot, 'ff', ethUtils.sha3('0x00'), '00'),
+      {isValid: false, reason: 'invalid_rlp_parent_nodes'});
+    assert.deepEqual(proofVerifier.verify(stateRoot, 'c0', ethUtils.sha3('0x00'), '00'),
+      {isValid: false, reason: 'empty_parent_nodes'});
+  });
+});
@@ -0,0 +1,302 @@
+"use strict";
+
+const assert = require('chai').assert
+  , ethUtils = require('ethereumjs-util')
+  , Trie = require('merkle-patricia-tree')
+;
+
+const rootPrefix = '../..'
+  , RpcProofGenerator = require(rootPrefix + '/proof/rpc_proof_generator')
+  , RpcDB = require(rootPrefix + '/proof/lib/rpc_db')
+  , proofVerifier = require(rootPrefix + '/proof/proof_verifier')
+  , helper = require(rootPrefix + '/proof/lib/helper')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const contractAddress = '1111111111111111111111111111111111111111'
+  , otherAddress = '2222222222222222222222222222222222222222'
+  , missingAddress = '9999999999999999999999999999999999999999'
+;
+
+const put = function (trie, key, value) {
+  return new Promise(function (resolve, reject) {
+    trie.put(key, value, function (error) {
+      return error ? reject(error) : resolve();
+    });
+  });
+};
+
+/**
+ * @return {Promise<Array<string>>} rlp encoded nodes from root towards key, as eth_getProof returns them
+ */
+const proofNodes = function (trie, key) {
+  return new Promise(function (resolve, reject) {
+    trie.findPath(key, function (error, node, keyRemainder, stack) {
+      if (error) {
+        return reject(error);
+      }
+      resolve(stack.map(function (stackNode) {
+        return '0x' + ethUtils.rlp.encode(stackNode.raw).toString('hex');
+      }));
+    });
+  });
+};
+
+/**
+ * web3 whose provider answers debug_dbGet from the db of the tries and eth_getProof with handlers.getProof
+ */
+const fakeWeb3 = function (db, handlers) {
+  return {
+    currentProvider: {
+      send: function (payload, callback) {
+        let respond = function (error, result) {
+          if (error) {
+            return callback(null, {jsonrpc: '2.0', id: payload.id, error: error});
+          }
+          callback(null, {jsonrpc: '2.0', id: payload.id, result: result});
+        };
+        if (payload.method === 'debug_dbGet') {
+          let key = Buffer.from(payload.params[0].replace(/^0x/, ''), 'hex');
+          return db.get(key, {keyEncoding: 'binary', valueEncoding: 'binary'}, function (error, value) {
+            respond(null, error ? null : '0x' + value.toString('hex'));
+          });
+        }
+        if (payload.method === 'eth_getProof' && handlers.getProof) {
+          return handlers.getProof(payload.params).then(function (result) {
+            respond(null, result);
+          }, function (error) {
+            respond(error);
+          });
+        }
+        respond({code: -32601, message: 'the method ' + payload.method + ' does not exist/is not available'});
+      }
+    }
+  };
+};
+
+describe('RpcProofGenerator', function () {
+  let stateTrie, storageTrie, stateRoot, storageRoot, slot, getProof;
+
+  before(async function () {
+    stateTrie = new Trie();
+    storageTrie = new Trie(stateTrie.db);
+
+    slot = helper.storageSlot('3', ['ab']);
+    await put(storageTrie, ethUtils.sha3(slot), ethUtils.rlp.encode(1));
+    await put(storageTrie, helper.storagePath('1', []), ethUtils.rlp.encode(42));
+    storageRoot = '0x' + storageTrie.root.toString('hex');
+
+    await put(stateTrie, ethUtils.sha3(Buffer.from(contractAddress, 'hex')),
+      ethUtils.rlp.encode([1, 0, storageTrie.root, ethUtils.SHA3_NULL]));
+    await put(stateTrie, ethUtils.sha3(Buffer.from(otherAddress, 'hex')),
+      ethUtils.rlp.encode([2, 1000, ethUtils.SHA3_RLP, ethUtils.SHA3_NULL]));
+    stateRoot = '0x' + stateTrie.root.toString('hex');
+
+    getProof = async function (params) {
+      let address = params[0].replace(/^0x/, '')
+        , storageProof = []
+      ;
+      for (let i = 0; i < params[1].length; i++) {
+        let key = ethUtils.sha3(Buffer.from(params[1][i].replace(/^0x/, ''), 'hex'));
+        storageProof.push({key: params[1][i], proof: await proofNodes(storageTrie, key)});
+      }
+      return {
+        address: params[0],
+        accountProof: await proofNodes(stateTrie, ethUtils.sha3(Buffer.from(address, 'hex'))),
+        storageHash: storageRoot,
+        storageProof: storageProof
+      };
+    };
+  });
+
+  describe('with eth_getProof', function () {
+
+    it('builds a verifiable account proof', async function () {
+      let generator = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {getProof: getProof}), 12)
+        , proof = await generator.buildAccountProof(contractAddress)
+      ;
+      assert.isTrue(proofVerifier.verifyAccountProof(stateRoot, contractAddress, proof).isValid);
+    });
+
+    it('builds a verifiable storage proof', async function () {
+      let generator = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {getProof: getProof}), 12)
+        , proof = await generator.buildStorageProofAtSlot(contractAddress, slot)
+      ;
+      assert.isTrue(proofVerifier.verifyStorageProof(storageRoot, '3', ['ab'], proof).isValid);
+    });
+
+    it('sends the block number of the state root', async function () {
+      let blockParameters = []
+        , web3 = fakeWeb3(stateTrie.db, {
+          getProof: function (params) {
+            blockParameters.push(params[2]);
+            return getProof(params);
+          }
+        })
+      ;
+      await new RpcProofGenerator(stateRoot, web3, 26).buildAccountProof(contractAddress);
+      assert.deepEqual(blockParameters, ['0x1a']);
+    });
+
+    it('rejects an account which is not in the trie', async function () {
+      let generator = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {getProof: getProof}), 12);
+      try {
+        await generator.buildAccountProof(missingAddress);
+        assert.fail('resolved');
+      } catch (error) {
+        assert.instanceOf(error, errors.ProofError);
+        assert.equal(error.code, 'account_node_not_found');
+      }
+    });
+
+    it('rejects a proof of another account', async function () {
+      let web3 = fakeWeb3(stateTrie.db, {
+          getProof: function (params) {
+            return getProof(['0x' + otherAddress, params[1], params[2]]);
+          }
+        })
+        , generator = new RpcProofGenerator(stateRoot, web3, 12)
+      ;
+      try {
+        await generator.buildAccountProof(contractAddress);
+        assert.fail('resolved');
+      } catch (error) {
+        assert.instanceOf(error, errors.ProofError);
+        assert.equal(error.code, 'invalid_proof');
+      }
+    });
+
+    it('rejects nodes which do not hash to the state root', async function () {
+      let generator = new RpcProofGenerator(storageRoot, fakeWeb3(stateTrie.db, {getProof: getProof}), 12);
+      try {
+        await generator.buildAccountProof(contractAddress);
+        assert.fail('resolved');
+      } catch (error) {
+        assert.equal(error.code, 'invalid_proof');
+        assert.equal(error.reason, 'root_mismatch');
+      }
+    });
+
+    it('rejects a storageHash which is not the storage root of the account', async function () {
+      let tamperedTrie = new Trie();
+      await put(tamperedTrie, ethUtils.sha3(slot), ethUtils.rlp.encode(2));
+      let tamperedRoot = '0x' + tamperedTrie.root.toString('hex')
+        , web3 = fakeWeb3(stateTrie.db, {
+          getProof: async function (params) {
+            let response = await getProof(params);
+            response.storageHash = tamperedRoot;
+            response.storageProof[0].proof = await proofNodes(tamperedTrie, ethUtils.sha3(slot));
+            return response;
+          }
+        })
+        , generator = new RpcProofGenerator(stateRoot, web3, 12)
+      ;
+      for (let build of [
+        function () { return generator.buildStorageProofAtSlot(contractAddress, slot); },
+        function () { return generator.buildStorageProof(contractAddress, '3', ['ab']); }
+      ]) {
+        try {
+          await build();
+          assert.fail('resolved');
+        } catch (error) {
+          assert.instanceOf(error, errors.ProofError);
+          assert.equal(error.code, 'invalid_proof');
+          assert.equal(error.reason, 'storage_root_mismatch');
+        }
+      }
+    });
+
+    it('rejects a storage proof of an account which is not in the trie', async function () {
+      let generator = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {getProof: getProof}), 12);
+      try {
+        await generator.buildStorageProofAtSlot(missingAddress, slot);
+        assert.fail('resolved');
+      } catch (error) {
+        assert.instanceOf(error, errors.ProofError);
+        assert.equal(error.code, 'account_node_not_found');
+      }
+    });
+
+    it('rejects without the block number of the state root', async function () {
+      let generator = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {getProof: getProof}));
+      try {
+        await generator.buildAccountProof(contractAddress);
+        assert.fail('resolved');
+      } catch (error) {
+        assert.equal(error.code, 'invalid_block_number');
+      }
+    });
+
+    it('does not fall back to debug_dbGet on other errors', async function () {
+      let web3 = fakeWeb3(stateTrie.db, {
+        getProof: function () {
+          return Promise.reject({code: -32000, message: 'header not found'});
+        }
+      });
+      try {
+        await new RpcProofGenerator(stateRoot, web3, 12).buildAccountProof(contractAddress);
+        assert.fail('resolved');
+      } catch (error) {
+        assert.instanceOf(error, errors.RpcError);
+        assert.equal(error.message, 'header not found');
+      }
+    });
+  });
+
+  describe('without eth_getProof', function () {
+
+    it('builds the same account proof with debug_dbGet', async function () {
+      let withGetProof = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {getProof: getProof}), 12)
+        , withDbGet = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {}), 12)
+      ;
+      assert.deepEqual(await withDbGet.buildAccountProof(contractAddress),
+        await withGetProof.buildAccountProof(contractAddress));
+    });
+
+    it('builds a verifiable storage proof with debug_dbGet', async function () {
+      let generator = new RpcProofGenerator(stateRoot, fakeWeb3(stateTrie.db, {}), 12)
+        , proof = await generator.buildStorageProofAtSlot(contractAddress, slot)
+      ;
+      assert.isTrue(proofVerifier.verifyStorageProof(storageRoot, '3', ['ab'], proof).isValid);
+    });
+  });
+});
+
+describe('RpcDB', function () {
+  let trie;
+
+  before(async function () {
+    trie = new Trie();
+    await put(trie, ethUtils.sha3('0x01'), ethUtils.rlp.encode([1, 2, 3]));
+  });
+
+  it('returns the node of a hash', function (done) {
+    RpcDB.getInstance(fakeWeb3(trie.db, {})).get(trie.root, {}, function (error, value) {
+      assert.isNull(error);
+      assert.equal(ethUtils.sha3(value).toString('hex'), trie.root.toString('hex'));
+      done();
+    });
+  });
+
+  it('calls back with a not found error for an unknown hash', function (done) {
+    RpcDB.getInstance(fakeWeb3(trie.db, {})).get(ethUtils.sha3('0x02'), function (error) {
+      assert.instanceOf(error, errors.ProofError);
+      assert.equal(error.code, 'node_not_found');
+      assert.isTrue(error.notFound);
+      done();
+    });
+  });
+
+  it('is read only', function (done) {
+    RpcDB.getInstance(fakeWeb3(trie.db, {})).put(trie.root, Buffer.from('00', 'hex'), function (error) {
+      assert.equal(error.code, 'read_only');
+      done();
+    });
+  });
+
+  it('returns one instance per web3', function () {
+    let web3 = fakeWeb3(trie.db, {});
+    assert.strictEqual(RpcDB.getInstance(web3), RpcDB.getInstance(web3));
+    assert.notStrictEqual(RpcDB.getInstance(web3), RpcDB.getInstance(fakeWeb3(trie.db, {})));
+  });
+});
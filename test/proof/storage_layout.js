@@ -0,0 +1,144 @@
+"use strict";
+
+const assert = require('chai').assert
+  , ethUtils = require('ethereumjs-util')
+;
+
+const rootPrefix = '../..'
+  , StorageLayout = require(rootPrefix + '/proof/storage_layout')
+  , storageLayouts = require(rootPrefix + '/proof/storage_layouts')
+  , flowHelper = require(rootPrefix + '/lib/flows/helper')
+  , errors = require(rootPrefix + '/lib/errors')
+;
+
+const messageHash = '0x14bb2bf372bbfc1de82d7a80510e8bf9c0735e1982c822f370f0882fc1d4f607';
+
+const hex = function (buffer) {
+  return ethUtils.bufferToHex(buffer);
+};
+
+/**
+ * Layout of a contract compiled with solc 0.4.25. The expected slots below are the SSTORE keys of its setters,
+ * traced in an EVM.
+ */
+const layout = new StorageLayout([
+  'first uint256 at slot 0',
+  'nested mapping(address => mapping(uint256 => bool)) at slot 1',
+  'dynamicArray uint256[] at slot 2',
+  'packedDynamic uint8[] at slot 3',
+  'packedStatic uint128[5] at slot 4',
+  'fixedArray uint256[3] at slot 7',
+  'messages mapping(bytes32 => Message) at slot 10',
+  'messageList Message[] at slot 11',
+  'byName mapping(string => uint256) at slot 12',
+  'messageBox MessageBox at slot 13',
+  'arraysByKey mapping(uint256 => uint256[]) at slot 15'
+], {
+  Message: [
+    'bytes32 intentHash', 'uint8 status', 'address sender', 'uint256 nonce', 'uint128 x', 'uint128 y', 'bytes data',
+    'uint256 z'
+  ],
+  MessageBox: ['mapping(bytes32 => uint8) outbox', 'mapping(bytes32 => uint8) inbox']
+});
+
+describe('StorageLayout', function () {
+
+  it('computes the slot of a nested mapping', function () {
+    assert.equal(hex(layout.slot('nested', ['0x00000000000000000000000000000000000000aa', '5'])),
+      '0x48d71b1df3dd6135b096d6c3419c379e3839a33f2476c4fd56734884c411c1df');
+  });
+
+  it('computes the slot of a string key', function () {
+    assert.equal(hex(layout.slot('byName', ['abc'])),
+      '0x8dc28de96c1acfca7aeb6941177ad1a8afd65723d2a50cdb7903260b41962040');
+  });
+
+  it('computes the slots of dynamic arrays', function () {
+    assert.equal(hex(layout.slot('dynamicArray', ['33'])),
+      '0x405787fa12a823e0f2b7631cc41b3ba8828b3321ca811111fa75cd3aa3bb5aef');
+    assert.equal(hex(layout.slot('arraysByKey', ['5', '4'])),
+      '0x113b67e4b13ef21afafa7a5b3bf3fe5e00801d5b295d3ef940a049cb9aa539f9');
+  });
+
+  it('packs small elements of arrays into one slot', function () {
+    assert.equal(hex(layout.slot('packedDynamic', ['65'])),
+      '0xc2575a0e9e593c00f959f8c92f12db2869c3395a3b0502d05e2516446f71f85d');
+    assert.equal(hex(layout.slot('packedStatic', ['3'])), hex(ethUtils.setLengthLeft(5, 32)));
+  });
+
+  it('computes the slots of static arrays', function () {
+    assert.equal(hex(layout.slot('fixedArray', ['2'])), hex(ethUtils.setLengthLeft(9, 32)));
+  });
+
+  it('computes the slots of struct members and packs them', function () {
+    let base = '0x337f88acf9e7f4022ddaf60f2a821dddb7992349a8637de55f349c202f4ed1f';
+    assert.equal(hex(layout.slot('messages', [messageHash, 'status'])), base + '3');
+    assert.equal(hex(layout.slot('messages', [messageHash, 'sender'])), base + '3');
+    assert.equal(hex(layout.slot('messages', [messageHash, 'nonce'])), base + '4');
+    assert.equal(hex(layout.slot('messages', [messageHash, 'y'])), base + '5');
+    assert.equal(hex(layout.slot('messages', [messageHash, 'z'])), base + '7');
+  });
+
+  it('computes the slots of struct array elements', function () {
+    assert.equal(hex(layout.slot('messageList', ['2', 'nonce'])),
+      '0x0175b7a638427703f0dbe7bb9bbf987a2551717b34e79f33b5b1008d1fa01dc7');
+  });
+
+  it('computes the slots of mappings in a struct', function () {
+    assert.equal(hex(layout.slot('messageBox', ['outbox', messageHash])),
+      '0x78c8ec5078b886285d57118b7fef142b5ab3d7caad0c4a45e2382de777728e75');
+    assert.equal(hex(layout.slot('messageBox', ['inbox', messageHash])),
+      '0x2cd7c5a6eaceaa8c78fae2c640be31532ddb00382113a4220d0d485fe03b6100');
+  });
+
+  it('returns the storage trie path of a slot', function () {
+    assert.equal(hex(layout.path('first')), hex(ethUtils.sha3(ethUtils.setLengthLeft(0, 32))));
+  });
+
+  it('rejects unknown variables, members and accessors', function () {
+    assert.throws(function () {
+      layout.slot('unknown');
+    }, errors.ProofError, /Unknown storage variable 'unknown'/);
+    assert.throws(function () {
+      layout.slot('messages', [messageHash, 'unknown']);
+    }, errors.ProofError, /Unknown member 'unknown' of struct Message/);
+    assert.throws(function () {
+      layout.slot('first', ['0']);
+    }, errors.ProofError, /Can not access '0' of uint256 variable first/);
+    assert.throws(function () {
+      new StorageLayout(['first uint256']);
+    }, errors.ProofError, /Invalid storage declaration/);
+  });
+});
+
+describe('storageLayouts', function () {
+  // SSTORE keys of a solc 0.4.25 contract whose MessageBox is at slot 7, after 7 uint256 variables.
+  const outboxSlot = '0x243d7a60e6f49c477896f27c7f4c4f635f4084baa63e755411f626d1519d3db4'
+    , inboxSlot = '0xe2982d765b62ae0ca7793b3852fbc0522f86961dbf6ebdc59a001642a3a26a2b'
+  ;
+
+  ['GatewayV1', 'CoGatewayV1'].forEach(function (contractName) {
+    it('has the message box of ' + contractName + ' at slots 7 and 8', function () {
+      assert.equal(hex(storageLayouts[contractName].slot('outbox', [messageHash])), outboxSlot);
+      assert.equal(hex(storageLayouts[contractName].slot('inbox', [messageHash])), inboxSlot);
+    });
+  });
+
+  it('matches the storage indexes of the flows', function () {
+    assert.equal(storageLayouts.GatewayV1.variables.outbox.slot.toString(), flowHelper.outboxIndex);
+    assert.equal(storageLayouts.GatewayV1.variables.inbox.slot.toString(), flowHelper.inboxIndex);
+  });
+
+  it('builds outbox and inbox proofs at the slot of the message', async function () {
+    let proofGenerator = {
+      buildStorageProofAtSlot: function (address, slot) {
+        return Promise.resolve({address: address, slot: hex(slot)});
+      }
+    };
+
+    assert.deepEqual(await storageLayouts.buildOutboxProof(proofGenerator, '0x01', messageHash),
+      {address: '0x01', slot: outboxSlot});
+    assert.deepEqual(await storageLayouts.buildInboxProof(proofGenerator, '0x01', messageHash),
+      {address: '0x01', slot: inboxSlot});
+  });
+});
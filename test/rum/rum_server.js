@@ -0,0 +1,279 @@
+"use strict";
+
+const assert = require('chai').assert
+  , http = require('http')
+  , WebSocket = require('ws')
+;
+
+const rootPrefix = '../..'
+  , RumServer = require(rootPrefix + '/rum/rum_server')
+;
+
+const coreAddress = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd'
+  , unknownCoreAddress = '0x2222222222222222222222222222222222222222'
+;
+
+/**
+ * Chain node which answers every call with {result: {chain, method}}, and eth_subscribe over websocket with a
+ * subscription id and a notification
+ * @return {Promise<http.Server>}
+ */
+const startUpstream = function (chain) {
+  let server = http.createServer(function (request, response) {
+    let chunks = [];
+    request.on('data', function (chunk) {
+      chunks.push(chunk);
+    });
+    request.on('end', function () {
+      let payload = JSON.parse(Buffer.concat(chunks).toString());
+      response.writeHead(200, {'Content-Type': 'application/json'});
+      response.end(JSON.stringify({jsonrpc: '2.0', id: payload.id, result: {chain: chain, method: payload.method}}));
+    });
+  });
+  server.wsServer = new WebSocket.Server({server: server});
+  server.wsServer.on('connection', function (socket) {
+    socket.on('message', function (message) {
+      let payload = JSON.parse(message);
+      if (payload.method !== 'eth_subscribe') {
+        let result = {chain: chain, method: payload.method};
+        return socket.send(JSON.stringify({jsonrpc: '2.0', id: payload.id, result: result}));
+      }
+      socket.send(JSON.stringify({jsonrpc: '2.0', id: payload.id, result: '0x01'}));
+      socket.send(JSON.stringify({jsonrpc: '2.0', method: 'eth_subscription', params: {subscription: '0x01'}}));
+    });
+  });
+  return new Promise(function (resolve) {
+    server.listen(0, '127.0.0.1', function () {
+      resolve(server);
+    });
+  });
+};
+
+/**
+ * Websocket chain node which misbehaves: it answers bad_frame with a frame which is not json and closes the connection
+ * on close_connection
+ * @return {Promise<http.Server>}
+ */
+const startBrokenUpstream = function () {
+  let server = http.createServer();
+  server.wsServer = new WebSocket.Server({server: server});
+  server.wsServer.on('connection', function (socket) {
+    socket.on('message', function (message) {
+      if (JSON.parse(message).method === 'bad_frame') {
+        return socket.send('not json');
+      }
+      socket.close();
+    });
+  });
+  return new Promise(function (resolve) {
+    server.listen(0, '127.0.0.1', function () {
+      resolve(server);
+    });
+  });
+};
+
+const stopServer = function (server) {
+  return new Promise(function (resolve) {
+    server.wsServer.close(function () {
+      server.close(resolve);
+    });
+  });
+};
+
+/**
+ * @return {Promise<{status, body}>}
+ */
+const post = function (address, path, body) {
+  return new Promise(function (resolve, reject) {
+    let request = http.request({host: address.address, port: address.port, path: path, method: 'POST'},
+      function (response) {
+        let chunks = [];
+        response.on('data', function (chunk) {
+          chunks.push(chunk);
+        });
+        response.on('end', function () {
+          resolve({status: response.statusCode, body: JSON.parse(Buffer.concat(chunks).toString())});
+        });
+      });
+    request.on('error', reject);
+    request.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+};
+
+/**
+ * @return {Promise<Array>} the first count messages the server sends after payload
+ */
+const exchange = function (address, path, payload, count) {
+  return new Promise(function (resolve, reject) {
+    let socket = new WebSocket('ws://' + address.address + ':' + address.port + path)
+      , messages = []
+    ;
+    socket.on('open', function () {
+      socket.send(JSON.stringify(payload));
+    });
+    socket.on('message', function (message) {
+      messages.push(JSON.parse(message));
+      if (messages.length === count) {
+        socket.close();
+        resolve(messages);
+      }
+    });
+    socket.on('error', reject);
+  });
+};
+
+describe('RumServer', function () {
+  let origin, auxiliary, rumServer, address;
+
+  before(async function () {
+    origin = await startUpstream('origin');
+    auxiliary = await startUpstream('auxiliary');
+    rumServer = new RumServer({
+      origin: {provider: 'http://127.0.0.1:' + origin.address().port},
+      auxiliaries: [{
+        provider: 'ws://127.0.0.1:' + auxiliary.address().port,
+        originCoreContractAddress: coreAddress
+      }]
+    }, {host: '127.0.0.1', timeout: 2000});
+    address = await rumServer.start();
+  });
+
+  after(async function () {
+    await rumServer.stop();
+    await stopServer(origin);
+    await stopServer(auxiliary);
+  });
+
+  describe('resolve', function () {
+
+    it('routes / to origin and /<core address>/ to its auxiliary', function () {
+      assert.deepEqual(rumServer.resolve('/'), {provider: 'http://127.0.0.1:' + origin.address().port});
+      assert.deepEqual(rumServer.resolve('/0x' + coreAddress.substr(2).toUpperCase() + '/'),
+        {provider: 'ws://127.0.0.1:' + auxiliary.address().port});
+    });
+
+    it('rejects unknown core addresses and other paths', function () {
+      assert.deepEqual(rumServer.resolve('/' + unknownCoreAddress),
+        {error: 'unknown_core_address', coreAddress: unknownCoreAddress});
+      assert.deepEqual(rumServer.resolve('/eth/'), {error: 'invalid_route'});
+    });
+  });
+
+  describe('http', function () {
+
+    it('forwards calls to the chain of the route', async function () {
+      let originResponse = await post(address, '/', {jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: []})
+        , auxiliaryResponse = await post(address, '/' + coreAddress + '/',
+        {jsonrpc: '2.0', id: 2, method: 'net_version', params: []})
+      ;
+      assert.deepEqual(originResponse, {
+        status: 200,
+        body: {jsonrpc: '2.0', id: 1, result: {chain: 'origin', method: 'eth_blockNumber'}}
+      });
+      assert.deepEqual(auxiliaryResponse.body.result, {chain: 'auxiliary', method: 'net_version'});
+    });
+
+    it('answers rum_auxiliaries itself', async function () {
+      let response = await post(address, '/', {jsonrpc: '2.0', id: 3, method: 'rum_auxiliaries', params: []});
+      assert.deepEqual(response.body, {jsonrpc: '2.0', id: 3, result: [{originCoreContractAddress: coreAddress}]});
+    });
+
+    it('answers unknown routes with json-rpc errors', async function () {
+      let unknownCore = await post(address, '/' + unknownCoreAddress + '/', [{jsonrpc: '2.0', id: 4, method: 'a'}])
+        , invalidRoute = await post(address, '/eth', {jsonrpc: '2.0', id: 5, method: 'a'})
+      ;
+      assert.equal(unknownCore.status, 404);
+      assert.deepEqual(unknownCore.body, [{
+        jsonrpc: '2.0',
+        id: 4,
+        error: {
+          code: RumServer.errors.unknown_core_address.code,
+          message: RumServer.errors.unknown_core_address.message,
+          data: {error: 'unknown_core_address', coreAddress: unknownCoreAddress}
+        }
+      }]);
+      assert.equal(invalidRoute.status, 404);
+      assert.equal(invalidRoute.body.error.code, RumServer.errors.invalid_route.code);
+    });
+
+    it('answers invalid json with a parse error', async function () {
+      let response = await post(address, '/', '{');
+      assert.equal(response.status, 400);
+      assert.equal(response.body.id, null);
+      assert.equal(response.body.error.code, RumServer.errors.parse_error.code);
+    });
+
+    it('answers with upstream_unavailable when the chain node does not respond', async function () {
+      let unavailable = new RumServer({origin: {provider: 'http://127.0.0.1:1'}, auxiliaries: []}, {host: '127.0.0.1'})
+        , unavailableAddress = await unavailable.start()
+      ;
+      try {
+        let response = await post(unavailableAddress, '/', {jsonrpc: '2.0', id: 6, method: 'eth_blockNumber'});
+        assert.equal(response.status, 502);
+        assert.equal(response.body.error.code, RumServer.errors.upstream_unavailable.code);
+      } finally {
+        await unavailable.stop();
+      }
+    });
+  });
+
+  describe('websocket', function () {
+
+    it('forwards calls to an http chain node', async function () {
+      let messages = await exchange(address, '/', {jsonrpc: '2.0', id: 7, method: 'eth_blockNumber'}, 1);
+      assert.deepEqual(messages, [{jsonrpc: '2.0', id: 7, result: {chain: 'origin', method: 'eth_blockNumber'}}]);
+    });
+
+    it('rejects subscriptions to an http chain node', async function () {
+      let messages = await exchange(address, '/', {jsonrpc: '2.0', id: 8, method: 'eth_subscribe'}, 1);
+      assert.equal(messages[0].id, 8);
+      assert.equal(messages[0].error.code, RumServer.errors.subscriptions_not_supported.code);
+    });
+
+    it('passes subscription notifications of a ws chain node through', async function () {
+      let messages = await exchange(address, '/' + coreAddress + '/',
+        {jsonrpc: '2.0', id: 9, method: 'eth_subscribe', params: ['newHeads']}, 2);
+      assert.deepEqual(messages, [
+        {jsonrpc: '2.0', id: 9, result: '0x01'},
+        {jsonrpc: '2.0', method: 'eth_subscription', params: {subscription: '0x01'}}
+      ]);
+    });
+
+    it('answers an unknown route and closes the connection', async function () {
+      let messages = await exchange(address, '/' + unknownCoreAddress + '/', {jsonrpc: '2.0', id: 10}, 1);
+      assert.equal(messages[0].error.code, RumServer.errors.unknown_core_address.code);
+    });
+  });
+
+  describe('http to a broken ws chain node', function () {
+    let broken, brokenServer, brokenAddress;
+
+    before(async function () {
+      broken = await startBrokenUpstream();
+      // Longer than the test timeout, so a missed close shows as a timeout
+      brokenServer = new RumServer({origin: {provider: 'ws://127.0.0.1:' + broken.address().port}, auxiliaries: []},
+        {host: '127.0.0.1', timeout: 5000});
+      brokenAddress = await brokenServer.start();
+    });
+
+    after(async function () {
+      await brokenServer.stop();
+      await stopServer(broken);
+    });
+
+    it('answers upstream_unavailable for a frame which is not json', async function () {
+      let response = await post(brokenAddress, '/', {jsonrpc: '2.0', id: 11, method: 'bad_frame'});
+      assert.equal(response.status, 502);
+      assert.equal(response.body.id, 11);
+      assert.equal(response.body.error.code, RumServer.errors.upstream_unavailable.code);
+      assert.equal(response.body.error.data.reason, 'invalid json from the chain node');
+    });
+
+    it('answers upstream_unavailable when the chain node closes before it answers', async function () {
+      let response = await post(brokenAddress, '/', {jsonrpc: '2.0', id: 12, method: 'close_connection'});
+      assert.equal(response.status, 502);
+      assert.equal(response.body.error.code, RumServer.errors.upstream_unavailable.code);
+      assert.equal(response.body.error.data.reason, 'connection closed by the chain node');
+    });
+  });
+});